@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      B-EVOKE CURVE BENCHMARK
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * WHAT THIS FILE DOES:
+ * Compares the affine BabyJubjub implementation with FastBabyJubjub
+ * (extended coordinates, fixed-base tables, g^k cache, batched witness
+ * updates) and checks that both produce identical points.
+ *
+ * WHAT IT MEASURES:
+ * 1. g^deviceId for random device IDs (uncached and cached)
+ * 2. One witness update pass over N revoked devices
+ * 3. Revoking one more device once N devices are already revoked
+ *
+ * HOW TO RUN:
+ * node bench/curve-benchmark.js [revocations=10000] [sample=50]
+ *
+ * The affine baseline is timed on `sample` operations; the fast
+ * implementation also builds the full N-device state.
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const crypto = require("crypto");
+const { BabyJubjub, EvokeAccumulator } = require("../js");
+const FastBabyJubjub = require("../js/baby-jubjub-fast");
+
+const REVOCATIONS = parseInt(process.argv[2] || "10000", 10);
+const SAMPLE = parseInt(process.argv[3] || "50", 10);
+
+function randomDeviceId() {
+    // 248 bits keeps IDs inside the accumulator's element range
+    return BigInt("0x" + crypto.randomBytes(31).toString("hex"));
+}
+
+function time(fn) {
+    const start = process.hrtime.bigint();
+    const result = fn();
+    return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+async function timeAsync(fn) {
+    const start = process.hrtime.bigint();
+    const result = await fn();
+    return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+function samePoints(a, b) {
+    return a.length === b.length && a.every((p, i) => p[0] === b[i][0] && p[1] === b[i][1]);
+}
+
+function report(label, slowMs, fastMs) {
+    const speedup = fastMs > 0 ? `${(slowMs / fastMs).toFixed(1)}x` : "-";
+    console.log(`  ${label.padEnd(34)} ${slowMs.toFixed(2).padStart(12)} ${fastMs.toFixed(2).padStart(12)} ${speedup.padStart(9)}`);
+}
+
+/**
+ * Copy revocation state between accumulators without recomputing it
+ */
+function copyState(from, to) {
+    to.accumulator = from.accumulator;
+    to.revokedDevices = new Map(Array.from(from.revokedDevices, ([id, data]) => [id, { ...data }]));
+    to.gaps = from.gaps.clone();
+}
+
+async function runBenchmark() {
+    console.log("\n╔═══════════════════════════════════════════════════════════╗");
+    console.log("║              B-EVOKE CURVE BENCHMARK                      ║");
+    console.log("╚═══════════════════════════════════════════════════════════╝");
+    console.log(`\n  Revocations: ${REVOCATIONS}, baseline sample: ${SAMPLE}`);
+
+    const slow = new BabyJubjub();
+    const fast = new FastBabyJubjub();
+    let identical = true;
+
+    console.log(`\n  ${"per operation (ms)".padEnd(34)} ${"affine".padStart(12)} ${"fast".padStart(12)} ${"speed-up".padStart(9)}`);
+
+    // 1. g^deviceId
+    const table = time(() => fast.scalarMul(1n));
+    console.log(`  (fixed-base table built in ${table.ms.toFixed(0)}ms)`);
+
+    const ids = Array.from({ length: SAMPLE }, randomDeviceId);
+    const slowMul = time(() => ids.map((id) => slow.scalarMul(id)));
+    const fastMul = time(() => ids.map((id) => fast.scalarMul(id)));
+    const cachedMul = time(() => ids.map((id) => fast.scalarMul(id)));
+    identical = identical && samePoints(slowMul.result, fastMul.result) && samePoints(slowMul.result, cachedMul.result);
+
+    report("g^deviceId", slowMul.ms / SAMPLE, fastMul.ms / SAMPLE);
+    report("g^deviceId (cached)", slowMul.ms / SAMPLE, cachedMul.ms / SAMPLE);
+
+    // Build N revoked devices with the fast curve (batches of 1000)
+    const fastEvoke = new EvokeAccumulator({ curve: fast });
+    const build = await timeAsync(async () => {
+        for (let done = 0; done < REVOCATIONS; done += 1000) {
+            const batch = Array.from({ length: Math.min(1000, REVOCATIONS - done) }, randomDeviceId);
+            await fastEvoke.batchRevoke(batch);
+        }
+    });
+    console.log(`\n  Built ${fastEvoke.revokedDevices.size} revocations (fast, batches of 1000) in ${(build.ms / 1000).toFixed(1)}s`);
+
+    // 2. One witness update pass over N witnesses
+    const witnesses = Array.from(fastEvoke.revokedDevices.values(), (data) => data.witness);
+    const delta = fast.scalarMul(randomDeviceId());
+    const slowPass = time(() => slow.pointAddMany(witnesses, delta));
+    const fastPass = time(() => fast.pointAddMany(witnesses, delta));
+    identical = identical && samePoints(slowPass.result, fastPass.result);
+
+    console.log(`\n  ${`at ${REVOCATIONS} revocations (ms)`.padEnd(34)} ${"affine".padStart(12)} ${"fast".padStart(12)} ${"speed-up".padStart(9)}`);
+    report("witness update pass", slowPass.ms, fastPass.ms);
+
+    // 3. Revoke one more device on identical N-device states
+    const slowEvoke = new EvokeAccumulator({ curve: slow });
+    copyState(fastEvoke, slowEvoke);
+
+    const nextId = randomDeviceId();
+    const slowRevoke = await timeAsync(() => slowEvoke.revokeDevice(nextId));
+    const fastRevoke = await timeAsync(() => fastEvoke.revokeDevice(nextId));
+    identical = identical &&
+        slowRevoke.result.accumulator.x === fastRevoke.result.accumulator.x &&
+        slowRevoke.result.accumulator.y === fastRevoke.result.accumulator.y &&
+        slowEvoke.getWitness(nextId).x === fastEvoke.getWitness(nextId).x;
+
+    report("revokeDevice", slowRevoke.ms, fastRevoke.ms);
+
+    console.log(`\n  Results identical: ${identical ? "YES" : "NO"}`);
+    console.log(`  g^k cache: ${JSON.stringify(fast.getCacheStats())}\n`);
+
+    return identical;
+}
+
+if (require.main === module) {
+    runBenchmark()
+        .then((identical) => process.exit(identical ? 0 : 1))
+        .catch((err) => {
+            console.error("\n❌ Benchmark failed:", err.message);
+            console.error(err.stack);
+            process.exit(1);
+        });
+}
+
+module.exports = { runBenchmark };
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      B-EVOKE REVOCATION SERVICE
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Starts the HTTP API from js/revocation-service.js on a persistent
+ * accumulator.
+ *
+ * HOW TO RUN:
+ * EVOKE_ADMIN_TOKEN=secret node bin/evoke-service.js [--port 8080]
+ *     [--host 127.0.0.1] [--state-dir ./evoke-state]
+ *     [--accept-epochs K] [--accept-seconds T] [--transition-proofs]
+ *     [--expiry-interval SECONDS] [--verbose]
+ *
+ * Without EVOKE_ADMIN_TOKEN the read-only routes are served and
+ * POST /revocations is refused. --accept-epochs / --accept-seconds set the
+ * acceptance window for non-membership proofs against earlier accumulators.
+ * --transition-proofs proves every accumulator update with the ECC
+ * accumulator circuit (served at GET /accumulator/transitions).
+ * Suspensions are reinstated when they expire (checked at the earliest
+ * expiry and at least every --expiry-interval seconds, default 60).
+ * Revocations, reinstatements and proof failures are logged to the
+ * console; --verbose adds debug messages. Metrics are served at
+ * GET /metrics.
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const { EvokeAccumulator } = require("../js");
+const RevocationService = require("../js/revocation-service");
+const ExpiryScheduler = require("../js/expiry-scheduler");
+
+function option(name, defaultValue) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && index + 1 < process.argv.length ? process.argv[index + 1] : defaultValue;
+}
+
+async function main() {
+    const stateDir = option("state-dir", "./evoke-state");
+    const acceptanceWindow = {
+        epochs: option("accept-epochs") && Number(option("accept-epochs")),
+        seconds: option("accept-seconds") && Number(option("accept-seconds"))
+    };
+    const transitionProofs = process.argv.includes("--transition-proofs");
+    const logger = {
+        debug: process.argv.includes("--verbose") ? console.debug : () => {},
+        info: console.log,
+        warn: console.warn,
+        error: console.error
+    };
+    const evoke = await EvokeAccumulator.open({ stateDir, acceptanceWindow, transitionProofs, logger });
+    const service = new RevocationService(evoke, { adminToken: process.env.EVOKE_ADMIN_TOKEN });
+    const scheduler = new ExpiryScheduler(evoke, { intervalMs: Number(option("expiry-interval", "60")) * 1000 });
+
+    const { address, port } = await service.listen(Number(option("port", "8080")), option("host", "127.0.0.1"));
+    console.log(`B-Evoke service listening on http://${address}:${port} (state: ${stateDir})`);
+    if (!process.env.EVOKE_ADMIN_TOKEN) {
+        console.log("EVOKE_ADMIN_TOKEN is not set: admin routes are disabled");
+    }
+
+    scheduler.start(
+        // Successful reinstatements are logged by the accumulator
+        (results) => {
+            for (const result of results.filter((entry) => !entry.success)) {
+                console.error(`Suspension of device ${result.deviceId} expired, reinstatement failed: ${result.message}`);
+            }
+        },
+        (error) => console.error("Expiry scheduler failed:", error.message)
+    );
+
+    // snarkjs keeps worker threads alive, so exit explicitly once closed
+    const shutdown = () => {
+        scheduler.stop();
+        return service.close().then(() => process.exit(0));
+    };
+    process.once("SIGINT", shutdown);
+    process.once("SIGTERM", shutdown);
+}
+
+main().catch((err) => {
+    console.error("❌ Service failed to start:", err.message);
+    process.exit(1);
+});
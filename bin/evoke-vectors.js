@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      B-EVOKE TEST VECTOR GENERATOR
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Writes the cross-language test vectors from js/test-vectors.js: the
+ * JSON fixtures and the Solidity loader the Foundry tests read them with.
+ *
+ * HOW TO RUN:
+ * node bin/evoke-vectors.js [--out test/fixtures] [--seed SEED]
+ * node bin/evoke-vectors.js --check [--out test/fixtures]
+ *
+ * The default seed reproduces the committed fixtures exactly; regenerate
+ * them whenever a vector is added. --check replays the existing JSON
+ * against both JS curves (affine and fast) instead of writing, and exits
+ * with 1 at the first mismatch.
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { BabyJubjub, FastBabyJubjub } = require("../js");
+const { VECTORS_FILE, writeTestVectors, checkTestVectors } = require("../js/test-vectors");
+
+function option(name, defaultValue) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && index + 1 < process.argv.length ? process.argv[index + 1] : defaultValue;
+}
+
+async function main() {
+    const out = option("out", path.join(__dirname, "..", "test", "fixtures"));
+
+    if (process.argv.includes("--check")) {
+        const fixture = JSON.parse(fs.readFileSync(path.join(out, VECTORS_FILE), "utf8"));
+        for (const curve of [new BabyJubjub(), new FastBabyJubjub()]) {
+            const result = await checkTestVectors(fixture, { curve });
+            if (!result.ok) {
+                const { section, index, name, expected, actual } = result.mismatch;
+                console.error(`✗ ${curve.constructor.name}: ${section}[${index}] "${name}"`);
+                console.error(`  expected: ${JSON.stringify(expected)}`);
+                console.error(`  actual:   ${JSON.stringify(actual)}`);
+                return 1;
+            }
+            console.log(`✓ ${curve.constructor.name}: ${result.checked} vectors match`);
+        }
+        return 0;
+    }
+
+    const { vectors, loader, counts } = await writeTestVectors(out, { seed: option("seed") });
+    console.log(`✓ ${Object.entries(counts).map(([section, count]) => `${count} ${section}`).join(", ")}`);
+    console.log(`  ${vectors}`);
+    console.log(`  ${loader}`);
+    return 0;
+}
+
+main()
+    .catch((err) => {
+        console.error("❌ Vector generation failed:", err.message);
+        return 1;
+    })
+    // snarkjs keeps worker threads alive, so exit explicitly
+    .then((code) => process.exit(code));
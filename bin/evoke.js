@@ -0,0 +1,526 @@
+#!/usr/bin/env node
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      B-EVOKE OPERATOR CLI
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Runs accumulator operations against a persistent state directory.
+ *
+ * USAGE:
+ * node bin/evoke.js <command> [args] [--state-dir DIR] [--json]
+ *
+ *   revoke <deviceId>                 revoke one device
+ *   batch-revoke --file FILE          revoke the IDs in FILE (JSON array or
+ *                                     one per line, # comments allowed)
+ *     [--operator NAME]               recorded in the audit log with the
+ *     [--reason TEXT]                 revocation (operator defaults to
+ *                                     $EVOKE_OPERATOR or the login name)
+ *     [--reason-code CODE]            compromised, lost, suspended or retired
+ *     [--expires DATE]                suspensions only: ISO 8601 date or ms
+ *   revocations [--reason-code CODE]  current revocations, oldest first
+ *     [--from DATE] [--to DATE]       (revoked in the given time range)
+ *   expire                            reinstate suspensions that have expired
+ *   status <deviceId>                 revoked / not revoked
+ *   prove <deviceId> [--out FILE]     membership or non-membership proof
+ *         [--calldata] [--epoch N]    (adds Solidity verifier calldata;
+ *                                     proves against an earlier epoch)
+ *   verify <FILE> [--device ID]       verify a proof written by prove (a
+ *                                     non-membership proof only for the
+ *                                     device it names, or --device)
+ *   witness show <deviceId>           the device's current witness
+ *   accumulator                       current accumulator state
+ *   history [--limit N]               accumulator updates, newest last
+ *   audit export [--out FILE]         hash-chained audit log as JSON Lines
+ *   audit verify <FILE>               replay an exported audit log (needs no
+ *                                     state directory)
+ *   self-check [--random N]           compare the JS curve code with the
+ *     [--seed SEED]                   compiled circuit on edge-case and N
+ *                                     random scalars (needs no state
+ *                                     directory)
+ *
+ * The state directory defaults to $EVOKE_STATE_DIR or ./evoke-state.
+ * Only revoke and batch-revoke create it.
+ *
+ * EXIT CODES:
+ *   0  success (verify: proof is valid and accepted by this state)
+ *   1  operation failed (any device in a batch, invalid or unaccepted
+ *      proof, self-check mismatch, ...)
+ *   2  usage error
+ *
+ * With --json, every outcome is JSON on stdout, errors included:
+ * { success: false, error, message } (error is USAGE for usage errors).
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require("fs");
+const os = require("os");
+const { parseArgs } = require("util");
+const { EvokeAccumulator, toSolidityCalldata, fromSolidityCalldata, verifyAuditLog, runSelfCheck } = require("../js");
+
+const EXIT = {
+    OK: 0,
+    FAILED: 1,
+    USAGE: 2
+};
+
+// Error codes reported as usage errors (exit code 2)
+const USAGE_ERRORS = new Set(["USAGE", "ERR_PARSE_ARGS_UNKNOWN_OPTION", "ERR_PARSE_ARGS_INVALID_OPTION_VALUE"]);
+
+const USAGE = `Usage: evoke <command> [args] [--state-dir DIR] [--json]
+
+Commands:
+  revoke <deviceId> [--operator NAME] [--reason TEXT] [--reason-code CODE] [--expires DATE]
+  batch-revoke --file FILE [--operator NAME] [--reason TEXT] [--reason-code CODE] [--expires DATE]
+  revocations [--reason-code CODE] [--from DATE] [--to DATE]
+  expire
+  status <deviceId>
+  prove <deviceId> [--out FILE] [--calldata] [--epoch N]
+  verify <FILE> [--device ID]
+  witness show <deviceId>
+  accumulator
+  history [--limit N]
+  audit export [--out FILE]
+  audit verify <FILE>
+  self-check [--random N] [--seed SEED]`;
+
+// Commands that may create the state directory
+const MUTATING = new Set(["revoke", "batch-revoke"]);
+
+/**
+ * Whether a command runs without an accumulator
+ */
+function stateless(name, args) {
+    return name === "self-check" || (name === "audit" && args[0] === "verify");
+}
+
+/**
+ * Build the error thrown for bad command-line usage
+ */
+function usageError(message) {
+    const error = new Error(message);
+    error.code = "USAGE";
+    return error;
+}
+
+/**
+ * JSON with BigInt values as decimal strings
+ */
+function toJson(value) {
+    return JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+/**
+ * Exactly one positional argument
+ */
+function single(args, name) {
+    if (args.length !== 1) {
+        throw usageError(`Expected one ${name}`);
+    }
+    return args[0];
+}
+
+/**
+ * Operator and reason recorded in the audit log, reason code and expiry
+ */
+function auditOptions(options) {
+    return {
+        operator: options.operator || process.env.EVOKE_OPERATOR || os.userInfo().username,
+        reason: options.reason,
+        reasonCode: options["reason-code"],
+        expiresAt: options.expires === undefined ? undefined : time(options.expires, "--expires")
+    };
+}
+
+/**
+ * A time given as milliseconds or an ISO 8601 date
+ */
+function time(value, name) {
+    const ms = /^[0-9]+$/.test(value) ? Number(value) : Date.parse(value);
+    if (!Number.isSafeInteger(ms)) {
+        throw usageError(`${name} must be an ISO 8601 date or milliseconds`);
+    }
+    return ms;
+}
+
+/**
+ * Device IDs from a batch file: a JSON array, or one ID per line
+ */
+function readDeviceIds(file) {
+    const content = fs.readFileSync(file, "utf8");
+    if (content.trim().startsWith("[")) {
+        return JSON.parse(content);
+    }
+    return content.split("\n")
+        .map((line) => line.replace(/#.*/, "").trim())
+        .filter((line) => line !== "");
+}
+
+// ============ Commands ============
+// Each returns { ok, result, lines }: result is printed with --json,
+// lines otherwise.
+
+const COMMANDS = {
+    async revoke(evoke, args, options) {
+        const result = await evoke.revokeDevice(single(args, "device ID"), auditOptions(options));
+        return {
+            ok: result.success,
+            result,
+            lines: result.success
+                ? [`✓ Device ${result.deviceId} revoked${result.reasonCode ? ` (${result.reasonCode})` : ""}`,
+                    ...(result.expiresAt ? [`  expires: ${new Date(result.expiresAt).toISOString()}`] : []),
+                    `  accumulator: (${result.accumulator.x}, ${result.accumulator.y})`,
+                    `  witnesses updated: ${result.witnessesUpdated}`]
+                : [`✗ ${result.error}: ${result.message}`]
+        };
+    },
+
+    async "batch-revoke"(evoke, args, options) {
+        if (!options.file || args.length) {
+            throw usageError("batch-revoke takes --file FILE");
+        }
+        const results = await evoke.batchRevoke(readDeviceIds(options.file), auditOptions(options));
+        const failed = results.filter((result) => !result.success);
+        return {
+            ok: failed.length === 0,
+            result: { results, accumulator: evoke.getAccumulator() },
+            lines: [
+                ...results.map((result) => (result.success
+                    ? `✓ ${result.deviceId}`
+                    : `✗ ${result.deviceId}: ${result.error} (${result.message})`)),
+                `${results.length - failed.length} revoked, ${failed.length} failed`
+            ]
+        };
+    },
+
+    async revocations(evoke, args, options) {
+        if (args.length) {
+            throw usageError("Usage: revocations [--reason-code CODE] [--from DATE] [--to DATE]");
+        }
+        const revocations = evoke.getRevocations({
+            reasonCode: options["reason-code"],
+            from: options.from === undefined ? undefined : time(options.from, "--from"),
+            to: options.to === undefined ? undefined : time(options.to, "--to")
+        });
+        return {
+            ok: true,
+            result: revocations,
+            lines: revocations.length
+                ? revocations.map((revocation) => {
+                    const code = revocation.reasonCode ? ` ${revocation.reasonCode}` : "";
+                    const reason = revocation.reason ? ` (${revocation.reason})` : "";
+                    const expires = revocation.expiresAt ? ` until ${new Date(revocation.expiresAt).toISOString()}` : "";
+                    return `${new Date(revocation.timestamp).toISOString()} ${revocation.deviceId}${code}${reason}${expires}`;
+                })
+                : ["No matching revocations"]
+        };
+    },
+
+    async expire(evoke, args, options) {
+        if (args.length) {
+            throw usageError("expire takes no arguments");
+        }
+        const results = await evoke.reinstateExpired({ operator: auditOptions(options).operator });
+        const failed = results.filter((result) => !result.success);
+        return {
+            ok: failed.length === 0,
+            result: results,
+            lines: results.length
+                ? results.map((result) => (result.success
+                    ? `✓ ${result.deviceId} reinstated (suspension expired)`
+                    : `✗ ${result.deviceId}: ${result.error} (${result.message})`))
+                : ["No expired suspensions"]
+        };
+    },
+
+    async status(evoke, args) {
+        const deviceId = single(args, "device ID");
+        const { failure } = evoke.identify(deviceId);
+        if (failure) {
+            return { ok: false, result: failure, lines: [`✗ ${failure.error}: ${failure.message}`] };
+        }
+        const revoked = evoke.isRevoked(deviceId);
+        const tracked = evoke.isTracked(deviceId);
+        return {
+            ok: true,
+            result: { deviceId, revoked, tracked },
+            lines: [`Device ${deviceId} is ${revoked ? "REVOKED" : "NOT revoked"}${tracked ? " (tracked)" : ""}`]
+        };
+    },
+
+    async prove(evoke, args, options) {
+        const deviceId = single(args, "device ID");
+        const epoch = options.epoch === undefined ? undefined : Number(options.epoch);
+        if (epoch !== undefined && !Number.isInteger(epoch)) {
+            throw usageError("--epoch must be an integer");
+        }
+
+        // Membership if the device is revoked at the requested epoch
+        const { identity } = evoke.identify(deviceId);
+        const at = epoch === undefined ? evoke.getEpoch() : epoch;
+        const revoked = Boolean(identity) && evoke.isEpoch(at) && evoke.stateAt(at).revoked.has(identity.element);
+        const result = revoked
+            ? await evoke.generateMembershipProof(deviceId, { epoch })
+            : await evoke.generateNonMembershipProof(deviceId, { epoch });
+        if (!result.success) {
+            return { ok: false, result, lines: [`✗ ${result.error}: ${result.message}`] };
+        }
+        if (options.calldata) {
+            result.calldata = toSolidityCalldata(result);
+        }
+
+        const ok = result.valid;
+        if (options.out) {
+            fs.writeFileSync(options.out, toJson(result) + "\n");
+        }
+        return {
+            ok,
+            result,
+            lines: [
+                `${ok ? "✓" : "✗"} ${result.type} proof for device ${deviceId} at epoch ${result.epoch} ` +
+                    `(${result.proofTimeMs}ms, ${ok ? "valid" : "INVALID"})`,
+                options.out ? `  written to ${options.out}` : toJson(result)
+            ]
+        };
+    },
+
+    async verify(evoke, args, options) {
+        const input = JSON.parse(fs.readFileSync(single(args, "proof file"), "utf8"));
+        let { proof, publicSignals } = input;
+        if (!proof && (input.calldata || input.a)) {
+            const calldata = typeof input.calldata === "object" ? input.calldata.calldata : input.calldata;
+            ({ proof, publicSignals } = fromSolidityCalldata(calldata || input));
+        }
+
+        const deviceId = options.device !== undefined ? options.device : input.deviceId;
+        const result = await evoke.verifyProof({ type: input.type, proof, publicSignals, deviceId });
+        if (!result.success) {
+            return { ok: false, result, lines: [`✗ ${result.error}: ${result.message}`] };
+        }
+
+        // A valid proof against an unknown or superseded accumulator says
+        // nothing about the device's status here, so only accepted ones pass
+        const epoch = result.epoch === null ? ", unknown accumulator"
+            : `, epoch ${result.epoch}${result.current ? " (current)" : ""}` +
+                `${result.accepted || !result.valid ? "" : ", outside the acceptance window"}`;
+        const ok = result.valid && result.accepted;
+        return {
+            ok,
+            result,
+            lines: [`${ok ? "✓" : "✗"} ${result.valid ? "VALID" : "INVALID"} ${result.type} proof${epoch}`]
+        };
+    },
+
+    async witness(evoke, args) {
+        if (args[0] !== "show" || args.length !== 2) {
+            throw usageError("Usage: witness show <deviceId>");
+        }
+        const deviceId = args[1];
+        const { failure } = evoke.identify(deviceId);
+        if (failure) {
+            return { ok: false, result: failure, lines: [`✗ ${failure.error}: ${failure.message}`] };
+        }
+
+        const revoked = evoke.isRevoked(deviceId);
+        const witness = revoked ? evoke.getWitness(deviceId) : evoke.getNonMembershipWitness(deviceId);
+        const type = revoked ? "membership" : "non-membership";
+        const lines = [`${type} witness for device ${deviceId}${revoked || evoke.isTracked(deviceId) ? "" : " (untracked: valid until the next revocation)"}`];
+        if (revoked) {
+            lines.push(`  x: ${witness.x}`, `  y: ${witness.y}`);
+        } else {
+            lines.push(`  gap: (${witness.lowerBound}, ${witness.upperBound})`, `  leaf: ${witness.index}`,
+                ...witness.path.map((node, level) => `  path[${level}]: ${node}`));
+        }
+        return { ok: true, result: { deviceId, type, witness }, lines };
+    },
+
+    async accumulator(evoke) {
+        const { totalRevoked, trackedDevices } = evoke.getStatistics();
+        const result = {
+            accumulator: evoke.getAccumulator(),
+            gapRoot: evoke.getGapRoot(),
+            totalRevoked,
+            trackedDevices
+        };
+        return {
+            ok: true,
+            result,
+            lines: [
+                `accumulator:     (${result.accumulator.x}, ${result.accumulator.y})`,
+                `gap root:        ${result.gapRoot}`,
+                `revoked: ${totalRevoked}, tracked: ${trackedDevices}`
+            ]
+        };
+    },
+
+    async history(evoke, args, options) {
+        const limit = options.limit === undefined ? Infinity : Number(options.limit);
+        if (args.length || !(limit >= 0)) {
+            throw usageError("Usage: history [--limit N]");
+        }
+        const history = evoke.getHistory();
+        const entries = history.slice(Math.max(0, history.length - limit));
+        const first = history.length - entries.length;
+        return {
+            ok: true,
+            result: entries,
+            lines: entries.length
+                ? entries.map((entry, i) => {
+                    const devices = entry.devices ? entry.devices.join(",") : entry.device;
+                    const reason = `${entry.reasonCode ? ` ${entry.reasonCode}` : ""}${entry.reason ? ` (${entry.reason})` : ""}`;
+                    const operator = entry.operator ? ` by ${entry.operator}` : "";
+                    return `#${first + i} ${new Date(entry.timestamp).toISOString()} ${entry.operation} ${devices}${reason}${operator} -> x=${entry.accumulator.x}`;
+                })
+                : ["No accumulator updates"]
+        };
+    },
+
+    async audit(evoke, args, options) {
+        if (args[0] === "export" && args.length === 1) {
+            if (!options.out) {
+                const entries = evoke.getAuditLog();
+                return { ok: true, result: entries, lines: entries.map((entry) => JSON.stringify(entry)) };
+            }
+            const result = evoke.exportAuditLog(options.out);
+            return {
+                ok: true,
+                result,
+                lines: [`✓ ${result.entries} audit entries written to ${options.out}`, `  head: ${result.head}`]
+            };
+        }
+        if (args[0] === "verify" && args.length === 2) {
+            const result = verifyAuditLog(args[1]);
+            return {
+                ok: result.valid,
+                result,
+                lines: result.valid
+                    ? [`✓ VALID audit log: ${result.entries} entries replayed from the identity, ${result.revoked} devices revoked`,
+                        `  head: ${result.head}`,
+                        `  accumulator: (${result.accumulator.x}, ${result.accumulator.y})`]
+                    : [`✗ ${result.error}: ${result.message}`]
+            };
+        }
+        throw usageError("Usage: audit export [--out FILE] | audit verify <FILE>");
+    },
+
+    async "self-check"(evoke, args, options) {
+        const random = options.random === undefined ? undefined : Number(options.random);
+        if (args.length || (random !== undefined && !(Number.isInteger(random) && random >= 0))) {
+            throw usageError("Usage: self-check [--random N] [--seed SEED]");
+        }
+        const result = await runSelfCheck({ random, seed: options.seed });
+        if (result.ok) {
+            return {
+                ok: true,
+                result,
+                lines: [`✓ JS curve code matches the circuit: ${result.cases} cases, ` +
+                    `${result.comparisons} comparisons (seed ${result.seed})`]
+            };
+        }
+
+        const { mismatch } = result;
+        const lines = [
+            `✗ ${mismatch.error}: ${mismatch.message}`,
+            `  input: oldAcc=(${mismatch.input.oldAccX}, ${mismatch.input.oldAccY}) element=${mismatch.input.element}`
+        ];
+        if (mismatch.circuit) {
+            lines.push(`  circuit: (${mismatch.circuit.x}, ${mismatch.circuit.y})`,
+                `  ${mismatch.curve}: (${mismatch.js.x}, ${mismatch.js.y})`);
+        }
+        lines.push(`  reproduce with --seed ${result.seed}`);
+        return { ok: false, result, lines };
+    }
+};
+
+// ============ Entry Point ============
+
+async function main(argv) {
+    const { values: options, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            "state-dir": { type: "string" },
+            json: { type: "boolean" },
+            file: { type: "string" },
+            out: { type: "string" },
+            calldata: { type: "boolean" },
+            epoch: { type: "string" },
+            device: { type: "string" },
+            limit: { type: "string" },
+            operator: { type: "string" },
+            reason: { type: "string" },
+            "reason-code": { type: "string" },
+            expires: { type: "string" },
+            from: { type: "string" },
+            to: { type: "string" },
+            random: { type: "string" },
+            seed: { type: "string" },
+            help: { type: "boolean", short: "h" }
+        }
+    });
+
+    const [name, ...args] = positionals;
+    if (options.help) {
+        console.log(USAGE);
+        return EXIT.OK;
+    }
+    if (!name) {
+        throw usageError("Missing command");
+    }
+    const command = COMMANDS[name];
+    if (!command) {
+        throw usageError(`Unknown command "${name}"`);
+    }
+
+    // An exported audit log is verified on its own, the self-check needs
+    // only the circuits
+    if (stateless(name, args)) {
+        const { ok, result, lines } = await command(null, args, options);
+        print(options, result, lines);
+        return ok ? EXIT.OK : EXIT.FAILED;
+    }
+
+    const stateDir = options["state-dir"] || process.env.EVOKE_STATE_DIR || "./evoke-state";
+    if (!MUTATING.has(name) && !fs.existsSync(stateDir)) {
+        const failure = { success: false, error: "NO_STATE", message: `State directory ${stateDir} does not exist` };
+        print(options, failure, [`✗ ${failure.message}`]);
+        return EXIT.FAILED;
+    }
+
+    const evoke = await EvokeAccumulator.open({ stateDir });
+    const { ok, result, lines } = await command(evoke, args, options);
+    print(options, result, lines);
+    return ok ? EXIT.OK : EXIT.FAILED;
+}
+
+function print(options, result, lines) {
+    console.log(options.json ? toJson(result) : lines.join("\n"));
+}
+
+/**
+ * Report an error thrown by main() and return the exit code. --json is
+ * looked up in argv itself, since argument parsing may be what failed.
+ */
+function reportError(argv, err) {
+    const usage = USAGE_ERRORS.has(err.code);
+    if (argv.includes("--json")) {
+        const error = usage ? "USAGE" : err.code || "INTERNAL_ERROR";
+        console.log(toJson({ success: false, error, message: err.message }));
+    } else if (usage) {
+        console.error(`${err.message}\n\n${USAGE}`);
+    } else {
+        console.error(`✗ ${err.message}`);
+    }
+    return usage ? EXIT.USAGE : EXIT.FAILED;
+}
+
+if (require.main === module) {
+    const argv = process.argv.slice(2);
+    main(argv)
+        .catch((err) => reportError(argv, err))
+        // snarkjs keeps bn128 worker threads alive, so exit explicitly
+        .then((code) => process.exit(code));
+}
+
+module.exports = { main, COMMANDS };
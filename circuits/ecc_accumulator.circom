@@ -18,9 +18,12 @@ include "circomlib/circuits/bitify.circom";
  */
 
 template ECCAccumulator() {
-    // Private inputs
+    // Public inputs (declared public on main, so a proof binds the
+    // accumulator it started from, not just the one it ends at)
     signal input oldAccX;        // Old accumulator X coordinate
     signal input oldAccY;        // Old accumulator Y coordinate
+
+    // Private inputs
     signal input element;        // Element to add (scalar)
     signal input secret;         // Additional randomness
 
@@ -66,4 +69,5 @@ template ECCAccumulator() {
 }
 
 // Main component for ECC accumulator
-component main = ECCAccumulator();
\ No newline at end of file
+// Public signals: [newAccX, newAccY, oldAccX, oldAccY]
+component main {public [oldAccX, oldAccY]} = ECCAccumulator();
\ No newline at end of file
@@ -0,0 +1,38 @@
+const wc  = require("./witness_calculator.js");
+const { readFileSync, writeFile, statSync } = require("fs");
+const path = require("path");
+
+if (process.argv.length != 5) {
+    console.log("Usage: node generate_witness.js <file.wasm> <input.json> <output.wtns>");
+    console.log("       node generate_witness.js <file.wasm> <inputs.jsonl|input-dir> <output-dir|output.tar>");
+    process.exitCode = 2;
+} else if (process.argv[3].endsWith(".jsonl") || statSync(process.argv[3]).isDirectory()) {
+    // Batch mode: one WitnessCalculator for all inputs (js/witness-batch.js)
+    const { runBatch } = require(path.join(__dirname, "..", "..", "..", "js", "witness-batch.js"));
+    runBatch(process.argv[2], process.argv[3], process.argv[4]).then((code) => {
+        process.exitCode = code;
+    }, (err) => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
+} else {
+    const input = JSON.parse(readFileSync(process.argv[3], "utf8"));
+
+    const buffer = readFileSync(process.argv[2]);
+    wc(buffer).then(async witnessCalculator => {
+	//    const w= await witnessCalculator.calculateWitness(input,0);
+	//    for (let i=0; i< w.length; i++){
+	//	console.log(w[i]);
+	//    }
+	const buff= await witnessCalculator.calculateWTNSBin(input,0);
+	writeFile(process.argv[4], buff, function(err) {
+	    if (err) {
+		console.error(err.message);
+		process.exitCode = 1;
+	    }
+	});
+    }).catch(err => {
+	console.error(err.message);
+	process.exitCode = 1;
+    });
+}
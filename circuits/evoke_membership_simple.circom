@@ -60,4 +60,4 @@ template EVOKEMembership() {
     accY === pointAdd.yout;
 }
 
-component main = EVOKEMembership();
\ No newline at end of file
+component main {public [accX, accY]} = EVOKEMembership();
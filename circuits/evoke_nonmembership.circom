@@ -0,0 +1,115 @@
+pragma circom 2.0.0;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/bitify.circom";
+include "circomlib/circuits/comparators.circom";
+
+/*
+ * EVOKE Non-Membership Witness Circuit
+ *
+ * Proves that an element is NOT in the revocation set
+ * For revocation: Proves a device credential has NOT been revoked
+ *
+ * The service keeps a gap tree next to the revocation accumulator.
+ * For the sorted revoked set 0 = r0 < r1 < ... < rn < r(n+1) = 2^252 - 1
+ * (sentinels at both ends), every adjacent pair is a leaf of a Poseidon
+ * Merkle tree of depth DEPTH:
+ *
+ *   leaf = Poseidon(r(i), r(i+1)),  node = Poseidon(left, right)
+ *
+ * Non-membership of element e is shown by a leaf (lower, upper) with
+ *   lower < e < upper   and a Merkle path from it to gapRoot
+ * Only the issuer puts gaps in the tree, and only adjacent revoked
+ * elements form a gap, so no revoked element lies strictly between lower
+ * and upper. The path has exactly DEPTH levels, so an inner node cannot
+ * be passed off as a leaf.
+ *
+ * The element itself stays private, but its commitment
+ *   elementHash = Poseidon(e, 0)
+ * is public, so a verifier who knows the device ID can check that the
+ * proof is about that device and not some other, unrevoked element.
+ *
+ * Where:
+ *   A = current revocation accumulator (public, bound to the proof)
+ *   gapRoot = current gap tree root (public)
+ *   elementHash = commitment to e (public)
+ *   e, lower, upper, leafIndex, pathElements = private
+ */
+template EVOKENonMembership(DEPTH) {
+    // Public inputs
+    signal input accX;           // Current accumulator X (public)
+    signal input accY;           // Current accumulator Y (public)
+    signal input gapRoot;        // Current gap tree root (public)
+    signal input elementHash;    // Poseidon(element, 0) (public)
+
+    // Private inputs
+    signal input element;        // Element to prove non-membership (device ID)
+    signal input lowerBound;     // Revoked element (or sentinel) just below element
+    signal input upperBound;     // Revoked element (or sentinel) just above element
+    signal input leafIndex;      // Position of the gap's leaf
+    signal input pathElements[DEPTH];  // Sibling hashes, leaf level first
+
+    // Step 0: Bind the revocation accumulator to the proof
+    // (public inputs that appear in no constraint are not bound by Groth16)
+    signal accXSquare;
+    signal accYSquare;
+    accXSquare <== accX * accX;
+    accYSquare <== accY * accY;
+
+    // Step 1: Range-check all scalars to 252 bits (required by LessThan)
+    component elementBits = Num2Bits(252);
+    elementBits.in <== element;
+
+    component lowerBits = Num2Bits(252);
+    lowerBits.in <== lowerBound;
+
+    component upperBits = Num2Bits(252);
+    upperBits.in <== upperBound;
+
+    // Step 2: Enforce lowerBound < element < upperBound
+    component belowElement = LessThan(252);
+    belowElement.in[0] <== lowerBound;
+    belowElement.in[1] <== element;
+    belowElement.out === 1;
+
+    component aboveElement = LessThan(252);
+    aboveElement.in[0] <== element;
+    aboveElement.in[1] <== upperBound;
+    aboveElement.out === 1;
+
+    // Step 3: Bind the element to its public commitment
+    component elementCommitment = Poseidon(2);
+    elementCommitment.inputs[0] <== element;
+    elementCommitment.inputs[1] <== 0;
+    elementHash === elementCommitment.out;
+
+    // Step 4: Hash the gap into its leaf
+    component leaf = Poseidon(2);
+    leaf.inputs[0] <== lowerBound;
+    leaf.inputs[1] <== upperBound;
+
+    // Step 5: Walk the Merkle path; bit i of leafIndex says whether the
+    // node is the right child at level i
+    component indexBits = Num2Bits(DEPTH);
+    indexBits.in <== leafIndex;
+
+    component levels[DEPTH];
+    signal nodes[DEPTH + 1];
+    signal swap[DEPTH];
+    nodes[0] <== leaf.out;
+
+    for (var i = 0; i < DEPTH; i++) {
+        // left = bit ? sibling : node, right = bit ? node : sibling
+        swap[i] <== indexBits.out[i] * (pathElements[i] - nodes[i]);
+
+        levels[i] = Poseidon(2);
+        levels[i].inputs[0] <== nodes[i] + swap[i];
+        levels[i].inputs[1] <== pathElements[i] - swap[i];
+        nodes[i + 1] <== levels[i].out;
+    }
+
+    // Step 6: Enforce equality with the gap tree root
+    gapRoot === nodes[DEPTH];
+}
+
+component main {public [accX, accY, gapRoot, elementHash]} = EVOKENonMembership(20);
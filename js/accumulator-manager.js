@@ -0,0 +1,454 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      NAMESPACED ACCUMULATORS
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Hosts many named EvokeAccumulators (one per manufacturer or product
+ * line). Each namespace has its own revoked set, history, witnesses,
+ * audit log and access policy:
+ *
+ *   policy.operators   operators allowed to revoke, reinstate and track
+ *                      in the namespace (null: anyone)
+ *
+ * Namespace names are 1-64 characters of [a-z0-9._-], starting with a
+ * letter or digit. With a stateDir the list of namespaces and their
+ * policies is kept in namespaces.json and each namespace's log and
+ * snapshots in namespaces/<name>/.
+ *
+ * Binding proofs to a namespace: epoch 0 of a namespace is not the
+ * identity but
+ *
+ *   A_0 = g^(SHA-256("B-Evoke namespace:" + name) mod subOrder)
+ *
+ * so no two namespaces share an accumulator, empty or not. Every proof
+ * has A among its public signals (with the gap root for non-membership),
+ * so it only matches epochs of the namespace it was generated in, and
+ * verifyProof() in any other namespace does not accept it. The
+ * `namespace` label on proof results is informational only.
+ *
+ * A_0 is public: audit logs and transition chains of a namespace verify
+ * with { initialAccumulator: namespaceAccumulator(curve, name) }. Since
+ * a registry contract starts at (0, 1), a namespace does not mirror one.
+ *
+ * Every namespace records into one MetricsRegistry with a namespace
+ * label; getMetrics() renders them all.
+ *
+ * Failures are { success: false, namespace, error, message } with a code
+ * from AccumulatorManager.ERRORS or EvokeAccumulator.ERRORS.
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const FastBabyJubjub = require("./baby-jubjub-fast");
+const EvokeAccumulator = require("./evoke-accumulator");
+const MetricsRegistry = require("./metrics");
+const { MemoryStore, FileStore } = require("./revocation-store");
+
+const NAMESPACES_FILE = "namespaces.json";
+const NAMESPACES_DIR = "namespaces";
+const REGISTRY_VERSION = 1;
+const NAMESPACE_DOMAIN = "B-Evoke namespace:";
+const NAMESPACE_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/;
+
+const ERRORS = {
+    INVALID_NAMESPACE: "INVALID_NAMESPACE",
+    NAMESPACE_EXISTS: "NAMESPACE_EXISTS",
+    UNKNOWN_NAMESPACE: "UNKNOWN_NAMESPACE",
+    INVALID_POLICY: "INVALID_POLICY",
+    FORBIDDEN: "FORBIDDEN"
+};
+
+/**
+ * Epoch 0 accumulator of a namespace as decimal strings { x, y }
+ * @param {BabyJubjub} curve
+ * @param {string} name
+ */
+function namespaceAccumulator(curve, name) {
+    const digest = crypto.createHash("sha256").update(NAMESPACE_DOMAIN + name).digest("hex");
+    return curve.toObject(curve.scalarMul(BigInt("0x" + digest) % curve.subOrder));
+}
+
+class AccumulatorManager {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.stateDir] - directory for namespaces.json and
+     *   each namespace's state (memory only if omitted)
+     * @param {object} [options.accumulator] - EvokeAccumulator options shared
+     *   by every namespace (curve, provers, proverPool, snapshotInterval,
+     *   logger, metrics, ...); store, stateDir, initialAccumulator and
+     *   metricsLabels are set per namespace
+     */
+    constructor(options = {}) {
+        this.stateDir = options.stateDir || null;
+        this.accumulatorOptions = options.accumulator || {};
+        this.curve = this.accumulatorOptions.curve || new FastBabyJubjub();
+        this.metrics = this.accumulatorOptions.metrics || new MetricsRegistry();
+
+        // name -> { name, description, policy, createdAt, evoke }
+        this.namespaces = new Map();
+
+        // createNamespace / updatePolicy run one at a time
+        this.queue = Promise.resolve();
+
+        if (this.stateDir) {
+            fs.mkdirSync(this.stateDir, { recursive: true });
+        }
+    }
+
+    /**
+     * Create a manager and open every saved namespace
+     */
+    static async open(options = {}) {
+        const manager = new AccumulatorManager(options);
+        await manager.load();
+        return manager;
+    }
+
+    // ============ Namespaces ============
+
+    /**
+     * Create an empty namespace
+     * @param {string} name
+     * @param {object} [options]
+     * @param {Array<string>|null} [options.operators=null] - operators allowed
+     *   to change the namespace (null: anyone)
+     * @param {string} [options.description]
+     * @returns {Promise<{success, namespace}>} namespace as listNamespaces() entries
+     */
+    async createNamespace(name, options = {}) {
+        return this.serialize(async () => {
+            if (typeof name !== "string" || !NAMESPACE_PATTERN.test(name)) {
+                return this.failure(name, ERRORS.INVALID_NAMESPACE,
+                    "Namespace must be 1-64 characters of a-z, 0-9, '.', '_' or '-', starting with a letter or digit");
+            }
+            if (this.namespaces.has(name)) {
+                return this.failure(name, ERRORS.NAMESPACE_EXISTS, `Namespace ${name} already exists`);
+            }
+            const { policy, failure } = this.parsePolicy(name, options);
+            if (failure) {
+                return failure;
+            }
+
+            const record = {
+                name,
+                description: options.description || null,
+                policy,
+                createdAt: Date.now()
+            };
+            const evoke = await this.openNamespace(record);
+            this.namespaces.set(name, { ...record, evoke });
+            this.save();
+
+            return { success: true, namespace: this.summary(this.namespaces.get(name)) };
+        });
+    }
+
+    /**
+     * Replace a namespace's access policy
+     * @param {object} policy - { operators }
+     * @returns {Promise<{success, namespace}>}
+     */
+    async updatePolicy(name, policy) {
+        return this.serialize(async () => {
+            const namespace = this.namespaces.get(name);
+            if (!namespace) {
+                return this.unknown(name);
+            }
+            const parsed = this.parsePolicy(name, policy || {});
+            if (parsed.failure) {
+                return parsed.failure;
+            }
+            namespace.policy = parsed.policy;
+            this.save();
+            return { success: true, namespace: this.summary(namespace) };
+        });
+    }
+
+    /**
+     * Every namespace, in creation order
+     * @returns {Array<{name, description, operators, createdAt, epoch, totalRevoked, accumulator, initialAccumulator}>}
+     */
+    listNamespaces() {
+        return [...this.namespaces.values()].map((namespace) => this.summary(namespace));
+    }
+
+    /**
+     * Whether a namespace exists
+     */
+    hasNamespace(name) {
+        return this.namespaces.has(name);
+    }
+
+    /**
+     * The namespace's accumulator, or null. Calls made on it directly
+     * bypass the access policy.
+     * @returns {EvokeAccumulator|null}
+     */
+    get(name) {
+        const namespace = this.namespaces.get(name);
+        return namespace ? namespace.evoke : null;
+    }
+
+    /**
+     * Statistics of one namespace: EvokeAccumulator.getStatistics() plus
+     * epoch, accumulators, audit head and proof cache counts
+     */
+    getStatistics(name) {
+        const namespace = this.namespaces.get(name);
+        if (!namespace) {
+            return this.unknown(name);
+        }
+        const { evoke } = namespace;
+        return {
+            success: true,
+            namespace: name,
+            epoch: evoke.getEpoch(),
+            accumulator: evoke.getAccumulator(),
+            initialAccumulator: this.curve.toObject(evoke.initialAccumulator),
+            auditHead: evoke.getAuditHead().hash,
+            proofCache: evoke.getProofCacheStatistics(),
+            ...evoke.getStatistics()
+        };
+    }
+
+    /**
+     * Metrics of every namespace in the Prometheus text exposition format
+     */
+    getMetrics() {
+        return this.metrics.render();
+    }
+
+    // ============ Revocation ============
+
+    /**
+     * Revoke a device in a namespace
+     * @param {object} [options] - { operator, reason }; operator must be
+     *   allowed by the namespace's policy
+     */
+    async revokeDevice(name, deviceId, options = {}) {
+        return this.withNamespace(name, options, (evoke) => evoke.revokeDevice(deviceId, options));
+    }
+
+    /**
+     * Revoke several devices in a namespace in one update
+     * @param {object} [options] - { operator, reason }
+     */
+    async batchRevoke(name, deviceIds, options = {}) {
+        return this.withNamespace(name, options, (evoke) => evoke.batchRevoke(deviceIds, options));
+    }
+
+    /**
+     * Reinstate a revoked device in a namespace
+     * @param {object} [options] - { operator }
+     */
+    async reinstateDevice(name, deviceId, reason = null, options = {}) {
+        return this.withNamespace(name, options, (evoke) => evoke.reinstateDevice(deviceId, reason, options));
+    }
+
+    /**
+     * Maintain a device's non-membership witness in a namespace
+     * @param {object} [options] - { operator }
+     */
+    async trackDevice(name, deviceId, options = {}) {
+        return this.withNamespace(name, options, (evoke) => evoke.trackDevice(deviceId));
+    }
+
+    // ============ Proofs ============
+
+    /**
+     * Membership proof from a namespace, labelled with it
+     */
+    async generateMembershipProof(name, deviceId, options = {}) {
+        return this.withNamespace(name, null, (evoke) => evoke.generateMembershipProof(deviceId, options));
+    }
+
+    /**
+     * Non-membership proof from a namespace, labelled with it
+     */
+    async generateNonMembershipProof(name, deviceId, options = {}) {
+        return this.withNamespace(name, null, (evoke) => evoke.generateNonMembershipProof(deviceId, options));
+    }
+
+    /**
+     * Revocation status with a proof, labelled with the namespace
+     */
+    async checkRevocationStatus(name, deviceId) {
+        return this.withNamespace(name, null, (evoke) => evoke.checkRevocationStatus(deviceId));
+    }
+
+    /**
+     * Verify a proof for a namespace (see EvokeAccumulator.verifyProof).
+     * A proof from another namespace matches no epoch and is not accepted.
+     * @param {object} request - { type, proof, publicSignals, deviceId, window }
+     */
+    async verifyProof(name, request) {
+        return this.withNamespace(name, null, (evoke) => evoke.verifyProof(request));
+    }
+
+    /**
+     * Stop every prover pool started by the namespaces
+     */
+    async close() {
+        const pools = new Set([...this.namespaces.values()]
+            .map(({ evoke }) => evoke.proverPool)
+            .filter(Boolean));
+        for (const pool of pools) {
+            await pool.close();
+        }
+    }
+
+    // ============ Access Policy ============
+
+    /**
+     * Whether an operator may change a namespace
+     */
+    isAllowed(name, operator) {
+        const namespace = this.namespaces.get(name);
+        if (!namespace) return false;
+        const { operators } = namespace.policy;
+        return operators === null || operators.includes(operator);
+    }
+
+    /**
+     * Validate { operators } into a policy
+     * @returns {{policy}|{failure}}
+     */
+    parsePolicy(name, { operators = null }) {
+        if (operators !== null &&
+            (!Array.isArray(operators) || !operators.every((operator) => typeof operator === "string" && operator))) {
+            return { failure: this.failure(name, ERRORS.INVALID_POLICY, "operators must be null or an array of operator names") };
+        }
+        return { policy: { operators: operators && [...new Set(operators)] } };
+    }
+
+    /**
+     * Run an operation on a namespace's accumulator and label its results
+     * with the namespace. With options, the operation changes state and
+     * options.operator must pass the policy.
+     */
+    async withNamespace(name, options, operation) {
+        const namespace = this.namespaces.get(name);
+        if (!namespace) {
+            return this.unknown(name);
+        }
+        if (options) {
+            const operator = options.operator || namespace.evoke.operator;
+            if (!this.isAllowed(name, operator)) {
+                return this.failure(name, ERRORS.FORBIDDEN,
+                    `Operator ${operator === null ? "(none)" : operator} may not change namespace ${name}`);
+            }
+        }
+
+        const result = await operation(namespace.evoke);
+        return Array.isArray(result)
+            ? result.map((entry) => ({ ...entry, namespace: name }))
+            : { ...result, namespace: name };
+    }
+
+    // ============ Persistence ============
+
+    /**
+     * Open a namespace's accumulator from its own store
+     */
+    async openNamespace({ name }) {
+        return EvokeAccumulator.open({
+            ...this.accumulatorOptions,
+            curve: this.curve,
+            store: this.stateDir
+                ? new FileStore(path.join(this.stateDir, NAMESPACES_DIR, name))
+                : new MemoryStore(),
+            initialAccumulator: namespaceAccumulator(this.curve, name),
+            metrics: this.metrics,
+            metricsLabels: { namespace: name }
+        });
+    }
+
+    /**
+     * Open every namespace listed in namespaces.json, if any
+     */
+    async load() {
+        if (!this.stateDir) return;
+        const registryPath = path.join(this.stateDir, NAMESPACES_FILE);
+        if (!fs.existsSync(registryPath)) return;
+
+        const registry = JSON.parse(fs.readFileSync(registryPath, "utf8"));
+        if (registry.version !== REGISTRY_VERSION) {
+            throw new Error(`${registryPath} has unsupported version ${registry.version}`);
+        }
+        for (const record of registry.namespaces) {
+            const evoke = await this.openNamespace(record);
+            this.namespaces.set(record.name, { ...record, evoke });
+        }
+    }
+
+    /**
+     * Save the namespace list and policies (write-then-rename)
+     */
+    save() {
+        if (!this.stateDir) return;
+
+        const registryPath = path.join(this.stateDir, NAMESPACES_FILE);
+        const tmpPath = registryPath + ".tmp";
+        const fd = fs.openSync(tmpPath, "w");
+        try {
+            fs.writeSync(fd, JSON.stringify({
+                version: REGISTRY_VERSION,
+                namespaces: [...this.namespaces.values()].map(({ name, description, policy, createdAt }) =>
+                    ({ name, description, policy, createdAt }))
+            }));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpPath, registryPath);
+    }
+
+    /**
+     * Run a registry change after all earlier ones complete
+     */
+    serialize(operation) {
+        const run = this.queue.then(operation);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    // ============ Helpers ============
+
+    /**
+     * listNamespaces() entry
+     */
+    summary({ name, description, policy, createdAt, evoke }) {
+        return {
+            name,
+            description,
+            operators: policy.operators,
+            createdAt,
+            epoch: evoke.getEpoch(),
+            totalRevoked: evoke.revokedDevices.size,
+            accumulator: evoke.getAccumulator(),
+            initialAccumulator: this.curve.toObject(evoke.initialAccumulator)
+        };
+    }
+
+    /**
+     * UNKNOWN_NAMESPACE failure
+     */
+    unknown(name) {
+        return this.failure(name, ERRORS.UNKNOWN_NAMESPACE, `Namespace ${name} does not exist`);
+    }
+
+    /**
+     * Build a failure result
+     */
+    failure(namespace, error, message) {
+        return { success: false, namespace, error, message };
+    }
+}
+
+AccumulatorManager.ERRORS = ERRORS;
+AccumulatorManager.namespaceAccumulator = namespaceAccumulator;
+
+module.exports = AccumulatorManager;
@@ -0,0 +1,228 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      REVOCATION AUDIT LOG
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Hash chain over the accumulator history. Entry n (the update that
+ * creates epoch n) commits to the hash of entry n - 1, the operation, the
+ * devices, the operator, the reason, the accumulator before and after,
+ * and the time:
+ *
+ *   hash_n = SHA-256(JSON [version, prevHash, epoch, operation, devices,
+ *                          operator, reason, before.x, before.y,
+ *                          after.x, after.y, timestamp])
+ *   prevHash_1 = 64 zeros
+ *
+ * Revocations with a reason code or an expiry (see EvokeAccumulator.REASONS)
+ * hash version 2, which appends reasonCode and expiresAt to the array;
+ * entries without either keep the version 1 hash.
+ *
+ * Editing, dropping or reordering an entry changes every later hash, so a
+ * published head hash (see EvokeAccumulator.getAuditHead()) pins the
+ * whole revocation list.
+ *
+ * Export format: JSON Lines, one entry per line, oldest first:
+ *
+ *   {"epoch":1,"operation":"revoke","devices":[12345],"operator":"alice",
+ *    "reason":null,"reasonCode":null,"expiresAt":null,
+ *    "accumulatorBefore":{"x":"0","y":"1"},
+ *    "accumulator":{"x":"...","y":"..."},"timestamp":1700000000000,
+ *    "prevHash":"000...0","hash":"..."}
+ *
+ * Devices are written as given (number, string, or { bigint } for
+ * BigInts). verifyAuditLog() needs nothing but the file: it re-derives
+ * every hash and replays every point addition from the identity (0, 1),
+ * or from a namespace's initial accumulator (see accumulator-manager.js).
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const BabyJubjub = require("./baby-jubjub");
+const { parsePoint } = require("./point-validation");
+const { toIdentity } = require("./device-identity");
+const { decodeDeviceId } = require("./revocation-store");
+
+const AUDIT_VERSION = 1;
+const AUDIT_VERSION_TERMS = 2;
+const GENESIS_HASH = "0".repeat(64);
+
+const ERRORS = {
+    INVALID_ENTRY: "INVALID_ENTRY",
+    BROKEN_CHAIN: "BROKEN_CHAIN",
+    HASH_MISMATCH: "HASH_MISMATCH",
+    ACCUMULATOR_MISMATCH: "ACCUMULATOR_MISMATCH",
+    HEAD_MISMATCH: "HEAD_MISMATCH"
+};
+
+// Operations that add g^element; "reinstate" subtracts it
+const ADDING = new Set(["revoke", "batchRevoke"]);
+
+/**
+ * Hash of an audit entry (every field except hash itself)
+ */
+function auditHash(entry) {
+    const { accumulatorBefore: before, accumulator: after } = entry;
+    const terms = (entry.reasonCode !== undefined && entry.reasonCode !== null) ||
+        (entry.expiresAt !== undefined && entry.expiresAt !== null);
+    const fields = [
+        terms ? AUDIT_VERSION_TERMS : AUDIT_VERSION, entry.prevHash, entry.epoch, entry.operation, entry.devices,
+        entry.operator, entry.reason, before.x, before.y, after.x, after.y, entry.timestamp
+    ];
+    const body = JSON.stringify(terms ? [...fields, entry.reasonCode, entry.expiresAt] : fields);
+    return crypto.createHash("sha256").update(body).digest("hex");
+}
+
+/**
+ * Build a complete audit entry, hash included
+ * @param {object} fields - epoch, operation, devices (encoded), operator,
+ *   reason, reasonCode, expiresAt, accumulatorBefore, accumulator ({ x, y } decimal strings),
+ *   timestamp, prevHash
+ */
+function auditEntry(fields) {
+    const entry = {
+        epoch: fields.epoch,
+        operation: fields.operation,
+        devices: fields.devices,
+        operator: fields.operator === undefined ? null : fields.operator,
+        reason: fields.reason === undefined ? null : fields.reason,
+        reasonCode: fields.reasonCode === undefined ? null : fields.reasonCode,
+        expiresAt: fields.expiresAt === undefined ? null : fields.expiresAt,
+        accumulatorBefore: fields.accumulatorBefore,
+        accumulator: fields.accumulator,
+        timestamp: fields.timestamp,
+        prevHash: fields.prevHash
+    };
+    return { ...entry, hash: auditHash(entry) };
+}
+
+/**
+ * Read an exported audit log (JSON Lines, blank lines skipped)
+ */
+function readAuditLog(file) {
+    return fs.readFileSync(file, "utf8").split("\n")
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line));
+}
+
+/**
+ * Write audit entries as JSON Lines
+ */
+function writeAuditLog(file, entries) {
+    fs.writeFileSync(file, entries.map((entry) => JSON.stringify(entry) + "\n").join(""));
+}
+
+/**
+ * Verify an audit log on its own: every entry must link to the previous
+ * hash, hash to its recorded value and start at the accumulator the
+ * previous one ended at (the first at the initial accumulator), and every
+ * recorded accumulator must equal the replayed point additions.
+ * @param {string|Array<object>} source - exported JSONL file or entries
+ * @param {object} [options]
+ * @param {object} [options.initialAccumulator] - epoch 0 accumulator
+ *   { x, y } (default the identity (0, 1))
+ * @param {object} [options.accumulator] - expected final accumulator { x, y }
+ *   (e.g. read from the registry contract)
+ * @param {string} [options.head] - expected hash of the last entry
+ * @param {BabyJubjub} [options.curve]
+ * @returns {{valid: true, entries, head, accumulator, revoked}|{valid: false, epoch, error, message}}
+ *   revoked is the number of devices revoked after the last entry; error
+ *   is one of ERRORS
+ */
+function verifyAuditLog(source, options = {}) {
+    const curve = options.curve || new BabyJubjub();
+    let entries;
+    try {
+        entries = Array.isArray(source) ? source : readAuditLog(source);
+    } catch (error) {
+        return { valid: false, epoch: null, error: ERRORS.INVALID_ENTRY, message: `Unreadable audit log: ${error.message}` };
+    }
+
+    let accumulator;
+    try {
+        accumulator = options.initialAccumulator
+            ? parsePoint(curve, options.initialAccumulator, { name: "initialAccumulator" })
+            : curve.IDENTITY;
+    } catch (error) {
+        return { valid: false, epoch: 0, error: ERRORS.INVALID_ENTRY, message: error.message };
+    }
+    let prevHash = GENESIS_HASH;
+    const revoked = new Set();
+
+    for (const [i, entry] of entries.entries()) {
+        const epoch = i + 1;
+        const fail = (error, message) => ({ valid: false, epoch, error, message: `Entry ${epoch}: ${message}` });
+
+        if (!entry || typeof entry !== "object" || !Array.isArray(entry.devices)) {
+            return fail(ERRORS.INVALID_ENTRY, "not an audit entry");
+        }
+        if (entry.epoch !== epoch || entry.prevHash !== prevHash) {
+            return fail(ERRORS.BROKEN_CHAIN, `does not follow entry ${epoch - 1}`);
+        }
+
+        let before;
+        let after;
+        try {
+            before = parsePoint(curve, entry.accumulatorBefore, { name: "accumulatorBefore", subgroup: false });
+            after = parsePoint(curve, entry.accumulator, { name: "accumulator", subgroup: false });
+        } catch (error) {
+            return fail(ERRORS.INVALID_ENTRY, error.message);
+        }
+        if (auditHash(entry) !== entry.hash) {
+            return fail(ERRORS.HASH_MISMATCH, "contents do not match its hash");
+        }
+        if (!curve.pointEquals(before, accumulator)) {
+            return fail(ERRORS.ACCUMULATOR_MISMATCH, "accumulatorBefore is not the previous accumulator");
+        }
+
+        for (const device of entry.devices) {
+            let element;
+            try {
+                ({ element } = toIdentity(decodeDeviceId(device)));
+            } catch (error) {
+                return fail(ERRORS.INVALID_ENTRY, error.message);
+            }
+
+            if (ADDING.has(entry.operation)) {
+                if (revoked.has(element)) {
+                    return fail(ERRORS.INVALID_ENTRY, `device ${JSON.stringify(device)} is already revoked`);
+                }
+                revoked.add(element);
+                accumulator = curve.pointAdd(accumulator, curve.scalarMul(element));
+            } else if (entry.operation === "reinstate") {
+                if (!revoked.delete(element)) {
+                    return fail(ERRORS.INVALID_ENTRY, `device ${JSON.stringify(device)} is not revoked`);
+                }
+                accumulator = curve.pointSub(accumulator, curve.scalarMul(element));
+            } else {
+                return fail(ERRORS.INVALID_ENTRY, `unknown operation "${entry.operation}"`);
+            }
+        }
+        if (!curve.pointEquals(after, accumulator)) {
+            return fail(ERRORS.ACCUMULATOR_MISMATCH, "accumulator does not follow from its devices");
+        }
+        prevHash = entry.hash;
+    }
+
+    const final = curve.toObject(accumulator);
+    const done = (error, message) => ({ valid: false, epoch: entries.length, error, message });
+    if (options.accumulator && (String(options.accumulator.x) !== final.x || String(options.accumulator.y) !== final.y)) {
+        return done(ERRORS.ACCUMULATOR_MISMATCH, "Final accumulator differs from the expected one");
+    }
+    if (options.head && options.head !== prevHash) {
+        return done(ERRORS.HEAD_MISMATCH, "Last entry hash differs from the expected head");
+    }
+
+    return { valid: true, entries: entries.length, head: prevHash, accumulator: final, revoked: revoked.size };
+}
+
+module.exports = {
+    ERRORS,
+    GENESIS_HASH,
+    auditHash,
+    auditEntry,
+    readAuditLog,
+    writeAuditLog,
+    verifyAuditLog
+};
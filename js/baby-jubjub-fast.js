@@ -0,0 +1,276 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      FAST BABY JUBJUB ARITHMETIC
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Drop-in replacement for BabyJubjub with the same affine inputs and
+ * outputs (results are bit-identical), but:
+ *
+ * - Extended twisted-Edwards coordinates (X:Y:T:Z), x = X/Z, y = Y/Z,
+ *   T = XY/Z, so additions and doublings need no field inversion. One
+ *   inversion converts the result back to affine.
+ * - Precomputed fixed-base tables (windowBits-wide windows) for BASE and
+ *   any point registered with addFixedBase(): k*P is one table lookup and
+ *   addition per window, with no doublings.
+ * - An LRU cache of g^k results (device points are recomputed on every
+ *   revoke, witness check and proof).
+ * - pointAddMany() adds one point to many points with a single batched
+ *   inversion (Montgomery's trick), used for witness update passes.
+ *
+ * Fixed bases must lie in the prime-order subgroup, so scalars can be
+ * reduced modulo subOrder without changing the result.
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const BabyJubjub = require("./baby-jubjub");
+
+class FastBabyJubjub extends BabyJubjub {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.windowBits=8] - fixed-base table window width
+     * @param {number} [options.cacheSize=100000] - max cached g^k results (0 disables)
+     */
+    constructor(options = {}) {
+        super();
+        this.windowBits = options.windowBits || 8;
+        this.cacheSize = options.cacheSize === undefined ? 100000 : options.cacheSize;
+
+        // Fixed-base tables keyed by "x,y", built on first use
+        this.fixedBases = new Map();
+        this.addFixedBase(this.BASE);
+
+        // g^k cache keyed by k (decimal string); Map order is recency order,
+        // so the first key is the least recently used
+        this.scalarCache = new Map();
+        this.cacheHits = 0;
+        this.cacheMisses = 0;
+    }
+
+    // ============ Extended Coordinates ============
+
+    toExtended(point) {
+        return [point[0], point[1], this.F.mul(point[0], point[1]), this.F.one];
+    }
+
+    toAffine(point) {
+        const zInv = this.F.inv(point[3]);
+        return [this.F.mul(point[0], zInv), this.F.mul(point[1], zInv)];
+    }
+
+    /**
+     * Unified extended addition (add-2008-hwcd), complete on Baby Jubjub
+     */
+    addExtended(p1, p2) {
+        const F = this.F;
+        const A = F.mul(p1[0], p2[0]);
+        const B = F.mul(p1[1], p2[1]);
+        const C = F.mul(this.d, F.mul(p1[2], p2[2]));
+        const D = F.mul(p1[3], p2[3]);
+        const E = F.sub(F.sub(F.mul(F.add(p1[0], p1[1]), F.add(p2[0], p2[1])), A), B);
+        const Fe = F.sub(D, C);
+        const G = F.add(D, C);
+        const H = F.sub(B, F.mul(this.a, A));
+        return [F.mul(E, Fe), F.mul(G, H), F.mul(E, H), F.mul(Fe, G)];
+    }
+
+    /**
+     * Extended doubling (dbl-2008-hwcd)
+     */
+    doubleExtended(p) {
+        const F = this.F;
+        const A = F.square(p[0]);
+        const B = F.square(p[1]);
+        const C = F.add(F.square(p[3]), F.square(p[3]));
+        const D = F.mul(this.a, A);
+        const E = F.sub(F.sub(F.square(F.add(p[0], p[1])), A), B);
+        const G = F.add(D, B);
+        const Fe = F.sub(G, C);
+        const H = F.sub(D, B);
+        return [F.mul(E, Fe), F.mul(G, H), F.mul(E, H), F.mul(Fe, G)];
+    }
+
+    /**
+     * Invert many non-zero field elements with one inversion
+     */
+    batchInvert(values) {
+        const F = this.F;
+        const prefix = new Array(values.length);
+        let acc = F.one;
+        for (let i = 0; i < values.length; i++) {
+            prefix[i] = acc;
+            acc = F.mul(acc, values[i]);
+        }
+
+        let inv = F.inv(acc);
+        const result = new Array(values.length);
+        for (let i = values.length - 1; i >= 0; i--) {
+            result[i] = F.mul(inv, prefix[i]);
+            inv = F.mul(inv, values[i]);
+        }
+        return result;
+    }
+
+    // ============ Fixed-Base Tables ============
+
+    pointKey(point) {
+        return `${point[0]},${point[1]}`;
+    }
+
+    /**
+     * Register a subgroup point for table-based multiplication
+     */
+    addFixedBase(point) {
+        const key = this.pointKey(point);
+        if (!this.fixedBases.has(key)) {
+            this.fixedBases.set(key, null);
+        }
+    }
+
+    /**
+     * Table for a registered base: table[i][j] = j * 2^(windowBits*i) * P,
+     * stored as extended points with Z = 1
+     */
+    fixedBaseTable(point) {
+        const key = this.pointKey(point);
+        if (!this.fixedBases.has(key)) return null;
+
+        let table = this.fixedBases.get(key);
+        if (table) return table;
+
+        const windowSize = 1 << this.windowBits;
+        const windows = Math.ceil(this.subOrder.toString(2).length / this.windowBits);
+        const identity = [this.F.zero, this.F.one, this.F.zero, this.F.one];
+
+        // Build every row in extended coordinates, then normalize in one batch
+        const rows = [];
+        let windowBase = this.toExtended(point);
+        for (let i = 0; i < windows; i++) {
+            const row = [identity];
+            for (let j = 1; j < windowSize; j++) {
+                row.push(this.addExtended(row[j - 1], windowBase));
+            }
+            rows.push(row);
+            for (let b = 0; b < this.windowBits; b++) {
+                windowBase = this.doubleExtended(windowBase);
+            }
+        }
+
+        const zInvs = this.batchInvert(rows.flat().map((p) => p[3]));
+        let n = 0;
+        table = rows.map((row) => row.map((p) => {
+            const zInv = zInvs[n++];
+            return this.toExtended([this.F.mul(p[0], zInv), this.F.mul(p[1], zInv)]);
+        }));
+
+        this.fixedBases.set(key, table);
+        return table;
+    }
+
+    // ============ Public API (affine in, affine out) ============
+
+    /**
+     * Scalar multiplication of BASE, served from the g^k cache when possible
+     */
+    scalarMul(k) {
+        if (this.cacheSize === 0) {
+            return this.pointMul(this.BASE, k);
+        }
+
+        const key = BigInt(k).toString();
+        const cached = this.scalarCache.get(key);
+        if (cached) {
+            this.cacheHits++;
+            this.scalarCache.delete(key);
+            this.scalarCache.set(key, cached);
+            return [cached[0], cached[1]];
+        }
+
+        this.cacheMisses++;
+        const result = this.pointMul(this.BASE, k);
+        if (this.scalarCache.size >= this.cacheSize) {
+            this.scalarCache.delete(this.scalarCache.keys().next().value);
+        }
+        this.scalarCache.set(key, result);
+        return [result[0], result[1]];
+    }
+
+    /**
+     * Scalar multiplication of an arbitrary point
+     */
+    pointMul(point, k) {
+        let scalar = BigInt(k);
+
+        // Matches double-and-add, which returns the identity for k <= 0
+        if (scalar <= 0n) {
+            return [this.F.zero, this.F.one];
+        }
+
+        const table = this.fixedBaseTable(point);
+        if (table) {
+            scalar %= this.subOrder;
+            const mask = BigInt((1 << this.windowBits) - 1);
+            const shift = BigInt(this.windowBits);
+
+            let result = table[0][0];
+            for (let i = 0; scalar > 0n; i++) {
+                const digit = Number(scalar & mask);
+                if (digit) {
+                    result = this.addExtended(result, table[i][digit]);
+                }
+                scalar >>= shift;
+            }
+            return this.toAffine(result);
+        }
+
+        // Left-to-right double-and-add in extended coordinates
+        const base = this.toExtended(point);
+        let result = [this.F.zero, this.F.one, this.F.zero, this.F.one];
+        for (let bit = BigInt(scalar.toString(2).length - 1); bit >= 0n; bit--) {
+            result = this.doubleExtended(result);
+            if ((scalar >> bit) & 1n) {
+                result = this.addExtended(result, base);
+            }
+        }
+        return this.toAffine(result);
+    }
+
+    /**
+     * Add q to every point in `points` with one batched inversion
+     */
+    pointAddMany(points, q) {
+        const F = this.F;
+        const [x2, y2] = q;
+
+        const parts = points.map(([x1, y1]) => {
+            const x1x2 = F.mul(x1, x2);
+            const y1y2 = F.mul(y1, y2);
+            const dxy = F.mul(this.d, F.mul(x1x2, y1y2));
+            return {
+                xNum: F.add(F.mul(x1, y2), F.mul(y1, x2)),
+                yNum: F.sub(y1y2, F.mul(this.a, x1x2)),
+                xDen: F.add(F.one, dxy),
+                yDen: F.sub(F.one, dxy)
+            };
+        });
+
+        const inverses = this.batchInvert(parts.flatMap((part) => [part.xDen, part.yDen]));
+        return parts.map((part, i) => [
+            F.mul(part.xNum, inverses[2 * i]),
+            F.mul(part.yNum, inverses[2 * i + 1])
+        ]);
+    }
+
+    /**
+     * g^k cache statistics
+     */
+    getCacheStats() {
+        return {
+            size: this.scalarCache.size,
+            hits: this.cacheHits,
+            misses: this.cacheMisses
+        };
+    }
+}
+
+module.exports = FastBabyJubjub;
@@ -0,0 +1,174 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      BABY JUBJUB CURVE OPERATIONS
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Affine twisted-Edwards arithmetic on Baby Jubjub, matching
+ * B_Evoke_Registry_ECC.sol and circomlib's BabyAdd/EscalarMulAny.
+ *
+ * Points are [x, y] pairs of field elements (BigInt).
+ * The identity point is (0, 1).
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const { F1Field } = require("ffjavascript");
+
+class BabyJubjub {
+    constructor() {
+        // Baby Jubjub prime field
+        this.p = BigInt("21888242871839275222246405745257275088548364400416034343698204186575808495617");
+        this.F = new F1Field(this.p);
+
+        // Baby Jubjub curve parameters
+        this.a = this.F.e(BigInt("168700"));
+        this.d = this.F.e(BigInt("168696"));
+
+        // Base point (generator) on Baby Jubjub
+        this.BASE = [
+            this.F.e(BigInt("5299619240641551281634865583518297030282874472190772894086521144482721001553")),
+            this.F.e(BigInt("16950150798460657717958625567821834550301663161624707787222815936182638968203"))
+        ];
+
+        // Identity point (0,1)
+        this.IDENTITY = [this.F.zero, this.F.one];
+
+        // Order of the prime-order subgroup generated by BASE (cofactor 8)
+        this.subOrder = BigInt("2736030358979909402780800718157159386076813972158567259200215660948447373041");
+    }
+
+    /**
+     * Baby Jubjub point addition
+     * Formula: x3 = (x1*y2 + y1*x2) / (1 + d*x1*x2*y1*y2)
+     *          y3 = (y1*y2 - a*x1*x2) / (1 - d*x1*x2*y1*y2)
+     */
+    pointAdd(p1, p2) {
+        const x1 = p1[0];
+        const y1 = p1[1];
+        const x2 = p2[0];
+        const y2 = p2[1];
+
+        const x1y2 = this.F.mul(x1, y2);
+        const y1x2 = this.F.mul(y1, x2);
+        const x1x2 = this.F.mul(x1, x2);
+        const y1y2 = this.F.mul(y1, y2);
+
+        const dx1x2y1y2 = this.F.mul(this.d, this.F.mul(x1x2, y1y2));
+
+        // x3 = (x1*y2 + y1*x2) / (1 + d*x1*x2*y1*y2)
+        const x3num = this.F.add(x1y2, y1x2);
+        const x3den = this.F.add(this.F.one, dx1x2y1y2);
+        const x3 = this.F.div(x3num, x3den);
+
+        // y3 = (y1*y2 - a*x1*x2) / (1 - d*x1*x2*y1*y2)
+        const ax1x2 = this.F.mul(this.a, x1x2);
+        const y3num = this.F.sub(y1y2, ax1x2);
+        const y3den = this.F.sub(this.F.one, dx1x2y1y2);
+        const y3 = this.F.div(y3num, y3den);
+
+        return [x3, y3];
+    }
+
+    /**
+     * Add q to every point in `points`
+     */
+    pointAddMany(points, q) {
+        return points.map((point) => this.pointAdd(point, q));
+    }
+
+    /**
+     * Point negation: -(x, y) = (-x, y) on twisted Edwards curves
+     */
+    pointNeg(p) {
+        return [this.F.neg(p[0]), p[1]];
+    }
+
+    /**
+     * Point subtraction p1 - p2
+     */
+    pointSub(p1, p2) {
+        return this.pointAdd(p1, this.pointNeg(p2));
+    }
+
+    /**
+     * Scalar multiplication of BASE using double-and-add algorithm
+     */
+    scalarMul(k) {
+        return this.pointMul(this.BASE, k);
+    }
+
+    /**
+     * Scalar multiplication of an arbitrary point using double-and-add
+     */
+    pointMul(point, k) {
+        let result = [this.F.zero, this.F.one];  // Identity
+        let base = [point[0], point[1]];
+        let scalar = BigInt(k);
+
+        while (scalar > 0n) {
+            if (scalar & 1n) {
+                result = this.pointAdd(result, base);
+            }
+            base = this.pointAdd(base, base);  // Point doubling
+            scalar >>= 1n;
+        }
+
+        return result;
+    }
+
+    /**
+     * Check two points for equality
+     */
+    pointEquals(p1, p2) {
+        return this.F.eq(p1[0], p2[0]) && this.F.eq(p1[1], p2[1]);
+    }
+
+    // ============ Point Validation ============
+
+    /**
+     * Check a*x^2 + y^2 = 1 + d*x^2*y^2
+     */
+    isOnCurve(point) {
+        const xx = this.F.square(point[0]);
+        const yy = this.F.square(point[1]);
+        const lhs = this.F.add(this.F.mul(this.a, xx), yy);
+        const rhs = this.F.add(this.F.one, this.F.mul(this.d, this.F.mul(xx, yy)));
+        return this.F.eq(lhs, rhs);
+    }
+
+    /**
+     * Check subOrder * point = identity, i.e. the point has no component
+     * in the order-8 torsion subgroup (point must be on the curve)
+     */
+    isInSubgroup(point) {
+        return this.isIdentity(this.pointMul(point, this.subOrder));
+    }
+
+    /**
+     * Check for the identity point (0, 1)
+     */
+    isIdentity(point) {
+        return this.pointEquals(point, this.IDENTITY);
+    }
+
+    /**
+     * Convert a point to canonical (unsigned) decimal strings { x, y }
+     * F.toString would print elements above p/2 as negative numbers
+     */
+    toObject(point) {
+        return {
+            x: this.F.toObject(point[0]).toString(),
+            y: this.F.toObject(point[1]).toString()
+        };
+    }
+
+    /**
+     * Parse a point from [x, y] or { x, y } with decimal strings, numbers or BigInts
+     */
+    fromObject(value) {
+        const [x, y] = Array.isArray(value) ? value : [value.x, value.y];
+        return [this.F.e(BigInt(x)), this.F.e(BigInt(y))];
+    }
+}
+
+module.exports = BabyJubjub;
@@ -0,0 +1,343 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      CIRCUIT WITNESS DIAGNOSTICS
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Explains why witness generation fails. The generated
+ * witness_calculator.js only reports
+ *
+ *   Error: Assert Failed.
+ *   Error in template EVOKEMembership_12 line: 59
+ *
+ * diagnoseWitness() re-runs the calculator and maps that back to the
+ * circuit: the source statement (`accX === pointAdd.xout;`), the full
+ * signal names from the .sym file (main.accX, main.pointAdd.xout) and
+ * their values:
+ *
+ *   input     - taken from the circuit input
+ *   witness   - read from the calculator's memory after the failure
+ *   computed  - recomputed in JS by the circuit's model, for signals the
+ *               compiler optimised out of the witness (.sym index -1)
+ *
+ * Before running, every input is checked against the field and against
+ * the Num2Bits(n) width the circuit decomposes it with. The calculator
+ * silently reduces values modulo p, and Num2Bits fails deep inside
+ * circomlib, so both are reported against the input signal instead.
+ *
+ * Frames in circomlib templates (e.g. Num2Bits line 38) are reported by
+ * template and line only; circomlib sources are not shipped here.
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require("fs");
+const path = require("path");
+const BabyJubjub = require("./baby-jubjub");
+const GapAccumulator = require("./gap-accumulator");
+const MembershipProver = require("./membership-prover");
+const NonMembershipProver = require("./non-membership-prover");
+const TransitionProver = require("./transition-prover");
+
+// BN254 scalar field: the circuits' native field
+const FIELD = BigInt("21888242871839275222246405745257275088548364400416034343698204186575808495617");
+
+const ISSUES = {
+    NOT_AN_INTEGER: "NOT_AN_INTEGER",
+    OUT_OF_FIELD: "OUT_OF_FIELD",
+    EXCEEDS_BITS: "EXCEEDS_BITS"
+};
+
+/**
+ * Signal values for the x and y coordinates of a point
+ */
+function pointSignals(curve, point, xName, yName) {
+    const { x, y } = curve.toObject(point);
+    return { [xName]: x, [yName]: y };
+}
+
+// Per circuit: default artifacts, Num2Bits width of each range-checked
+// input, and a JS model of the intermediate signals
+const CIRCUIT_CHECKS = {
+    "membership": {
+        circuit: MembershipProver.DEFAULT_CIRCUIT,
+        bits: { element: 254 },
+        model(input, curve) {
+            const elementPoint = curve.scalarMul(BigInt(input.element));
+            const sum = curve.pointAdd(curve.fromObject([input.witnessX, input.witnessY]), elementPoint);
+            return {
+                "main.n2b.in": input.element,
+                ...pointSignals(curve, elementPoint, "main.elementPoint.out[0]", "main.elementPoint.out[1]"),
+                ...pointSignals(curve, sum, "main.pointAdd.xout", "main.pointAdd.yout")
+            };
+        }
+    },
+    "non-membership": {
+        circuit: NonMembershipProver.DEFAULT_CIRCUIT,
+        bits: { element: 252, lowerBound: 252, upperBound: 252, leafIndex: GapAccumulator.DEPTH },
+        model(input) {
+            const [element, lower, upper] = [input.element, input.lowerBound, input.upperBound].map(BigInt);
+            return {
+                "main.elementBits.in": input.element,
+                "main.lowerBits.in": input.lowerBound,
+                "main.upperBits.in": input.upperBound,
+                "main.indexBits.in": input.leafIndex,
+                "main.belowElement.out": lower < element ? "1" : "0",
+                "main.aboveElement.out": element < upper ? "1" : "0",
+                "main.elementCommitment.out": GapAccumulator.elementHash(element).toString(),
+                "main.leaf.out": GapAccumulator.leafHash(lower, upper).toString()
+            };
+        }
+    },
+    "ecc": {
+        circuit: TransitionProver.DEFAULT_CIRCUIT,
+        bits: {},
+        model(input, curve) {
+            const [element, secret] = [input.element, input.secret].map(BigInt);
+            const combined = (element * secret + element + secret) % FIELD;
+            const sum = curve.pointAdd(curve.fromObject([input.oldAccX, input.oldAccY]), curve.scalarMul(combined));
+            return {
+                "main.combined": combined.toString(),
+                ...pointSignals(curve, sum, "main.pointAdd.xout", "main.pointAdd.yout")
+            };
+        }
+    }
+};
+
+// Parsed .sym files by path
+const symbolCache = new Map();
+
+// Shared affine curve for models, created on first use
+let modelCurve = null;
+
+/**
+ * Parse a .sym file into name -> { signal, witness, component }
+ * (witness is -1 for signals optimised out of the witness)
+ */
+function loadSymbols(symPath) {
+    if (!symbolCache.has(symPath)) {
+        const symbols = new Map();
+        for (const line of fs.readFileSync(symPath, "utf8").split("\n")) {
+            const [signal, witness, component, name] = line.split(",");
+            if (name) {
+                symbols.set(name.trim(), { signal: Number(signal), witness: Number(witness), component: Number(component) });
+            }
+        }
+        symbolCache.set(symPath, symbols);
+    }
+    return symbolCache.get(symPath);
+}
+
+/**
+ * Check every input value against the field and its Num2Bits width
+ * @returns {Array<{signal, value, issue, message}>}
+ */
+function checkInputs(input, bits = {}) {
+    const issues = [];
+    for (const [signal, raw] of Object.entries(input)) {
+        for (const [i, item] of [raw].flat(Infinity).entries()) {
+            const name = Array.isArray(raw) ? `${signal}[${i}]` : signal;
+            let value;
+            try {
+                value = BigInt(item);
+            } catch (error) {
+                issues.push({ signal: name, value: String(item), issue: ISSUES.NOT_AN_INTEGER, message: `${name} is not an integer: ${item}` });
+                continue;
+            }
+
+            if (value < 0n || value >= FIELD) {
+                issues.push({
+                    signal: name,
+                    value: value.toString(),
+                    issue: ISSUES.OUT_OF_FIELD,
+                    message: `${name} is outside the field [0, p) and would be reduced modulo p`
+                });
+            }
+            if (bits[signal] && (value < 0n || value >= 1n << BigInt(bits[signal]))) {
+                issues.push({
+                    signal: name,
+                    value: value.toString(),
+                    issue: ISSUES.EXCEEDS_BITS,
+                    message: `${name} does not fit Num2Bits(${bits[signal]})`
+                });
+            }
+        }
+    }
+    return issues;
+}
+
+/**
+ * Parse "Error in template T_12 line: 59" frames, innermost first
+ */
+function parseFrames(message) {
+    const frames = [];
+    for (const match of message.matchAll(/Error in template (\w+?)(?:_\d+)? line: (\d+)/g)) {
+        frames.push({ template: match[1], line: Number(match[2]) });
+    }
+    return frames;
+}
+
+/**
+ * Source statement of a frame if the template is defined in the circuit file
+ */
+function sourceLine(sourcePath, frame) {
+    if (!sourcePath || !fs.existsSync(sourcePath)) return null;
+    const lines = fs.readFileSync(sourcePath, "utf8").split("\n");
+    if (!lines.some((line) => new RegExp(`^\\s*template\\s+${frame.template}\\s*\\(`).test(line))) return null;
+    return (lines[frame.line - 1] || "").trim() || null;
+}
+
+/**
+ * Run witness generation and explain a failure
+ * @param {object} circuit - { wasm, sym, source } paths; witness_calculator.js
+ *   is loaded from the wasm's directory
+ * @param {object} input - circuit input
+ * @param {object} [options]
+ * @param {object} [options.bits] - Num2Bits width per input signal
+ * @param {function} [options.model] - (input, curve) => { signalName: value }
+ * @returns {Promise<{ok, message, inputIssues, error, frames, signals}>}
+ *   frames are innermost first with the source statement as `code` when
+ *   known; signals are those named in the failing statement
+ */
+async function diagnoseWitness(circuit, input, options = {}) {
+    const inputIssues = checkInputs(input, options.bits);
+    const builder = require(path.join(path.dirname(circuit.wasm), "witness_calculator.js"));
+
+    // A fresh calculator per run: it accumulates error text across calls
+    const calculator = await builder(fs.readFileSync(circuit.wasm));
+    try {
+        await calculator.calculateWitness(input, true);
+    } catch (error) {
+        return explainFailure(circuit, input, options, calculator, error, inputIssues);
+    }
+
+    return {
+        ok: inputIssues.length === 0,
+        message: inputIssues.length
+            ? `Witness generated, but: ${inputIssues.map((issue) => issue.message).join("; ")}`
+            : "Witness generated; all constraints hold",
+        inputIssues,
+        error: null,
+        frames: [],
+        signals: []
+    };
+}
+
+/**
+ * Build the diagnosis of a failed witness calculation
+ */
+function explainFailure(circuit, input, options, calculator, error, inputIssues) {
+    const frames = parseFrames(error.message).map((frame) => ({ ...frame, code: sourceLine(circuit.source, frame) }));
+    const [reason] = error.message.replace(/^Error: /, "").split("\n");
+
+    // The statement in the circuit's own templates that led to the failure
+    const statement = frames.slice().reverse().find((frame) => frame.code) || null;
+    const signals = statement ? statementSignals(circuit, input, options, calculator, statement.code) : [];
+
+    const parts = [];
+    if (statement) {
+        const values = signals.map((signal) =>
+            `${signal.name} = ${signal.value === null ? "?" : signal.value}${signal.source ? ` (${signal.source})` : ""}`);
+        parts.push(`${reason.replace(/\.$/, "")} at ${path.basename(circuit.source)}:${statement.line} ` +
+            `\`${statement.code}\`${values.length ? `: ${values.join(", ")}` : ""}`);
+        const inner = frames[0];
+        if (inner !== statement) {
+            parts.push(`inside ${inner.template} line ${inner.line}`);
+        }
+    } else {
+        parts.push(error.message.trim().replace(/\n/g, "; "));
+    }
+    parts.push(...inputIssues.map((issue) => issue.message));
+
+    return {
+        ok: false,
+        message: parts.join("; "),
+        inputIssues,
+        error: reason,
+        frames,
+        signals
+    };
+}
+
+/**
+ * Names and values of the signals referenced by a source statement
+ */
+function statementSignals(circuit, input, options, calculator, code) {
+    const symbols = circuit.sym && fs.existsSync(circuit.sym) ? loadSymbols(circuit.sym) : new Map();
+    const names = new Set();
+    for (const token of code.match(/[A-Za-z_]\w*(?:\[\d+\])?(?:\.[A-Za-z_]\w*(?:\[\d+\])?)*/g) || []) {
+        if (symbols.has(`main.${token}`)) names.add(`main.${token}`);
+    }
+
+    let modelled = null;
+    const computed = () => {
+        if (modelled === null) {
+            try {
+                // The model sees what the circuit sees: values reduced modulo p
+                const reduced = {};
+                for (const [signal, value] of Object.entries(input)) {
+                    reduced[signal] = Array.isArray(value) ? value.map(fieldValue) : fieldValue(value);
+                }
+                modelCurve = modelCurve || new BabyJubjub();
+                modelled = options.model ? options.model(reduced, modelCurve) : {};
+            } catch (error) {
+                modelled = {};
+            }
+        }
+        return modelled;
+    };
+
+    return Array.from(names, (name) => {
+        const symbol = symbols.get(name);
+        const inputName = name.slice("main.".length);
+        if (Object.prototype.hasOwnProperty.call(input, inputName)) {
+            return { name, witness: symbol.witness, value: fieldValue(input[inputName]), source: "input" };
+        }
+        if (symbol.witness >= 0) {
+            return { name, witness: symbol.witness, value: readWitness(calculator, symbol.witness), source: "witness" };
+        }
+        const value = computed()[name];
+        return { name, witness: -1, value: value === undefined ? null : value, source: value === undefined ? null : "computed" };
+    });
+}
+
+/**
+ * Decimal string of a value reduced into [0, p)
+ */
+function fieldValue(value) {
+    return (((BigInt(value) % FIELD) + FIELD) % FIELD).toString();
+}
+
+/**
+ * Read one witness value from the calculator's memory
+ */
+function readWitness(calculator, index) {
+    const { exports } = calculator.instance;
+    exports.getWitness(index);
+    let value = 0n;
+    for (let j = calculator.n32 - 1; j >= 0; j--) {
+        value = (value << 32n) + BigInt(exports.readSharedRWMemory(j));
+    }
+    return value.toString();
+}
+
+/**
+ * Diagnose the input of one of the known circuits ("membership",
+ * "non-membership" or "ecc"), optionally with other artifact paths
+ */
+function diagnoseProofInput(type, input, circuit) {
+    const checks = CIRCUIT_CHECKS[type];
+    if (!checks) {
+        throw new Error(`Unknown circuit type "${type}" (expected ${Object.keys(CIRCUIT_CHECKS).join(", ")})`);
+    }
+    return diagnoseWitness({ ...checks.circuit, ...circuit }, input, checks);
+}
+
+module.exports = {
+    FIELD,
+    ISSUES,
+    CIRCUIT_CHECKS,
+    loadSymbols,
+    checkInputs,
+    diagnoseWitness,
+    diagnoseProofInput
+};
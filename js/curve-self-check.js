@@ -0,0 +1,165 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      CURVE SELF-CHECK
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Differential check of the JS curve code against the compiled circuits.
+ * The JS pointAdd/scalarMul and circomlib's BabyAdd/EscalarMulAny are
+ * separate implementations; if they disagree, witnesses computed in JS
+ * stop satisfying the circuits and the only symptom is a failed proof.
+ *
+ * Every case runs through the ecc_accumulator circuit wasm with
+ * secret = 0, so combined = element and
+ *
+ *   (newAccX, newAccY) = (oldAccX, oldAccY) + g^element
+ *
+ * The output signals are read from the witness at the indices the .sym
+ * file gives for main.newAccX and main.newAccY, and compared with
+ * pointAdd(oldAcc, scalarMul(element)) from each JS curve. With the
+ * identity (0, 1) as oldAcc this is scalarMul alone, and the sum is the
+ * accumulator of a device whose membership witness is the identity.
+ *
+ * Edge cases: scalars 0, 1, 2, subOrder - 1, subOrder, subOrder + 1,
+ * 2^253 and p - 1 on the identity; doubling, a sum that is the identity,
+ * adding the identity and the order-2 point (0, -1). Random cases follow,
+ * drawn from a seed so a mismatch can be reproduced.
+ *
+ * The check stops at the first mismatch and reports it with its inputs.
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const BabyJubjub = require("./baby-jubjub");
+const FastBabyJubjub = require("./baby-jubjub-fast");
+const TransitionProver = require("./transition-prover");
+const { FIELD, loadSymbols } = require("./circuit-diagnostics");
+
+const ERRORS = {
+    MISMATCH: "MISMATCH",
+    WITNESS_FAILED: "WITNESS_FAILED"
+};
+
+const DEFAULT_RANDOM_CASES = 32;
+
+/**
+ * Deterministic stream of field elements from a seed:
+ * SHA-256(seed || counter) mod p
+ */
+function randomScalars(seed) {
+    let counter = 0;
+    return () => {
+        const digest = crypto.createHash("sha256").update(`${seed}:${counter++}`).digest("hex");
+        return BigInt("0x" + digest) % FIELD;
+    };
+}
+
+/**
+ * Edge cases, then `random` random ones
+ * @returns {Array<{name, element, oldAcc}>} element as BigInt, oldAcc as
+ *   { x, y } decimal strings
+ */
+function selfCheckCases(curve, { random = DEFAULT_RANDOM_CASES, seed }) {
+    const { subOrder } = curve;
+    const identity = { x: "0", y: "1" };
+    const point = (k) => curve.toObject(curve.scalarMul(k));
+
+    const cases = [
+        ["0 (identity witness)", 0n, identity],
+        ["1 (identity witness)", 1n, identity],
+        ["2 (identity witness)", 2n, identity],
+        ["subOrder - 1", subOrder - 1n, identity],
+        ["subOrder", subOrder, identity],
+        ["subOrder + 1", subOrder + 1n, identity],
+        ["2^253", 1n << 253n, identity],
+        ["p - 1", FIELD - 1n, identity],
+        ["g + g (doubling)", 1n, point(1n)],
+        ["g^-5 + g^5 (sum is the identity)", 5n, point(subOrder - 5n)],
+        ["g^7 + g^subOrder (adding the identity)", subOrder, point(7n)],
+        ["(0, -1) + g^3 (order-2 point)", 3n, { x: "0", y: (FIELD - 1n).toString() }]
+    ].map(([name, element, oldAcc]) => ({ name, element, oldAcc }));
+
+    const next = randomScalars(seed);
+    for (let i = 0; i < random; i++) {
+        const element = next();
+        // Every other random case starts from a random accumulator
+        const oldAcc = i % 2 === 0 ? identity : point(next() % subOrder);
+        cases.push({ name: `random #${i + 1}`, element, oldAcc });
+    }
+    return cases;
+}
+
+/**
+ * Run the JS curves and the ecc_accumulator circuit on the same inputs
+ * @param {object} [options]
+ * @param {number} [options.random=32] - random cases after the edge cases
+ * @param {string} [options.seed] - seed for the random cases (default:
+ *   fresh random bytes; reported in the result)
+ * @param {Array<BabyJubjub>} [options.curves] - JS implementations to
+ *   check (default BabyJubjub and FastBabyJubjub)
+ * @param {object} [options.circuit] - { wasm, sym } (default
+ *   TransitionProver.DEFAULT_CIRCUIT); witness_calculator.js is loaded
+ *   from the wasm's directory
+ * @returns {Promise<{ok, seed, cases, comparisons, mismatch}>} mismatch is
+ *   null or the first failing case: { name, curve, error, message, input,
+ *   circuit, js } with error one of ERRORS
+ */
+async function runSelfCheck(options = {}) {
+    const seed = options.seed || crypto.randomBytes(16).toString("hex");
+    const curves = options.curves || [new BabyJubjub(), new FastBabyJubjub()];
+    const circuit = options.circuit || TransitionProver.DEFAULT_CIRCUIT;
+
+    const symbols = loadSymbols(circuit.sym);
+    const outputs = ["main.newAccX", "main.newAccY"].map((name) => {
+        const symbol = symbols.get(name);
+        if (!symbol || symbol.witness < 0) {
+            throw new Error(`${name} is not in the witness of ${path.basename(circuit.sym)}`);
+        }
+        return symbol.witness;
+    });
+
+    const builder = require(path.join(path.resolve(path.dirname(circuit.wasm)), "witness_calculator.js"));
+    const calculator = await builder(fs.readFileSync(circuit.wasm));
+
+    const cases = selfCheckCases(curves[0], { random: options.random === undefined ? DEFAULT_RANDOM_CASES : options.random, seed });
+    let comparisons = 0;
+
+    for (const { name, element, oldAcc } of cases) {
+        const input = { oldAccX: oldAcc.x, oldAccY: oldAcc.y, element: element.toString(), secret: "0" };
+        const report = (fields) => ({ ok: false, seed, cases: cases.length, comparisons, mismatch: { name, ...fields, input } });
+
+        let witness;
+        try {
+            witness = await calculator.calculateWitness(input, true);
+        } catch (error) {
+            const [reason] = error.message.replace(/^Error: /, "").split("\n");
+            return report({ curve: null, error: ERRORS.WITNESS_FAILED, message: `Circuit rejected the input: ${reason}` });
+        }
+        const [x, y] = outputs.map((index) => witness[index].toString());
+
+        for (const curve of curves) {
+            comparisons++;
+            const js = curve.toObject(curve.pointAdd(curve.fromObject([oldAcc.x, oldAcc.y]), curve.scalarMul(element)));
+            if (js.x !== x || js.y !== y) {
+                return report({
+                    curve: curve.constructor.name,
+                    error: ERRORS.MISMATCH,
+                    message: `${curve.constructor.name} disagrees with the circuit on ${name}`,
+                    circuit: { x, y },
+                    js
+                });
+            }
+        }
+    }
+
+    return { ok: true, seed, cases: cases.length, comparisons, mismatch: null };
+}
+
+module.exports = {
+    ERRORS,
+    DEFAULT_RANDOM_CASES,
+    selfCheckCases,
+    runSelfCheck
+};
@@ -0,0 +1,228 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      DEVICE IDENTITY
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Maps device identifiers to the scalar ("element") that is accumulated
+ * as g^element, so the JS library, the circuits and the registry contract
+ * agree on one element space.
+ *
+ * Every element is canonical: an integer in [1, l - 1], where l is the
+ * order of the Baby Jubjub subgroup generated by BASE. Values that are
+ * equal modulo l give the same point, and anything of 254 bits or more
+ * would fail the circuits' range checks, so nothing outside this range
+ * is ever accumulated.
+ *
+ * Identifier forms:
+ *   address  "0x" + 40 hex   element = uint256(uint160(address)), as in
+ *                            B_Evoke_Registry_ECC.revokeDevice
+ *   did      "0x" + 64 hex   element = uint256(did) mod l (bytes32 DID
+ *                            from registerDevice)
+ *   integer  safe integer,   element = value, which must already be in
+ *            bigint or       [1, l - 1]
+ *            decimal str
+ *   string   anything else   element = uint256(sha256(STRING_DOMAIN || s)) mod l
+ *
+ * Any other "0x"-prefixed string (e.g. "0x", "0xABC") is rejected rather
+ * than hashed as a string, since it is almost certainly a mistyped address
+ * or DID. Numbers beyond Number.MAX_SAFE_INTEGER are rejected as well:
+ * they have already lost precision, so pass them as BigInt or decimal
+ * strings.
+ *
+ * The string mapping can be reproduced on-chain with
+ *   uint256(sha256(abi.encodePacked("B-Evoke device id:", s))) % SUBGROUP_ORDER
+ *
+ * DIDs and strings are reduced modulo l, so two identifiers can land on
+ * the same element. IdentityRegistry remembers which identifier owns each
+ * element and rejects any other identifier that maps to it.
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const crypto = require("crypto");
+
+// Order of the subgroup generated by BASE (BabyJubjub.subOrder)
+const SUBGROUP_ORDER = BigInt("2736030358979909402780800718157159386076813972158567259200215660948447373041");
+
+const STRING_DOMAIN = "B-Evoke device id:";
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const DID_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+const DECIMAL_PATTERN = /^[0-9]+$/;
+const HEX_PREFIX = "0x";
+
+const ERRORS = {
+    INVALID_DEVICE_ID: "INVALID_DEVICE_ID",
+    ID_COLLISION: "ID_COLLISION"
+};
+
+/**
+ * Build an error with one of the ERRORS codes
+ */
+function identityError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Build an identity, rejecting elements outside [1, l - 1]
+ * @returns {{type, deviceId, key, element, reduced}}
+ */
+function makeIdentity(type, deviceId, value) {
+    const element = value % SUBGROUP_ORDER;
+    if (element === 0n) {
+        throw identityError(ERRORS.INVALID_DEVICE_ID, `Device ID ${deviceId} maps to the zero element`);
+    }
+    return {
+        type,
+        deviceId,
+        key: `${type}:${deviceId}`,
+        element,
+        reduced: element !== value
+    };
+}
+
+/**
+ * Ethereum address -> uint256(uint160(address))
+ */
+function fromAddress(address) {
+    if (typeof address !== "string" || !ADDRESS_PATTERN.test(address)) {
+        throw identityError(ERRORS.INVALID_DEVICE_ID, `${address} is not a 20-byte hex address`);
+    }
+    const deviceId = address.toLowerCase();
+    return makeIdentity("address", deviceId, BigInt(deviceId));
+}
+
+/**
+ * bytes32 DID -> uint256(did) mod l
+ */
+function fromDid(did) {
+    if (typeof did !== "string" || !DID_PATTERN.test(did)) {
+        throw identityError(ERRORS.INVALID_DEVICE_ID, `${did} is not a 32-byte hex DID`);
+    }
+    const deviceId = did.toLowerCase();
+    return makeIdentity("did", deviceId, BigInt(deviceId));
+}
+
+/**
+ * Integer device ID, which must already be a canonical element
+ */
+function fromInteger(value) {
+    if (typeof value === "number" && !Number.isSafeInteger(value)) {
+        throw identityError(ERRORS.INVALID_DEVICE_ID,
+            `Device ID ${value} is not a safe integer; pass it as a BigInt or decimal string`);
+    }
+    let element;
+    try {
+        element = BigInt(value);
+    } catch (error) {
+        element = null;
+    }
+    if (element === null || element <= 0n || element >= SUBGROUP_ORDER) {
+        throw identityError(ERRORS.INVALID_DEVICE_ID,
+            `Device ID ${value} must be an integer between 1 and the subgroup order - 1`);
+    }
+    return makeIdentity("integer", value, element);
+}
+
+/**
+ * Free-form string -> uint256(sha256(STRING_DOMAIN || s)) mod l
+ */
+function fromString(name) {
+    if (typeof name !== "string" || name.length === 0) {
+        throw identityError(ERRORS.INVALID_DEVICE_ID, "Device name must be a non-empty string");
+    }
+    const digest = crypto.createHash("sha256").update(STRING_DOMAIN + name, "utf8").digest("hex");
+    return makeIdentity("string", name, BigInt("0x" + digest));
+}
+
+/**
+ * Map any supported identifier to its identity (see the forms above)
+ * @throws {Error} code INVALID_DEVICE_ID
+ */
+function toIdentity(deviceId) {
+    if (typeof deviceId === "number" || typeof deviceId === "bigint") {
+        return fromInteger(deviceId);
+    }
+    if (typeof deviceId !== "string") {
+        throw identityError(ERRORS.INVALID_DEVICE_ID, `Unsupported device ID type ${typeof deviceId}`);
+    }
+    if (ADDRESS_PATTERN.test(deviceId)) return fromAddress(deviceId);
+    if (DID_PATTERN.test(deviceId)) return fromDid(deviceId);
+    if (deviceId.startsWith(HEX_PREFIX)) {
+        throw identityError(ERRORS.INVALID_DEVICE_ID,
+            `${deviceId} is neither a 20-byte address nor a 32-byte DID (0x followed by 40 or 64 hex digits)`);
+    }
+    if (DECIMAL_PATTERN.test(deviceId)) return fromInteger(deviceId);
+    return fromString(deviceId);
+}
+
+/**
+ * Canonical element of a device identifier as a BigInt
+ */
+function toElement(deviceId) {
+    return toIdentity(deviceId).element;
+}
+
+/**
+ * Tracks which identifier owns each element and rejects collisions
+ */
+class IdentityRegistry {
+    constructor() {
+        // element (decimal string) -> identity
+        this.owners = new Map();
+    }
+
+    /**
+     * Identity that owns an element, or null
+     */
+    owner(element) {
+        return this.owners.get(element.toString()) || null;
+    }
+
+    /**
+     * Throw if a different identifier already owns this identity's element
+     * @throws {Error} code ID_COLLISION
+     */
+    check(identity) {
+        const owner = this.owner(identity.element);
+        if (owner && owner.key !== identity.key) {
+            throw identityError(ERRORS.ID_COLLISION,
+                `Device ID ${identity.deviceId} maps to the same element as ${owner.deviceId}`);
+        }
+    }
+
+    /**
+     * Record the owner of an element (after check())
+     */
+    bind(identity) {
+        this.check(identity);
+        if (!this.owners.has(identity.element.toString())) {
+            this.owners.set(identity.element.toString(), identity);
+        }
+    }
+
+    /**
+     * Resolve an identifier and check it against existing owners
+     * @throws {Error} code INVALID_DEVICE_ID or ID_COLLISION
+     */
+    resolve(deviceId) {
+        const identity = toIdentity(deviceId);
+        this.check(identity);
+        return identity;
+    }
+}
+
+module.exports = {
+    SUBGROUP_ORDER,
+    STRING_DOMAIN,
+    ERRORS,
+    fromAddress,
+    fromDid,
+    fromInteger,
+    fromString,
+    toIdentity,
+    toElement,
+    IdentityRegistry
+};
@@ -0,0 +1,2038 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      EVOKE ECC ACCUMULATOR
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Revocation accumulator on Baby Jubjub:
+ *   revoke:   A_new = A_old + g^deviceId,  W_device = A_old
+ *   witness:  every other witness W_i += g^deviceId
+ *   reinstate: A_new = A_old - g^deviceId, every other W_i -= g^deviceId
+ *   batch:    T = SUM g^d_j, A_new = A_old + T, existing W_i += T and
+ *             each new device gets W_j = A_new - g^d_j
+ *   proof:    A = W + g^deviceId (checked in the membership circuit)
+ *
+ * Each update starts a new epoch (epoch n = after n updates). A gap
+ * accumulator (see gap-accumulator.js), a Merkle tree over the gaps
+ * between revoked elements, is kept alongside A so that devices that are
+ * NOT revoked can prove it with the non-membership circuit.
+ *
+ * State changes are written ahead to a store (see revocation-store.js)
+ * and recorded in a hash-chained audit log (see audit-log.js). Methods
+ * return structured results and log only through the optional logger.
+ * Failures are reported as { success: false, error, message } with an
+ * error code from EvokeAccumulator.ERRORS. Events and metrics are listed
+ * in the README.
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const { EventEmitter } = require("events");
+const FastBabyJubjub = require("./baby-jubjub-fast");
+const MembershipProver = require("./membership-prover");
+const NonMembershipProver = require("./non-membership-prover");
+const TransitionProver = require("./transition-prover");
+const GapAccumulator = require("./gap-accumulator");
+const { FIELD } = require("./poseidon");
+const ProofCache = require("./proof-cache");
+const ProverPool = require("./prover-pool");
+const MetricsRegistry = require("./metrics");
+const { diagnoseProofInput } = require("./circuit-diagnostics");
+const { ERRORS: POINT_ERRORS, parsePoint } = require("./point-validation");
+const { GENESIS_HASH, auditEntry, writeAuditLog } = require("./audit-log");
+const { IdentityRegistry, toIdentity } = require("./device-identity");
+const { MemoryStore, FileStore, encodeDeviceId, decodeDeviceId } = require("./revocation-store");
+
+const ERRORS = {
+    ALREADY_REVOKED: "ALREADY_REVOKED",
+    NOT_REVOKED: "NOT_REVOKED",
+    REVOKED: "REVOKED",
+    INVALID_DEVICE_ID: "INVALID_DEVICE_ID",
+    ID_COLLISION: "ID_COLLISION",
+    WITNESS_MISMATCH: "WITNESS_MISMATCH",
+    PROOF_FAILED: "PROOF_FAILED",
+    PROOF_TIMEOUT: "PROOF_TIMEOUT",
+    CANCELLED: "CANCELLED",
+    INVALID_PROOF: "INVALID_PROOF",
+    DEVICE_MISMATCH: "DEVICE_MISMATCH",
+    INVALID_EPOCH: "INVALID_EPOCH",
+    INVALID_REASON: "INVALID_REASON",
+    INVALID_EXPIRY: "INVALID_EXPIRY",
+    ...POINT_ERRORS,
+    RECOVERY_FAILED: "RECOVERY_FAILED"
+};
+
+// Reason codes a revocation can carry; only suspensions may expire
+const REASONS = {
+    COMPROMISED: "compromised",
+    LOST: "lost",
+    SUSPENDED: "suspended",
+    RETIRED: "retired"
+};
+
+const SNAPSHOT_VERSION = 1;
+
+// Failures that point at a broken witness or prover rather than a bad request
+const PROOF_ERRORS = new Set([ERRORS.WITNESS_MISMATCH, ERRORS.PROOF_FAILED, ERRORS.PROOF_TIMEOUT]);
+
+class EvokeAccumulator extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {BabyJubjub} [options.curve] - curve implementation (default FastBabyJubjub)
+     * @param {MembershipProver} [options.prover] - membership prover
+     * @param {object} [options.circuit] - { wasm, zkey, vkey } for the default prover
+     * @param {object} [options.snarkjs] - snarkjs module for the default provers
+     * @param {NonMembershipProver} [options.nonMembershipProver] - non-membership prover
+     * @param {object} [options.nonMembershipCircuit] - { wasm, zkey, vkey } for the default non-membership prover
+     * @param {object} [options.store] - revocation store (MemoryStore, FileStore, ...)
+     * @param {string} [options.stateDir] - directory for a FileStore when no store is given
+     * @param {number} [options.snapshotInterval=100] - log entries between snapshots
+     * @param {object} [options.acceptanceWindow] - { epochs, seconds }: past
+     *   accumulators verifyProof accepts, either superseded at most `epochs`
+     *   updates ago or at most `seconds` ago (both must hold if both are
+     *   set). Default: only the current accumulator.
+     * @param {object} [options.proofCache] - { maxSize, ttlMs } of the proof
+     *   cache (maxSize 0 disables it)
+     * @param {ProverPool} [options.proverPool] - worker pool for
+     *   generateMembershipProofs (default: one per core, started on first use)
+     * @param {boolean} [options.diagnostics=false] - re-run the witness
+     *   calculator on failed proofs and explain the failing constraint:
+     *   WITNESS_MISMATCH and PROOF_FAILED results then carry `diagnostics`
+     *   (see circuit-diagnostics.js)
+     * @param {boolean} [options.transitionProofs=false] - prove every
+     *   accumulator update with the ECC accumulator circuit before it is
+     *   written, and keep the proof with its history entry and in the log
+     * @param {TransitionProver} [options.transitionProver] - transition prover
+     * @param {object} [options.transitionCircuit] - { wasm, zkey, vkey } for the default transition prover
+     * @param {string} [options.operator] - operator recorded in the audit
+     *   log when an operation does not name one
+     * @param {object} [options.initialAccumulator] - epoch 0 accumulator
+     *   { x, y } (default the identity (0, 1)); AccumulatorManager starts
+     *   each namespace at its own point
+     * @param {object} [options.logger] - { debug, info, warn, error }, e.g.
+     *   console (default: no logging)
+     * @param {MetricsRegistry} [options.metrics] - registry to record into
+     *   (default: a new one)
+     * @param {object} [options.metricsLabels] - labels added to every metric,
+     *   e.g. { namespace }
+     */
+    constructor(options = {}) {
+        super();
+        this.curve = options.curve || new FastBabyJubjub();
+        this.F = this.curve.F;
+        this.prover = options.prover || new MembershipProver({
+            circuit: options.circuit,
+            snarkjs: options.snarkjs
+        });
+        this.nonMembershipProver = options.nonMembershipProver || new NonMembershipProver({
+            circuit: options.nonMembershipCircuit,
+            snarkjs: options.snarkjs
+        });
+        this.transitionProver = options.transitionProver || new TransitionProver({
+            circuit: options.transitionCircuit,
+            snarkjs: options.snarkjs
+        });
+        this.transitionProofs = Boolean(options.transitionProofs);
+        this.operator = options.operator || null;
+
+        // Initialize accumulator at identity (0,1) on Baby Jubjub, or at
+        // the given epoch 0 point
+        this.initialAccumulator = options.initialAccumulator
+            ? parsePoint(this.curve, options.initialAccumulator, { name: "initialAccumulator" })
+            : [this.F.zero, this.F.one];
+        this.accumulator = this.initialAccumulator;
+
+        // Revocation database, keyed by element (BigInt)
+        this.revokedDevices = new Map();
+        this.accumulatorHistory = [];
+
+        // Non-membership state: gap accumulator and devices whose
+        // non-membership witnesses are maintained
+        this.gaps = new GapAccumulator();
+        this.trackedDevices = new Map();
+        this.initialGapRoot = this.gaps.root;
+        this.acceptanceWindow = options.acceptanceWindow || {};
+
+        // Proofs against the current accumulator, cleared on every update
+        this.proofCache = new ProofCache(options.proofCache);
+        this.proverPool = options.proverPool || null;
+        this.diagnostics = Boolean(options.diagnostics);
+
+        // Owner of every element that has been revoked or tracked
+        this.identities = new IdentityRegistry();
+
+        // Persistence
+        this.store = options.store || (options.stateDir ? new FileStore(options.stateDir) : new MemoryStore());
+        this.snapshotInterval = options.snapshotInterval || 100;
+        this.seq = 0;
+        this.entriesSinceSnapshot = 0;
+
+        // Mutations run one at a time so concurrent callers can't interleave
+        this.queue = Promise.resolve();
+
+        // Logging and metrics
+        this.logger = options.logger || null;
+        this.metrics = options.metrics || new MetricsRegistry();
+        this.metricsLabels = options.metricsLabels || {};
+        this.instruments = this.createInstruments();
+        this.measurements = { proofs: 0, proofTimeMs: 0, proofFailures: 0, witnessUpdates: 0, witnessUpdateMs: 0 };
+    }
+
+    /**
+     * Create an accumulator and rebuild its state from the store. Points
+     * read from the snapshot and log are validated (see
+     * point-validation.js) and audit hashes re-derived. Throws an error
+     * with code RECOVERY_FAILED if any witness fails A = W + g^id. No
+     * events are emitted while the state is replayed.
+     */
+    static async open(options = {}) {
+        const evoke = new EvokeAccumulator(options);
+        await evoke.recover();
+        return evoke;
+    }
+
+    /**
+     * Baby Jubjub point addition
+     */
+    pointAdd(p1, p2) {
+        return this.curve.pointAdd(p1, p2);
+    }
+
+    /**
+     * Scalar multiplication g^k
+     */
+    scalarMul(k) {
+        return this.curve.scalarMul(k);
+    }
+
+    /**
+     * CORE EVOKE FUNCTION: Revoke a device credential
+     * @param {object} [options] - { operator, reason } for the audit log,
+     *   reasonCode (one of REASONS) and expiresAt (ms or ISO 8601 date,
+     *   suspensions only)
+     */
+    async revokeDevice(deviceId, options = {}) {
+        return this.serialize(async () => {
+            const { identity, failure } = this.identify(deviceId);
+            if (failure) {
+                return failure;
+            }
+            if (this.revokedDevices.has(identity.element)) {
+                return this.failure(deviceId, ERRORS.ALREADY_REVOKED, `Device ${deviceId} is already revoked`);
+            }
+            const terms = this.revocationTerms(options);
+            if (terms.error) {
+                return this.failure(deviceId, terms.error, terms.message);
+            }
+
+            // Compute g^element and the new accumulator, then write ahead
+            const timestamp = Date.now();
+            const devicePoint = this.scalarMul(identity.element);
+            const newAccumulator = this.pointAdd(this.accumulator, devicePoint);
+            const { transition, error, message } = await this.proveTransition(identity.element, newAccumulator);
+            if (error) {
+                return this.failure(deviceId, error, message);
+            }
+            const audit = this.auditRecord("revoke", [identity.deviceId], { ...options, ...terms }, newAccumulator, timestamp);
+
+            await this.persist({
+                op: "revoke",
+                deviceId: encodeDeviceId(identity.deviceId),
+                accumulator: this.curve.toObject(newAccumulator),
+                ...(transition && { transition }),
+                ...audit,
+                timestamp
+            });
+
+            const started = performance.now();
+            const witnessesUpdated = await this.applyRevocation(identity, devicePoint, newAccumulator, timestamp,
+                { ...audit, transition });
+            this.observeUpdate("revoke", witnessesUpdated, performance.now() - started);
+            await this.maybeSnapshot();
+
+            this.notify("revoked", {
+                operation: "revoke",
+                deviceIds: [deviceId],
+                epoch: this.getEpoch(),
+                accumulator: this.curve.toObject(newAccumulator),
+                operator: audit.operator,
+                reasonCode: terms.reasonCode,
+                expiresAt: terms.expiresAt
+            });
+            this.log("info", `Revoked device ${deviceId} (epoch ${this.getEpoch()})`);
+
+            return {
+                success: true,
+                deviceId,
+                accumulator: this.curve.toObject(newAccumulator),
+                witnessesUpdated,
+                ...terms
+            };
+        });
+    }
+
+    /**
+     * Apply a revocation to in-memory state
+     * @param {object} [record] - { operator, reason, reasonCode, expiresAt,
+     *   hash, transition } of the history entry
+     * @returns {Promise<number>} number of witnesses updated
+     */
+    async applyRevocation(identity, devicePoint, newAccumulator, timestamp, record = {}) {
+        const { deviceId, element } = identity;
+        this.identities.bind(identity);
+        this.proofCache.clear();
+
+        // Current accumulator becomes witness for this device
+        const witness = [
+            this.F.e(this.accumulator[0]),
+            this.F.e(this.accumulator[1])
+        ];
+
+        this.revokedDevices.set(element, {
+            deviceId: deviceId,
+            witness: witness,
+            devicePoint: devicePoint,
+            timestamp: timestamp,
+            accumulatorBefore: this.accumulator,
+            accumulatorAfter: newAccumulator,
+            ...this.revocationRecord(record)
+        });
+
+        // Update witnesses for all previously revoked devices
+        const witnessesUpdated = await this.updateAllWitnesses(element, devicePoint);
+
+        // Split the device's gap and update non-membership witnesses
+        this.trackedDevices.delete(element);
+        this.gaps.insert(element);
+        this.updateNonMembershipWitnesses();
+
+        // Update global accumulator
+        this.accumulator = newAccumulator;
+        this.accumulatorHistory.push({
+            operation: "revoke",
+            device: deviceId,
+            accumulator: newAccumulator,
+            gapRoot: this.gaps.root,
+            ...this.historyRecord(record),
+            timestamp: timestamp
+        });
+
+        return witnessesUpdated;
+    }
+
+    /**
+     * Reinstate a revoked device (undo its revocation)
+     * Subtracts g^deviceId from the accumulator and from every other witness.
+     */
+    async reinstateDevice(deviceId, reason = null, options = {}) {
+        return this.serialize(async () => {
+            const { identity, failure } = this.identify(deviceId);
+            if (failure) {
+                return failure;
+            }
+            const data = this.revokedDevices.get(identity.element);
+            if (!data) {
+                return this.failure(deviceId, ERRORS.NOT_REVOKED, `Device ${deviceId} is not revoked`);
+            }
+
+            // Compute the new accumulator A - g^element, then write ahead
+            const timestamp = Date.now();
+            const newAccumulator = this.curve.pointSub(this.accumulator, data.devicePoint);
+            const { transition, error, message } = await this.proveTransition(-identity.element, newAccumulator);
+            if (error) {
+                return this.failure(deviceId, error, message);
+            }
+            const audit = this.auditRecord("reinstate", [data.deviceId], { ...options, reason }, newAccumulator, timestamp);
+
+            await this.persist({
+                op: "reinstate",
+                deviceId: encodeDeviceId(data.deviceId),
+                accumulator: this.curve.toObject(newAccumulator),
+                ...(transition && { transition }),
+                ...audit,
+                timestamp
+            });
+
+            const started = performance.now();
+            const witnessesUpdated = this.applyReinstatement(identity.element, newAccumulator, timestamp, { ...audit, transition });
+            this.observeUpdate("reinstate", witnessesUpdated, performance.now() - started);
+            await this.maybeSnapshot();
+
+            this.notify("reinstated", {
+                deviceId,
+                epoch: this.getEpoch(),
+                accumulator: this.curve.toObject(newAccumulator),
+                operator: audit.operator,
+                reason
+            });
+            this.log("info", `Reinstated device ${deviceId} (epoch ${this.getEpoch()})`);
+
+            return {
+                success: true,
+                deviceId,
+                accumulator: this.curve.toObject(newAccumulator),
+                witnessesUpdated,
+                reason
+            };
+        });
+    }
+
+    /**
+     * Reinstate every suspension whose expiry has passed, earliest expiry
+     * first, each as its own update
+     * @param {object} [options]
+     * @param {number} [options.now=Date.now()]
+     * @param {string} [options.operator="scheduler"] - recorded in the audit log
+     * @returns {Promise<Array>} reinstateDevice() results
+     */
+    async reinstateExpired({ now = Date.now(), operator = "scheduler" } = {}) {
+        const expired = this.getRevocations()
+            .filter((revocation) => revocation.expiresAt !== null && revocation.expiresAt <= now)
+            .sort((a, b) => a.expiresAt - b.expiresAt);
+
+        const results = [];
+        for (const { deviceId } of expired) {
+            results.push(await this.reinstateDevice(deviceId, "Suspension expired", { operator }));
+        }
+        return results;
+    }
+
+    /**
+     * Apply a reinstatement to in-memory state
+     * @returns {number} number of witnesses updated
+     */
+    applyReinstatement(element, newAccumulator, timestamp, record = {}) {
+        const { deviceId, devicePoint } = this.revokedDevices.get(element);
+        this.revokedDevices.delete(element);
+        this.proofCache.clear();
+
+        // Remove g^element from every remaining witness
+        this.addToWitnesses(Array.from(this.revokedDevices.values()), this.curve.pointNeg(devicePoint));
+
+        // Merge the device's gaps and update non-membership witnesses
+        this.gaps.remove(element);
+        this.updateNonMembershipWitnesses();
+
+        this.accumulator = newAccumulator;
+        this.accumulatorHistory.push({
+            operation: "reinstate",
+            device: deviceId,
+            accumulator: newAccumulator,
+            gapRoot: this.gaps.root,
+            ...this.historyRecord(record),
+            timestamp: timestamp
+        });
+
+        return this.revokedDevices.size;
+    }
+
+    /**
+     * Update all existing witnesses when new device is revoked
+     * @returns {Promise<number>} number of witnesses updated
+     */
+    async updateAllWitnesses(newElement, newDevicePoint) {
+        const entries = Array.from(this.revokedDevices).filter(([element]) => element !== newElement);
+        this.addToWitnesses(entries.map(([, data]) => data), newDevicePoint);
+        return entries.length;
+    }
+
+    /**
+     * Add a point to the `witness` of every record in one batched pass
+     */
+    addToWitnesses(records, point) {
+        const updated = this.curve.pointAddMany(records.map((data) => data.witness), point);
+        records.forEach((data, i) => {
+            data.witness = updated[i];
+        });
+    }
+
+    /**
+     * Update non-membership witnesses after gaps were split or merged.
+     * Every update changes the Merkle paths, so each tracked device reads
+     * its gap and path from the tree again.
+     */
+    updateNonMembershipWitnesses() {
+        for (const [element, data] of this.trackedDevices) {
+            const { lowerBound, upperBound, witness } = this.gaps.witnessFor(element);
+            Object.assign(data, { lowerBound, upperBound, witness });
+        }
+    }
+
+    /**
+     * Register a non-revoked device so its non-membership witness (gap and
+     * Merkle path) is refreshed on every update
+     */
+    async trackDevice(deviceId) {
+        return this.serialize(async () => {
+            const { identity, failure } = this.identify(deviceId);
+            if (failure) {
+                return failure;
+            }
+            if (this.revokedDevices.has(identity.element)) {
+                return this.failure(deviceId, ERRORS.REVOKED, `Device ${deviceId} is revoked`);
+            }
+
+            if (!this.trackedDevices.has(identity.element)) {
+                const timestamp = Date.now();
+                await this.persist({ op: "track", deviceId: encodeDeviceId(identity.deviceId), timestamp });
+                this.applyTrack(identity, timestamp);
+                await this.maybeSnapshot();
+            }
+
+            return {
+                success: true,
+                deviceId,
+                witness: this.getNonMembershipWitness(deviceId)
+            };
+        });
+    }
+
+    /**
+     * Start maintaining the non-membership witness of a device
+     */
+    applyTrack(identity, timestamp) {
+        const { deviceId, element } = identity;
+        this.identities.bind(identity);
+
+        const { lowerBound, upperBound, witness } = this.gaps.witnessFor(element);
+        this.trackedDevices.set(element, { deviceId, lowerBound, upperBound, witness, timestamp });
+    }
+
+    /**
+     * Batch revocation
+     * Folds the batch into one accumulator update (like the contract's
+     * batchRevokeDevices) and updates every existing witness in one pass.
+     * Invalid or already revoked devices are skipped and reported.
+     * @param {object} [options] - { operator, reason } for the audit log
+     * @returns {Promise<Array<{deviceId, success, error}>>} per-device results
+     */
+    async batchRevoke(deviceIds, options = {}) {
+        return this.serialize(async () => {
+            const terms = this.revocationTerms(options);
+            if (terms.error) {
+                return deviceIds.map((deviceId) => this.failure(deviceId, terms.error, terms.message));
+            }
+            const results = [];
+            const batch = [];
+            const batchElements = new Map();
+
+            for (const deviceId of deviceIds) {
+                const { identity, failure } = this.identify(deviceId);
+                const earlier = identity && batchElements.get(identity.element);
+                if (failure) {
+                    results.push(failure);
+                } else if (earlier && earlier.key !== identity.key) {
+                    results.push(this.failure(deviceId, ERRORS.ID_COLLISION,
+                        `Device ID ${deviceId} maps to the same element as ${earlier.deviceId}`));
+                } else if (earlier || this.revokedDevices.has(identity.element)) {
+                    results.push(this.failure(deviceId, ERRORS.ALREADY_REVOKED, `Device ${deviceId} is already revoked`));
+                } else {
+                    batchElements.set(identity.element, identity);
+                    batch.push(identity);
+                    results.push({ success: true, deviceId });
+                }
+            }
+
+            if (batch.length === 0) {
+                return results;
+            }
+
+            // Sum the batch's device points once
+            const timestamp = Date.now();
+            const devicePoints = batch.map((identity) => this.scalarMul(identity.element));
+            const batchPoint = devicePoints.reduce((sum, point) => this.pointAdd(sum, point), this.curve.IDENTITY);
+            const newAccumulator = this.pointAdd(this.accumulator, batchPoint);
+            const batchScalar = batch.reduce((sum, identity) => sum + identity.element, 0n);
+            const { transition, error, message } = await this.proveTransition(batchScalar, newAccumulator);
+            if (error) {
+                return results.map((result) => result.success ? this.failure(result.deviceId, error, message) : result);
+            }
+            const audit = this.auditRecord("batchRevoke", batch.map((identity) => identity.deviceId),
+                { ...options, ...terms }, newAccumulator, timestamp);
+
+            await this.persist({
+                op: "batchRevoke",
+                deviceIds: batch.map((identity) => encodeDeviceId(identity.deviceId)),
+                accumulator: this.curve.toObject(newAccumulator),
+                ...(transition && { transition }),
+                ...audit,
+                timestamp
+            });
+
+            // Existing witnesses gain the batch, new ones are derived
+            const started = performance.now();
+            const witnessesUpdated = this.revokedDevices.size + batch.length;
+            this.applyBatchRevocation(batch, devicePoints, batchPoint, newAccumulator, timestamp, { ...audit, transition });
+            this.observeUpdate("batchRevoke", witnessesUpdated, performance.now() - started);
+            await this.maybeSnapshot();
+
+            this.notify("revoked", {
+                operation: "batchRevoke",
+                deviceIds: batch.map((identity) => identity.deviceId),
+                epoch: this.getEpoch(),
+                accumulator: this.curve.toObject(newAccumulator),
+                operator: audit.operator,
+                reasonCode: terms.reasonCode,
+                expiresAt: terms.expiresAt
+            });
+            this.log("info", `Revoked ${batch.length} devices in a batch (epoch ${this.getEpoch()})`);
+
+            return results;
+        });
+    }
+
+    /**
+     * Apply a batch revocation to in-memory state
+     */
+    applyBatchRevocation(identities, devicePoints, batchPoint, newAccumulator, timestamp, record = {}) {
+        for (const identity of identities) {
+            this.identities.bind(identity);
+        }
+        this.proofCache.clear();
+
+        // Existing witnesses gain the whole batch
+        this.addToWitnesses(Array.from(this.revokedDevices.values()), batchPoint);
+
+        // New witnesses hold every other batch member: W_j = A_new - g^d_j.
+        // accumulatorBefore/After record the sequential (prefix-sum) states.
+        const newWitnesses = this.curve.pointAddMany(
+            devicePoints.map((point) => this.curve.pointNeg(point)),
+            newAccumulator
+        );
+        let running = this.accumulator;
+        identities.forEach(({ deviceId, element }, i) => {
+            const accumulatorAfter = this.pointAdd(running, devicePoints[i]);
+            this.revokedDevices.set(element, {
+                deviceId: deviceId,
+                witness: newWitnesses[i],
+                devicePoint: devicePoints[i],
+                timestamp: timestamp,
+                accumulatorBefore: running,
+                accumulatorAfter: accumulatorAfter,
+                ...this.revocationRecord(record)
+            });
+            running = accumulatorAfter;
+        });
+
+        // Split every affected gap, then update non-membership witnesses once
+        for (const { element } of identities) {
+            this.gaps.insert(element);
+            this.trackedDevices.delete(element);
+        }
+        this.updateNonMembershipWitnesses();
+
+        this.accumulator = newAccumulator;
+        this.accumulatorHistory.push({
+            operation: "batchRevoke",
+            devices: identities.map((identity) => identity.deviceId),
+            accumulator: newAccumulator,
+            gapRoot: this.gaps.root,
+            ...this.historyRecord(record),
+            timestamp: timestamp
+        });
+    }
+
+    /**
+     * Prove the update A_new = A + g^scalar with the ECC accumulator
+     * circuit when transitionProofs is enabled
+     * @returns {Promise<{transition}|{error, message}>} transition is
+     *   { proof, publicSignals }, or null when disabled
+     */
+    async proveTransition(scalar, newAccumulator) {
+        if (!this.transitionProofs) {
+            return { transition: null };
+        }
+
+        const failed = (message) => {
+            this.observeProof("transition", this.failure(null, ERRORS.PROOF_FAILED, message));
+            return { error: ERRORS.PROOF_FAILED, message };
+        };
+
+        let result;
+        try {
+            result = await this.transitionProver.prove(
+                this.transitionProver.transitionInput(this.curve, this.accumulator, scalar));
+        } catch (error) {
+            return failed(`Transition proof failed: ${error.message}`);
+        }
+
+        const expected = this.curve.toObject(newAccumulator);
+        const [x, y] = result.publicSignals;
+        if (!result.valid || x !== expected.x || y !== expected.y) {
+            return failed("Transition proof does not verify against the new accumulator");
+        }
+        this.observeProof("transition", {
+            success: true,
+            deviceId: null,
+            epoch: this.getEpoch() + 1,
+            valid: true,
+            proofTimeMs: result.proofTimeMs
+        });
+        return { transition: { proof: result.proof, publicSignals: result.publicSignals } };
+    }
+
+    /**
+     * Audit fields of the next history entry: operator (by default the
+     * constructor's), reason, reason code, expiry and the hash chaining it
+     * to the last entry
+     * @returns {{operator, reason, reasonCode, expiresAt, hash}}
+     */
+    auditRecord(operation, deviceIds, { operator = this.operator, reason = null, reasonCode = null, expiresAt = null },
+        newAccumulator, timestamp) {
+        const record = { operator: operator || null, reason: reason || null, reasonCode, expiresAt };
+        const { hash } = this.auditEntryFor(this.getEpoch() + 1,
+            { operation, devices: deviceIds, ...record, accumulator: newAccumulator, timestamp },
+            this.accumulator, this.getAuditHead().hash);
+        return { ...record, hash };
+    }
+
+    /**
+     * History entry fields from an audit record
+     */
+    historyRecord(record) {
+        return {
+            reason: record.reason || null,
+            reasonCode: record.reasonCode || null,
+            expiresAt: record.expiresAt || null,
+            operator: record.operator || null,
+            hash: record.hash || null,
+            transition: record.transition || null
+        };
+    }
+
+    /**
+     * Check a revocation's reason code and expiry. Only suspensions may
+     * expire, and not in the past.
+     * @returns {{reasonCode, expiresAt}|{error, message}} expiresAt in ms
+     *   since the epoch, or null
+     */
+    revocationTerms({ reasonCode = null, expiresAt = null }) {
+        const codes = Object.values(REASONS);
+        if (reasonCode !== null && !codes.includes(reasonCode)) {
+            return { error: ERRORS.INVALID_REASON, message: `Reason code must be one of ${codes.join(", ")}` };
+        }
+        if (expiresAt === null) {
+            return { reasonCode, expiresAt };
+        }
+
+        const time = expiresAt instanceof Date ? expiresAt.getTime()
+            : typeof expiresAt === "string" ? Date.parse(expiresAt) : expiresAt;
+        if (!Number.isSafeInteger(time)) {
+            return { error: ERRORS.INVALID_EXPIRY, message: "expiresAt must be a time in milliseconds or an ISO 8601 date" };
+        }
+        if (reasonCode !== REASONS.SUSPENDED) {
+            return { error: ERRORS.INVALID_EXPIRY, message: `Only "${REASONS.SUSPENDED}" revocations can expire` };
+        }
+        if (time <= Date.now()) {
+            return { error: ERRORS.INVALID_EXPIRY, message: `expiresAt ${new Date(time).toISOString()} is in the past` };
+        }
+        return { reasonCode, expiresAt: time };
+    }
+
+    /**
+     * Reason and expiry fields kept with a revoked device
+     */
+    revocationRecord(record) {
+        return {
+            reasonCode: record.reasonCode || null,
+            reason: record.reason || null,
+            expiresAt: record.expiresAt || null
+        };
+    }
+
+    /**
+     * Audit log entry for a history entry (see audit-log.js)
+     */
+    auditEntryFor(epoch, entry, accumulatorBefore, prevHash) {
+        return auditEntry({
+            epoch,
+            operation: entry.operation,
+            devices: (entry.devices || [entry.device]).map(encodeDeviceId),
+            operator: entry.operator,
+            reason: entry.reason,
+            reasonCode: entry.reasonCode,
+            expiresAt: entry.expiresAt,
+            accumulatorBefore: this.curve.toObject(accumulatorBefore),
+            accumulator: this.curve.toObject(entry.accumulator),
+            timestamp: entry.timestamp,
+            prevHash
+        });
+    }
+
+    /**
+     * Check the witness equation A = W + g^device for a revoked device
+     */
+    verifyWitness(deviceId) {
+        const { identity } = this.identify(deviceId);
+        const data = identity && this.revokedDevices.get(identity.element);
+        if (!data) return false;
+
+        const computedAcc = this.pointAdd(data.witness, this.scalarMul(identity.element));
+        return this.curve.pointEquals(computedAcc, this.accumulator);
+    }
+
+    /**
+     * Generate membership proof (prove device IS revoked)
+     * @param {object} [options]
+     * @param {number} [options.epoch] - prove against the accumulator of an
+     *   earlier epoch, with the witness as of that epoch (default: current)
+     * Results served from the proof cache carry cached: true.
+     */
+    async generateMembershipProof(deviceId, options = {}) {
+        const job = this.prepareMembershipProof(deviceId, options);
+        if (job.result) {
+            return this.observeProof("membership", await this.withDiagnostics("membership", job.result, job.input));
+        }
+
+        try {
+            const { proof, publicSignals, valid, proofTimeMs } = await this.prover.prove(job.input);
+            return this.observeProof("membership", this.membershipProofResult(job, { proof, publicSignals, valid, proofTimeMs }));
+        } catch (error) {
+            return this.observeProof("membership",
+                await this.withDiagnostics("membership", this.failure(deviceId, ERRORS.PROOF_FAILED, error.message), job.input));
+        }
+    }
+
+    /**
+     * Generate membership proofs for many devices in worker threads (see
+     * prover-pool.js). Results are in input order and have the same shape
+     * as generateMembershipProof's; failures are per device.
+     * @param {Array} deviceIds
+     * @param {object} [options]
+     * @param {number} [options.concurrency] - max proofs in flight (default: pool size)
+     * @param {AbortSignal} [options.signal] - cancels the remaining proofs (CANCELLED)
+     * @param {number} [options.timeoutMs] - per-proof timeout (PROOF_TIMEOUT)
+     * @returns {Promise<Array>}
+     */
+    async generateMembershipProofs(deviceIds, options = {}) {
+        const pool = this.getProverPool();
+        const results = new Array(deviceIds.length);
+        let next = 0;
+
+        const runNext = async () => {
+            while (next < deviceIds.length) {
+                const index = next++;
+                const deviceId = deviceIds[index];
+                const job = this.prepareMembershipProof(deviceId);
+                if (job.result) {
+                    results[index] = await this.withDiagnostics("membership", job.result, job.input);
+                    continue;
+                }
+
+                try {
+                    const { proof, publicSignals, proofTimeMs } = await pool.prove(job.input, options);
+                    const valid = await this.prover.verify(proof, publicSignals);
+                    results[index] = this.membershipProofResult(job, { proof, publicSignals, valid, proofTimeMs });
+                } catch (error) {
+                    const code = error.code === ERRORS.PROOF_TIMEOUT || error.code === ERRORS.CANCELLED
+                        ? error.code
+                        : ERRORS.PROOF_FAILED;
+                    results[index] = await this.withDiagnostics("membership", this.failure(deviceId, code, error.message), job.input);
+                }
+            }
+        };
+
+        const concurrency = Math.max(1, Math.min(options.concurrency || pool.size, deviceIds.length));
+        await Promise.all(Array.from({ length: concurrency }, runNext));
+        return results.map((result) => this.observeProof("membership", result));
+    }
+
+    /**
+     * Circuit input for a membership proof, or the finished result
+     * (failure or cache hit) when no proof needs to be generated. A
+     * WITNESS_MISMATCH result comes with the input it was found on.
+     * @returns {{result, input?}|{deviceId, epoch, accumulator, cacheKey, input}}
+     */
+    prepareMembershipProof(deviceId, options = {}) {
+        const { identity, failure } = this.identify(deviceId);
+        if (failure) {
+            return { result: failure };
+        }
+        const epoch = options.epoch === undefined ? this.getEpoch() : options.epoch;
+        if (!this.isEpoch(epoch)) {
+            return {
+                result: this.failure(deviceId, ERRORS.INVALID_EPOCH, `Epoch must be an integer from 0 to ${this.getEpoch()}`)
+            };
+        }
+
+        let accumulatorPoint;
+        let witnessPoint;
+        if (epoch === this.getEpoch()) {
+            const data = this.revokedDevices.get(identity.element);
+            if (!data) {
+                return { result: this.failure(deviceId, ERRORS.NOT_REVOKED, `Device ${deviceId} is not revoked`) };
+            }
+
+            // Verify the witness equation before submitting to circuit
+            if (!this.verifyWitness(deviceId)) {
+                return {
+                    result: this.failure(deviceId, ERRORS.WITNESS_MISMATCH, "Witness equation doesn't hold: A ≠ W + g^device"),
+                    input: this.membershipInput(identity, this.accumulator, data.witness)
+                };
+            }
+            accumulatorPoint = this.accumulator;
+            witnessPoint = data.witness;
+        } else {
+            // The witness a revoked device held at that epoch: W = A_epoch - g^device
+            const past = this.stateAt(epoch);
+            if (!past.revoked.has(identity.element)) {
+                return {
+                    result: this.failure(deviceId, ERRORS.NOT_REVOKED, `Device ${deviceId} was not revoked at epoch ${epoch}`)
+                };
+            }
+            accumulatorPoint = past.accumulator;
+            witnessPoint = this.curve.pointSub(past.accumulator, this.scalarMul(identity.element));
+        }
+
+        const accumulator = this.curve.toObject(accumulatorPoint);
+        const cacheKey = epoch === this.getEpoch() ? ProofCache.key(identity.key, accumulator) : null;
+        const cached = cacheKey && this.proofCache.get(cacheKey);
+        if (cached) {
+            return { result: { ...cached, deviceId, cached: true } };
+        }
+
+        const input = this.membershipInput(identity, accumulatorPoint, witnessPoint);
+        return { deviceId, epoch, accumulator, cacheKey, input };
+    }
+
+    /**
+     * Membership circuit input for A = W + g^element
+     */
+    membershipInput(identity, accumulatorPoint, witnessPoint) {
+        const accumulator = this.curve.toObject(accumulatorPoint);
+        const witness = this.curve.toObject(witnessPoint);
+        return {
+            accX: accumulator.x,
+            accY: accumulator.y,
+            element: identity.element.toString(),
+            witnessX: witness.x,
+            witnessY: witness.y
+        };
+    }
+
+    /**
+     * Membership proof result for a prepared job, cached if current
+     */
+    membershipProofResult(job, { proof, publicSignals, valid, proofTimeMs }) {
+        const { deviceId, epoch, accumulator, cacheKey } = job;
+        return this.cacheProof(cacheKey, {
+            success: true,
+            proof,
+            publicSignals,
+            deviceId,
+            valid,
+            type: "membership",
+            epoch,
+            accumulator,
+            proofTimeMs
+        });
+    }
+
+    /**
+     * Worker pool for generateMembershipProofs, created on first use with
+     * the membership prover's circuit
+     */
+    getProverPool() {
+        if (!this.proverPool) {
+            this.proverPool = new ProverPool({ circuit: this.prover.circuit });
+        }
+        return this.proverPool;
+    }
+
+    /**
+     * Stop the prover pool's worker threads, if any were started
+     */
+    async close() {
+        if (this.proverPool) {
+            await this.proverPool.close();
+        }
+    }
+
+    /**
+     * Non-membership witness of a non-revoked device, or null if revoked
+     * Tracked devices use their maintained witness; others are read from
+     * the current gap tree.
+     */
+    nonMembershipWitness(deviceId) {
+        const { identity } = this.identify(deviceId);
+        if (!identity || this.revokedDevices.has(identity.element)) return null;
+        return this.trackedDevices.get(identity.element) || this.gaps.witnessFor(identity.element);
+    }
+
+    /**
+     * Check lower < element < upper and the gap's Merkle path against the
+     * current gap root for a non-revoked device
+     */
+    verifyNonMembershipWitness(deviceId) {
+        const data = this.nonMembershipWitness(deviceId);
+        if (!data) return false;
+        const { element } = toIdentity(deviceId);
+        return this.gaps.verifyWitness(element, data.lowerBound, data.upperBound, data.witness);
+    }
+
+    /**
+     * Generate non-membership proof (prove device is NOT revoked)
+     * @param {object} [options]
+     * @param {number} [options.epoch] - prove against the accumulators of an
+     *   earlier epoch (default: current)
+     * Results served from the proof cache carry cached: true.
+     */
+    async generateNonMembershipProof(deviceId, options = {}) {
+        return this.observeProof("non-membership", await this.nonMembershipProof(deviceId, options));
+    }
+
+    /**
+     * Non-membership proof result, before it is observed
+     */
+    async nonMembershipProof(deviceId, options) {
+        const { identity, failure } = this.identify(deviceId);
+        if (failure) {
+            return failure;
+        }
+        const epoch = options.epoch === undefined ? this.getEpoch() : options.epoch;
+        if (!this.isEpoch(epoch)) {
+            return this.failure(deviceId, ERRORS.INVALID_EPOCH, `Epoch must be an integer from 0 to ${this.getEpoch()}`);
+        }
+
+        let accumulatorPoint;
+        let gapRoot;
+        let data;
+        if (epoch === this.getEpoch()) {
+            data = this.nonMembershipWitness(deviceId);
+            if (!data) {
+                return this.failure(deviceId, ERRORS.REVOKED, `Device ${deviceId} is revoked`);
+            }
+
+            accumulatorPoint = this.accumulator;
+            gapRoot = this.gaps.root;
+
+            // Verify the witness before submitting to circuit
+            if (!this.verifyNonMembershipWitness(deviceId)) {
+                return this.withDiagnostics(
+                    "non-membership",
+                    this.failure(deviceId, ERRORS.WITNESS_MISMATCH, "Gap witness doesn't hold: no path from (lower, upper) to the gap root"),
+                    this.nonMembershipInput(identity, accumulatorPoint, gapRoot, data)
+                );
+            }
+        } else {
+            // Replay the gap tree up to that epoch
+            const past = this.stateAt(epoch, { gaps: true });
+            if (past.revoked.has(identity.element)) {
+                return this.failure(deviceId, ERRORS.REVOKED, `Device ${deviceId} was revoked at epoch ${epoch}`);
+            }
+            data = past.gaps.witnessFor(identity.element);
+            accumulatorPoint = past.accumulator;
+            gapRoot = past.gaps.root;
+        }
+
+        const accumulator = this.curve.toObject(accumulatorPoint);
+        const cacheKey = epoch === this.getEpoch() ? ProofCache.key(identity.key, accumulator) : null;
+        const cached = cacheKey && this.proofCache.get(cacheKey);
+        if (cached) {
+            return { ...cached, deviceId, cached: true };
+        }
+        const input = this.nonMembershipInput(identity, accumulatorPoint, gapRoot, data);
+
+        try {
+            const { proof, publicSignals, valid, proofTimeMs } = await this.nonMembershipProver.prove(input);
+
+            const result = {
+                success: true,
+                proof,
+                publicSignals,
+                deviceId,
+                valid,
+                type: "non-membership",
+                epoch,
+                accumulator,
+                gapRoot: gapRoot.toString(),
+                proofTimeMs
+            };
+            return this.cacheProof(cacheKey, result);
+        } catch (error) {
+            return this.withDiagnostics("non-membership", this.failure(deviceId, ERRORS.PROOF_FAILED, error.message), input);
+        }
+    }
+
+    /**
+     * Non-membership circuit input for lower < element < upper, a Merkle
+     * path from Poseidon(lower, upper) to the gap root and the public
+     * commitment Poseidon(element, 0)
+     */
+    nonMembershipInput(identity, accumulatorPoint, gapRoot, { lowerBound, upperBound, witness }) {
+        const accumulator = this.curve.toObject(accumulatorPoint);
+        return {
+            accX: accumulator.x,
+            accY: accumulator.y,
+            gapRoot: gapRoot.toString(),
+            elementHash: GapAccumulator.elementHash(identity.element).toString(),
+            element: identity.element.toString(),
+            lowerBound: lowerBound.toString(),
+            upperBound: upperBound.toString(),
+            leafIndex: witness.index.toString(),
+            pathElements: witness.path.map((node) => node.toString())
+        };
+    }
+
+    /**
+     * With the diagnostics option, explain a WITNESS_MISMATCH or
+     * PROOF_FAILED result: the failing constraint is appended to the
+     * message and the full diagnosis is attached as `diagnostics`
+     */
+    async withDiagnostics(type, result, input) {
+        const explainable = result.error === ERRORS.WITNESS_MISMATCH || result.error === ERRORS.PROOF_FAILED;
+        if (!this.diagnostics || !explainable || !input) {
+            return result;
+        }
+
+        const prover = type === "membership" ? this.prover : this.nonMembershipProver;
+        try {
+            const diagnostics = await diagnoseProofInput(type, input, prover.circuit);
+            return diagnostics.ok
+                ? { ...result, diagnostics }
+                : { ...result, message: `${result.message}: ${diagnostics.message}`, diagnostics };
+        } catch (error) {
+            // Missing artifacts: keep the original failure
+            return result;
+        }
+    }
+
+    /**
+     * Cache a freshly generated proof if it is valid and for the current
+     * accumulator (cacheKey is null otherwise)
+     */
+    cacheProof(cacheKey, result) {
+        // Skip proofs made stale by an update that ran while they were generated
+        const current = this.getAccumulator();
+        if (cacheKey && result.valid && result.accumulator.x === current.x && result.accumulator.y === current.y) {
+            this.proofCache.set(cacheKey, result);
+        }
+        return result;
+    }
+
+    /**
+     * Check revocation status with proof
+     */
+    async checkRevocationStatus(deviceId) {
+        const { identity } = this.identify(deviceId);
+        if (identity && this.revokedDevices.has(identity.element)) {
+            const proof = await this.generateMembershipProof(deviceId);
+            return {
+                revoked: true,
+                proof: proof
+            };
+        }
+
+        const proof = await this.generateNonMembershipProof(deviceId);
+        return {
+            revoked: false,
+            message: `Device ${deviceId} is NOT revoked`,
+            proof: proof
+        };
+    }
+
+    /**
+     * Whether a device is currently revoked
+     */
+    isRevoked(deviceId) {
+        const { identity } = this.identify(deviceId);
+        return Boolean(identity && this.revokedDevices.has(identity.element));
+    }
+
+    /**
+     * Whether a device's non-membership witness is maintained (see trackDevice)
+     */
+    isTracked(deviceId) {
+        const { identity } = this.identify(deviceId);
+        return Boolean(identity && this.trackedDevices.has(identity.element));
+    }
+
+    /**
+     * Verify a proof produced by generateMembershipProof or
+     * generateNonMembershipProof (only type, proof, publicSignals and
+     * deviceId are used)
+     * @param {*} [request.deviceId] - device the proof is presented for;
+     *   required for non-membership proofs, whose public elementHash must
+     *   commit to its element (else INVALID_DEVICE_ID or DEVICE_MISMATCH)
+     * @param {object} [request.window] - acceptance window for this call
+     *   (default: the acceptanceWindow option)
+     * @returns {Promise<{success, type, valid, current, epoch, accepted}>}
+     *   epoch is the latest epoch whose A (and, for non-membership, gap root)
+     *   match the public signals (or null), current whether that is the
+     *   current epoch, and accepted whether the proof is valid and the epoch
+     *   is inside the window.
+     *   A public accumulator that is not a valid point fails with
+     *   INVALID_POINT, NOT_ON_CURVE or NOT_IN_SUBGROUP.
+     */
+    async verifyProof({ type, proof, publicSignals = [], deviceId = null, window = this.acceptanceWindow }) {
+        const provers = {
+            "membership": this.prover,
+            "non-membership": this.nonMembershipProver
+        };
+        if (!provers[type]) {
+            return this.failure(deviceId, ERRORS.INVALID_PROOF, 'Proof type must be "membership" or "non-membership"');
+        }
+
+        // Public signals are the point A, followed by the gap root and
+        // elementHash for non-membership
+        try {
+            parsePoint(this.curve, publicSignals.slice(0, 2), { name: "public accumulator" });
+        } catch (error) {
+            return this.failure(deviceId, error.code, error.message);
+        }
+        if (type === "non-membership") {
+            const mismatch = this.elementHashMismatch(deviceId, publicSignals[3]);
+            if (mismatch) {
+                return mismatch;
+            }
+        }
+
+        let valid;
+        try {
+            valid = await provers[type].verify(proof, publicSignals);
+        } catch (error) {
+            return this.failure(deviceId, ERRORS.INVALID_PROOF, `Proof could not be checked: ${error.message}`);
+        }
+
+        const epoch = this.matchEpoch(type, publicSignals);
+        return {
+            success: true,
+            type,
+            valid,
+            current: epoch === this.getEpoch(),
+            epoch,
+            accepted: valid && epoch !== null && this.withinWindow(epoch, window)
+        };
+    }
+
+    /**
+     * Failure unless elementHash commits to the element of deviceId, or null
+     */
+    elementHashMismatch(deviceId, elementHash) {
+        if (deviceId === null || deviceId === undefined) {
+            return this.failure(deviceId, ERRORS.INVALID_DEVICE_ID, "A non-membership proof is verified for a deviceId");
+        }
+        let identity;
+        try {
+            identity = toIdentity(deviceId);
+        } catch (error) {
+            return this.failure(deviceId, error.code, error.message);
+        }
+        if (String(elementHash) !== GapAccumulator.elementHash(identity.element).toString()) {
+            return this.failure(deviceId, ERRORS.DEVICE_MISMATCH, `Proof is not about device ${deviceId}`);
+        }
+        return null;
+    }
+
+    /**
+     * Current accumulator as decimal strings { x, y }
+     */
+    getAccumulator() {
+        return this.curve.toObject(this.accumulator);
+    }
+
+    /**
+     * Witness of a revoked device as decimal strings { x, y }, or null
+     */
+    getWitness(deviceId) {
+        const { identity } = this.identify(deviceId);
+        const data = identity && this.revokedDevices.get(identity.element);
+        return data ? this.curve.toObject(data.witness) : null;
+    }
+
+    /**
+     * Non-membership witness of a non-revoked device as decimal strings
+     * { lowerBound, upperBound, index, path }, or null (index is the gap's
+     * leaf, path its Merkle path from the leaf level up)
+     */
+    getNonMembershipWitness(deviceId) {
+        const data = this.nonMembershipWitness(deviceId);
+        if (!data) return null;
+
+        return {
+            lowerBound: data.lowerBound.toString(),
+            upperBound: data.upperBound.toString(),
+            index: data.witness.index,
+            path: data.witness.path.map((node) => node.toString())
+        };
+    }
+
+    /**
+     * Current revocations, oldest first, optionally filtered by reason
+     * code and by when they were made
+     * @param {object} [filter]
+     * @param {string} [filter.reasonCode] - one of REASONS
+     * @param {number} [filter.from] - revoked at or after (ms)
+     * @param {number} [filter.to] - revoked at or before (ms)
+     * @returns {Array<{deviceId, reasonCode, reason, timestamp, expiresAt}>}
+     */
+    getRevocations({ reasonCode, from, to } = {}) {
+        return Array.from(this.revokedDevices.values())
+            .filter((data) => (reasonCode === undefined || data.reasonCode === reasonCode) &&
+                (from === undefined || data.timestamp >= from) &&
+                (to === undefined || data.timestamp <= to))
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .map((data) => ({
+                deviceId: data.deviceId,
+                reasonCode: data.reasonCode,
+                reason: data.reason,
+                timestamp: data.timestamp,
+                expiresAt: data.expiresAt
+            }));
+    }
+
+    /**
+     * Earliest expiry of a current suspension (ms), or null
+     */
+    getNextExpiry() {
+        let next = null;
+        for (const { expiresAt } of this.revokedDevices.values()) {
+            if (expiresAt !== null && (next === null || expiresAt < next)) {
+                next = expiresAt;
+            }
+        }
+        return next;
+    }
+
+    /**
+     * Accumulator history, oldest first, with points as decimal strings
+     * (entry i creates epoch i + 1; gapRoot is null for entries restored
+     * from snapshots that predate it)
+     * @returns {Array<{operation, device, devices, accumulator, gapRoot, reason, reasonCode, expiresAt, operator, hash, timestamp}>}
+     */
+    getHistory() {
+        return this.accumulatorHistory.map((entry) => ({
+            operation: entry.operation,
+            device: entry.device,
+            devices: entry.devices,
+            accumulator: this.curve.toObject(entry.accumulator),
+            gapRoot: entry.gapRoot === null ? null : entry.gapRoot.toString(),
+            reason: entry.reason,
+            reasonCode: entry.reasonCode,
+            expiresAt: entry.expiresAt,
+            operator: entry.operator,
+            hash: entry.hash,
+            timestamp: entry.timestamp
+        }));
+    }
+
+    /**
+     * Transition proofs of every accumulator update, oldest first, for
+     * TransitionProver.verifyChain(). Entries carry no device IDs; proof
+     * and publicSignals are null for updates made without transition
+     * proofs.
+     * @returns {Array<{epoch, accumulator, proof, publicSignals, timestamp}>}
+     */
+    getTransitions() {
+        return this.accumulatorHistory.map((entry, i) => ({
+            epoch: i + 1,
+            accumulator: this.curve.toObject(entry.accumulator),
+            proof: entry.transition ? entry.transition.proof : null,
+            publicSignals: entry.transition ? entry.transition.publicSignals : null,
+            timestamp: entry.timestamp
+        }));
+    }
+
+    /**
+     * Hash-chained audit log of every accumulator update, oldest first
+     * (the export format of audit-log.js). Each entry commits to the
+     * previous entry's hash, the operation, devices, operator, reason and
+     * the accumulator before and after.
+     * @returns {Array<{epoch, operation, devices, operator, reason, accumulatorBefore, accumulator, timestamp, prevHash, hash}>}
+     */
+    getAuditLog() {
+        let accumulatorBefore = this.initialAccumulator;
+        let prevHash = GENESIS_HASH;
+        return this.accumulatorHistory.map((entry, i) => {
+            const audit = this.auditEntryFor(i + 1, entry, accumulatorBefore, prevHash);
+            accumulatorBefore = entry.accumulator;
+            prevHash = audit.hash;
+            return audit;
+        });
+    }
+
+    /**
+     * Hash of the last audit entry, to publish or anchor on chain
+     * @returns {{epoch, hash}} GENESIS_HASH (64 zeros) at epoch 0
+     */
+    getAuditHead() {
+        const epoch = this.getEpoch();
+        return { epoch, hash: epoch === 0 ? GENESIS_HASH : this.accumulatorHistory[epoch - 1].hash };
+    }
+
+    /**
+     * Write the audit log as JSON Lines for verifyAuditLog()
+     * @returns {{entries, head}}
+     */
+    exportAuditLog(file) {
+        writeAuditLog(file, this.getAuditLog());
+        const { epoch, hash } = this.getAuditHead();
+        return { entries: epoch, head: hash };
+    }
+
+    /**
+     * Current epoch: the number of accumulator updates so far
+     */
+    getEpoch() {
+        return this.accumulatorHistory.length;
+    }
+
+    /**
+     * Aggregated witness delta since an epoch: the sum of device points
+     * added (minus those reinstated) since then, i.e. A_now - A_sinceEpoch.
+     * A revoked device's witness from sinceEpoch plus delta is current.
+     * @returns {{success, fromEpoch, epoch, delta, accumulator}} points as
+     *   decimal strings { x, y }
+     */
+    getWitnessUpdate(sinceEpoch) {
+        const epoch = this.getEpoch();
+        if (!this.isEpoch(sinceEpoch)) {
+            return this.failure(null, ERRORS.INVALID_EPOCH, `Epoch must be an integer from 0 to ${epoch}`);
+        }
+
+        const accumulatorThen = sinceEpoch === 0
+            ? this.initialAccumulator
+            : this.accumulatorHistory[sinceEpoch - 1].accumulator;
+
+        return {
+            success: true,
+            fromEpoch: sinceEpoch,
+            epoch,
+            delta: this.curve.toObject(this.curve.pointSub(this.accumulator, accumulatorThen)),
+            accumulator: this.getAccumulator()
+        };
+    }
+
+    /**
+     * Proof cache hit and miss counts and size
+     * @returns {{hits, misses, size, maxSize, ttlMs}}
+     */
+    getProofCacheStatistics() {
+        return this.proofCache.getStatistics();
+    }
+
+    /**
+     * Whether a value is an epoch that has been reached
+     */
+    isEpoch(epoch) {
+        return Number.isInteger(epoch) && epoch >= 0 && epoch <= this.getEpoch();
+    }
+
+    /**
+     * Accumulator and revoked elements as of an earlier epoch, replayed
+     * from the history
+     * @param {object} [options]
+     * @param {boolean} [options.gaps=false] - also replay the gap tree
+     *   (its layout depends on the order of updates)
+     * @returns {{accumulator, revoked: Set<bigint>, gaps: GapAccumulator|null}}
+     */
+    stateAt(epoch, options = {}) {
+        const revoked = new Set();
+        const gaps = options.gaps ? new GapAccumulator() : null;
+        for (const entry of this.accumulatorHistory.slice(0, epoch)) {
+            for (const deviceId of entry.devices || [entry.device]) {
+                const { element } = this.identities.resolve(deviceId);
+                if (entry.operation === "reinstate") {
+                    revoked.delete(element);
+                    if (gaps) gaps.remove(element);
+                } else {
+                    revoked.add(element);
+                    if (gaps) gaps.insert(element);
+                }
+            }
+        }
+
+        return {
+            accumulator: epoch === 0 ? this.initialAccumulator : this.accumulatorHistory[epoch - 1].accumulator,
+            revoked,
+            gaps
+        };
+    }
+
+    /**
+     * Latest epoch whose public values equal a proof's public signals, or
+     * null: [accX, accY] for membership, [accX, accY, gapRoot] (of
+     * [accX, accY, gapRoot, elementHash]) for non-membership
+     */
+    matchEpoch(type, publicSignals) {
+        const withGapRoot = type === "non-membership";
+        // A non-membership elementHash says nothing about the epoch
+        const signals = withGapRoot ? publicSignals.slice(0, 3) : publicSignals;
+        const matches = (accumulator, gapRoot) => {
+            if (withGapRoot && gapRoot === null) return false;
+            const values = Object.values(this.curve.toObject(accumulator));
+            if (withGapRoot) values.push(gapRoot.toString());
+            return values.length === signals.length &&
+                values.every((value, i) => String(signals[i]) === value);
+        };
+
+        if (matches(this.accumulator, this.gaps.root)) {
+            return this.getEpoch();
+        }
+        for (let epoch = this.getEpoch() - 1; epoch > 0; epoch--) {
+            const entry = this.accumulatorHistory[epoch - 1];
+            if (matches(entry.accumulator, entry.gapRoot)) {
+                return epoch;
+            }
+        }
+        return matches(this.initialAccumulator, this.initialGapRoot) ? 0 : null;
+    }
+
+    /**
+     * Whether an epoch is inside an acceptance window { epochs, seconds }.
+     * An epoch's age is measured from the update that superseded it.
+     */
+    withinWindow(epoch, window = {}) {
+        const latest = this.getEpoch();
+        if (epoch === latest) return true;
+
+        const { epochs, seconds } = window;
+        if (epochs === undefined && seconds === undefined) return false;
+        if (epochs !== undefined && latest - epoch > epochs) return false;
+        if (seconds !== undefined && Date.now() - this.accumulatorHistory[epoch].timestamp > seconds * 1000) return false;
+        return true;
+    }
+
+    /**
+     * Current gap tree root as a decimal string
+     */
+    getGapRoot() {
+        return this.gaps.root.toString();
+    }
+
+    /**
+     * Get system statistics
+     */
+    getStatistics() {
+        const { proofs, proofTimeMs, proofFailures, witnessUpdates, witnessUpdateMs } = this.measurements;
+        const average = (total, count) => (count === 0 ? null : Math.round(total / count));
+        return {
+            totalRevoked: this.revokedDevices.size,
+            trackedDevices: this.trackedDevices.size,
+            epoch: this.getEpoch(),
+            proofsGenerated: proofs,
+            proofFailures,
+            averageProofTimeMs: average(proofTimeMs, proofs),
+            witnessUpdates,
+            averageWitnessUpdateMs: average(witnessUpdateMs, witnessUpdates)
+        };
+    }
+
+    /**
+     * Metrics in the Prometheus text exposition format: proof times,
+     * witness update durations, update counts, the revoked and tracked
+     * counts and the epoch
+     */
+    getMetrics() {
+        return this.metrics.render();
+    }
+
+    // ============ Events And Metrics ============
+
+    /**
+     * Metrics this accumulator records, with collectors for the gauges
+     */
+    createInstruments() {
+        const { metrics } = this;
+        const instruments = {
+            proofDuration: metrics.histogram("evoke_proof_duration_seconds", "Groth16 proof generation time"),
+            proofs: metrics.counter("evoke_proofs_total", "Proof requests by type and result (valid, invalid, cached, failed)"),
+            proofFailures: metrics.counter("evoke_proof_failures_total", "Failed proof requests by type and error code"),
+            updateDuration: metrics.histogram("evoke_witness_update_duration_seconds",
+                "Time to apply an accumulator update to every witness"),
+            updates: metrics.counter("evoke_updates_total", "Accumulator updates by operation"),
+            revoked: metrics.gauge("evoke_revoked_devices", "Devices currently revoked"),
+            tracked: metrics.gauge("evoke_tracked_devices", "Devices with a maintained non-membership witness"),
+            epoch: metrics.gauge("evoke_accumulator_epoch", "Current accumulator epoch"),
+            cacheHits: metrics.counter("evoke_proof_cache_hits_total", "Proofs served from the proof cache"),
+            cacheMisses: metrics.counter("evoke_proof_cache_misses_total", "Proof cache lookups that missed")
+        };
+
+        metrics.onCollect(() => {
+            const labels = this.metricsLabels;
+            const cache = this.proofCache.getStatistics();
+            instruments.revoked.set(labels, this.revokedDevices.size);
+            instruments.tracked.set(labels, this.trackedDevices.size);
+            instruments.epoch.set(labels, this.getEpoch());
+            instruments.cacheHits.set(labels, cache.hits);
+            instruments.cacheMisses.set(labels, cache.misses);
+        });
+        return instruments;
+    }
+
+    /**
+     * Record a proof result and emit proofGenerated or proofFailed
+     * @returns {object} the result, unchanged
+     */
+    observeProof(type, result) {
+        const labels = { ...this.metricsLabels, type };
+
+        if (!result.success) {
+            this.instruments.proofs.inc({ ...labels, result: "failed" });
+            this.instruments.proofFailures.inc({ ...labels, error: result.error });
+            this.measurements.proofFailures++;
+            this.log(PROOF_ERRORS.has(result.error) ? "warn" : "debug",
+                `${type} proof failed (${result.error}): ${result.message}`);
+            this.notify("proofFailed", { type, deviceId: result.deviceId, error: result.error, message: result.message });
+            return result;
+        }
+
+        const cached = result.cached === true;
+        if (cached) {
+            this.instruments.proofs.inc({ ...labels, result: "cached" });
+        } else {
+            this.instruments.proofs.inc({ ...labels, result: result.valid ? "valid" : "invalid" });
+            this.instruments.proofDuration.observe(labels, result.proofTimeMs / 1000);
+            this.measurements.proofs++;
+            this.measurements.proofTimeMs += result.proofTimeMs;
+        }
+        this.notify("proofGenerated", {
+            type,
+            deviceId: result.deviceId,
+            epoch: result.epoch,
+            valid: result.valid,
+            proofTimeMs: result.proofTimeMs,
+            cached
+        });
+        return result;
+    }
+
+    /**
+     * Record the time an update took to apply and emit witnessesUpdated
+     * @param {string} operation - revoke, batchRevoke or reinstate
+     * @param {number} witnesses - revocation witnesses updated or created
+     */
+    observeUpdate(operation, witnesses, durationMs) {
+        const labels = { ...this.metricsLabels, operation };
+        this.instruments.updateDuration.observe(labels, durationMs / 1000);
+        this.instruments.updates.inc(labels);
+        this.measurements.witnessUpdates++;
+        this.measurements.witnessUpdateMs += durationMs;
+
+        this.notify("witnessesUpdated", {
+            operation,
+            epoch: this.getEpoch(),
+            witnesses,
+            tracked: this.trackedDevices.size,
+            durationMs
+        });
+    }
+
+    /**
+     * Emit an event; a throwing listener is logged, never propagated into
+     * the operation that emitted it
+     */
+    notify(event, payload) {
+        try {
+            this.emit(event, payload);
+        } catch (error) {
+            this.log("error", `Listener for "${event}" threw: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write to the logger, if there is one and it has this level
+     */
+    log(level, message) {
+        if (this.logger && typeof this.logger[level] === "function") {
+            this.logger[level](`[evoke] ${message}`);
+        }
+    }
+
+    // ============ Persistence ============
+
+    /**
+     * Run a state-changing operation after all earlier ones complete
+     */
+    serialize(operation) {
+        const run = this.queue.then(operation);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Append an entry to the store before it is applied in memory
+     */
+    async persist(entry) {
+        this.seq++;
+        await this.store.append({ seq: this.seq, ...entry });
+        this.entriesSinceSnapshot++;
+    }
+
+    /**
+     * Write a snapshot once snapshotInterval entries have been applied
+     */
+    async maybeSnapshot() {
+        if (this.entriesSinceSnapshot < this.snapshotInterval) return;
+        await this.store.writeSnapshot(this.serializeState());
+        this.entriesSinceSnapshot = 0;
+    }
+
+    /**
+     * Rebuild state from the store's snapshot and log
+     */
+    async recover() {
+        const { snapshot, entries } = await this.store.load();
+
+        if (snapshot) {
+            this.restoreState(snapshot);
+        }
+
+        for (const entry of entries) {
+            if (entry.seq <= this.seq) continue;
+            await this.replayEntry(entry);
+            this.seq = entry.seq;
+            this.entriesSinceSnapshot++;
+        }
+
+        // Every rebuilt witness must satisfy A = W + g^id
+        for (const { deviceId } of this.revokedDevices.values()) {
+            if (!this.verifyWitness(deviceId)) {
+                throw this.recoveryError(`Witness for device ${deviceId} fails A = W + g^id`);
+            }
+        }
+        for (const { deviceId } of this.trackedDevices.values()) {
+            if (!this.verifyNonMembershipWitness(deviceId)) {
+                throw this.recoveryError(`Non-membership witness for device ${deviceId} has no path to the gap root`);
+            }
+        }
+
+        this.log("info", `Recovered ${this.revokedDevices.size} revocations at seq ${this.seq} (epoch ${this.getEpoch()})`);
+        return {
+            revoked: this.revokedDevices.size,
+            seq: this.seq,
+            accumulator: this.getAccumulator()
+        };
+    }
+
+    /**
+     * Re-apply one log entry and check it reproduces the logged accumulator
+     */
+    async replayEntry(entry) {
+        if (entry.op === "batchRevoke") {
+            const identities = entry.deviceIds.map((deviceId) => this.replayIdentity(deviceId, entry.seq));
+            for (const { deviceId, element } of identities) {
+                if (this.gaps.has(element)) {
+                    throw this.recoveryError(`Device ${deviceId} revoked twice at seq ${entry.seq}`);
+                }
+            }
+
+            const devicePoints = identities.map((identity) => this.scalarMul(identity.element));
+            const batchPoint = devicePoints.reduce((sum, point) => this.pointAdd(sum, point), this.curve.IDENTITY);
+            const newAccumulator = this.pointAdd(this.accumulator, batchPoint);
+            if (!this.curve.pointEquals(newAccumulator, this.loggedAccumulator(entry))) {
+                throw this.recoveryError(`Accumulator mismatch replaying seq ${entry.seq}`);
+            }
+            this.applyBatchRevocation(identities, devicePoints, batchPoint, newAccumulator, entry.timestamp,
+                this.replayRecord(entry, identities.map((identity) => identity.deviceId), newAccumulator));
+            return;
+        }
+
+        const identity = this.replayIdentity(entry.deviceId, entry.seq);
+        const { deviceId, element } = identity;
+
+        if (entry.op === "track") {
+            if (this.gaps.has(element)) {
+                throw this.recoveryError(`Revoked device ${deviceId} tracked at seq ${entry.seq}`);
+            }
+            this.applyTrack(identity, entry.timestamp);
+            return;
+        }
+
+        if (entry.op === "reinstate") {
+            const data = this.revokedDevices.get(element);
+            if (!data) {
+                throw this.recoveryError(`Device ${deviceId} reinstated without revocation at seq ${entry.seq}`);
+            }
+            const newAccumulator = this.curve.pointSub(this.accumulator, data.devicePoint);
+            if (!this.curve.pointEquals(newAccumulator, this.loggedAccumulator(entry))) {
+                throw this.recoveryError(`Accumulator mismatch replaying seq ${entry.seq}`);
+            }
+            this.applyReinstatement(element, newAccumulator, entry.timestamp,
+                this.replayRecord(entry, [data.deviceId], newAccumulator));
+            return;
+        }
+
+        if (entry.op !== "revoke") {
+            throw this.recoveryError(`Unknown log operation "${entry.op}" at seq ${entry.seq}`);
+        }
+
+        if (this.revokedDevices.has(element)) {
+            throw this.recoveryError(`Device ${deviceId} revoked twice at seq ${entry.seq}`);
+        }
+
+        const devicePoint = this.scalarMul(element);
+        const newAccumulator = this.pointAdd(this.accumulator, devicePoint);
+        if (!this.curve.pointEquals(newAccumulator, this.loggedAccumulator(entry))) {
+            throw this.recoveryError(`Accumulator mismatch replaying seq ${entry.seq}`);
+        }
+
+        await this.applyRevocation(identity, devicePoint, newAccumulator, entry.timestamp,
+            this.replayRecord(entry, [deviceId], newAccumulator));
+    }
+
+    /**
+     * History record of a log entry; its audit hash must match the one the
+     * entry was written with (entries from before the audit log have none)
+     */
+    replayRecord(entry, deviceIds, newAccumulator) {
+        const record = this.auditRecord(entry.op, deviceIds,
+            {
+                operator: entry.operator || null,
+                reason: entry.reason || null,
+                reasonCode: entry.reasonCode || null,
+                expiresAt: entry.expiresAt || null
+            },
+            newAccumulator, entry.timestamp);
+        if (entry.hash !== undefined && entry.hash !== record.hash) {
+            throw this.recoveryError(`Audit hash mismatch replaying seq ${entry.seq}`);
+        }
+        return { ...record, transition: entry.transition || null };
+    }
+
+    /**
+     * Accumulator recorded in a log entry. It is compared with the one
+     * recomputed on replay, so only its encoding and curve equation are
+     * checked here.
+     */
+    loggedAccumulator(entry) {
+        return this.storedPoint(entry.accumulator, `accumulator at seq ${entry.seq}`, { subgroup: false });
+    }
+
+    /**
+     * Parse a point from the store, failing recovery if it is invalid
+     */
+    storedPoint(value, name, options = {}) {
+        try {
+            return parsePoint(this.curve, value, { name, ...options });
+        } catch (error) {
+            throw this.recoveryError(`${error.message} (${error.code})`);
+        }
+    }
+
+    /**
+     * Parse a gap root from the store (a decimal field element), failing
+     * recovery if it is not one
+     */
+    storedRoot(value, name) {
+        if (typeof value !== "string" || !/^[0-9]+$/.test(value) || BigInt(value) >= FIELD) {
+            throw this.recoveryError(`Invalid ${name}: ${value}`);
+        }
+        return BigInt(value);
+    }
+
+    /**
+     * Resolve a logged device identifier, failing recovery on collisions
+     */
+    replayIdentity(value, seq) {
+        try {
+            return this.identities.resolve(decodeDeviceId(value));
+        } catch (error) {
+            throw this.recoveryError(`${error.message} at seq ${seq}`);
+        }
+    }
+
+    /**
+     * Serialize the full state for a snapshot
+     */
+    serializeState() {
+        const point = (p) => this.curve.toObject(p);
+        const devices = [];
+        for (const data of this.revokedDevices.values()) {
+            devices.push({
+                deviceId: encodeDeviceId(data.deviceId),
+                witness: point(data.witness),
+                devicePoint: point(data.devicePoint),
+                timestamp: data.timestamp,
+                accumulatorBefore: point(data.accumulatorBefore),
+                accumulatorAfter: point(data.accumulatorAfter),
+                ...this.revocationRecord(data)
+            });
+        }
+
+        return {
+            version: SNAPSHOT_VERSION,
+            seq: this.seq,
+            accumulator: point(this.accumulator),
+            devices,
+            history: this.accumulatorHistory.map((entry) => ({
+                operation: entry.operation,
+                device: encodeDeviceId(entry.device),
+                devices: entry.devices && entry.devices.map(encodeDeviceId),
+                accumulator: point(entry.accumulator),
+                gapRoot: entry.gapRoot === null ? null : entry.gapRoot.toString(),
+                reason: entry.reason,
+                reasonCode: entry.reasonCode,
+                expiresAt: entry.expiresAt,
+                operator: entry.operator,
+                hash: entry.hash,
+                timestamp: entry.timestamp,
+                transition: entry.transition || undefined
+            })),
+            trackedDevices: Array.from(this.trackedDevices.values(), (data) => ({
+                deviceId: encodeDeviceId(data.deviceId),
+                timestamp: data.timestamp
+            }))
+        };
+    }
+
+    /**
+     * Load state from a snapshot written by serializeState
+     */
+    restoreState(snapshot) {
+        if (snapshot.version !== SNAPSHOT_VERSION) {
+            throw this.recoveryError(`Unsupported snapshot version ${snapshot.version}`);
+        }
+
+        // Points only need to be on the curve here: the history is replayed
+        // from the identity below, and recover() checks every witness
+        // against the resulting accumulator
+        const point = (p, name) => this.storedPoint(p, `snapshot ${name}`, { subgroup: false });
+        this.seq = snapshot.seq;
+        this.accumulator = point(snapshot.accumulator, "accumulator");
+
+        this.revokedDevices = new Map();
+        for (const device of snapshot.devices) {
+            const identity = this.restoreIdentity(device.deviceId);
+            const devicePoint = point(device.devicePoint, `device point of ${identity.deviceId}`);
+            if (!this.curve.pointEquals(devicePoint, this.scalarMul(identity.element))) {
+                throw this.recoveryError(`Snapshot device point of ${identity.deviceId} is not g^id`);
+            }
+            this.revokedDevices.set(identity.element, {
+                deviceId: identity.deviceId,
+                witness: point(device.witness, `witness of ${identity.deviceId}`),
+                devicePoint,
+                timestamp: device.timestamp,
+                accumulatorBefore: point(device.accumulatorBefore, `accumulatorBefore of ${identity.deviceId}`),
+                accumulatorAfter: point(device.accumulatorAfter, `accumulatorAfter of ${identity.deviceId}`),
+                ...this.revocationRecord(device)
+            });
+        }
+
+        this.accumulatorHistory = snapshot.history.map((entry, i) => ({
+            operation: entry.operation || "revoke",
+            device: decodeDeviceId(entry.device),
+            devices: entry.devices && entry.devices.map(decodeDeviceId),
+            accumulator: point(entry.accumulator, `accumulator of epoch ${i + 1}`),
+            gapRoot: entry.gapRoot ? this.storedRoot(entry.gapRoot, `gap root of epoch ${i + 1}`) : null,
+            reason: entry.reason || null,
+            reasonCode: entry.reasonCode || null,
+            expiresAt: entry.expiresAt || null,
+            operator: entry.operator || null,
+            hash: entry.hash || null,
+            timestamp: entry.timestamp,
+            transition: entry.transition || null
+        }));
+
+        // Devices revoked in the past still own their elements
+        for (const entry of snapshot.history) {
+            for (const deviceId of entry.devices || [entry.device]) {
+                this.restoreIdentity(deviceId);
+            }
+        }
+
+        // The gap accumulator is rebuilt by replaying the history, and
+        // non-membership witnesses are read from it
+        this.gaps = this.checkHistory();
+        this.trackedDevices = new Map();
+        for (const device of snapshot.trackedDevices || []) {
+            this.applyTrack(this.restoreIdentity(device.deviceId), device.timestamp);
+        }
+    }
+
+    /**
+     * Replay the restored history from the initial accumulator: every recorded
+     * (A, gap root) must follow from the previous epoch, and the last A must
+     * be the snapshot's. This also puts every history point in the
+     * prime-order subgroup without a scalar multiplication per point.
+     * Audit hashes are re-derived and must match the recorded ones
+     * (snapshots from before the audit log have none).
+     * @returns {GapAccumulator} the gap tree after the last epoch
+     */
+    checkHistory() {
+        let accumulator = this.initialAccumulator;
+        let prevHash = GENESIS_HASH;
+        const gaps = new GapAccumulator();
+
+        this.accumulatorHistory.forEach((entry, i) => {
+            const accumulatorBefore = accumulator;
+            try {
+                for (const deviceId of entry.devices || [entry.device]) {
+                    const { element } = this.identities.resolve(deviceId);
+                    if (entry.operation === "reinstate") {
+                        accumulator = this.curve.pointSub(accumulator, this.scalarMul(element));
+                        gaps.remove(element);
+                    } else {
+                        accumulator = this.pointAdd(accumulator, this.scalarMul(element));
+                        gaps.insert(element);
+                    }
+                }
+            } catch (error) {
+                throw this.recoveryError(`Snapshot history epoch ${i + 1}: ${error.message}`);
+            }
+
+            if (!this.curve.pointEquals(accumulator, entry.accumulator) ||
+                (entry.gapRoot !== null && gaps.root !== entry.gapRoot)) {
+                throw this.recoveryError(`Snapshot history epoch ${i + 1} does not follow from epoch ${i}`);
+            }
+
+            const { hash } = this.auditEntryFor(i + 1, entry, accumulatorBefore, prevHash);
+            if (entry.hash && entry.hash !== hash) {
+                throw this.recoveryError(`Snapshot history epoch ${i + 1} does not match its audit hash`);
+            }
+            entry.hash = hash;
+            prevHash = hash;
+        });
+
+        if (!this.curve.pointEquals(accumulator, this.accumulator)) {
+            throw this.recoveryError("Snapshot accumulator does not match its history");
+        }
+        return gaps;
+    }
+
+    /**
+     * Resolve and bind a device identifier stored in a snapshot
+     */
+    restoreIdentity(value) {
+        try {
+            const identity = toIdentity(decodeDeviceId(value));
+            this.identities.bind(identity);
+            return identity;
+        } catch (error) {
+            throw this.recoveryError(error.message);
+        }
+    }
+
+    /**
+     * Build the error thrown when recovery cannot rebuild a consistent state
+     */
+    recoveryError(message) {
+        const error = new Error(`Revocation store recovery failed: ${message}`);
+        error.code = ERRORS.RECOVERY_FAILED;
+        return error;
+    }
+
+    /**
+     * Resolve a device identifier to its identity, or build the failure
+     * result (INVALID_DEVICE_ID or ID_COLLISION) if it cannot be used
+     * @returns {{identity}|{failure}}
+     */
+    identify(deviceId) {
+        try {
+            return { identity: this.identities.resolve(deviceId) };
+        } catch (error) {
+            return { failure: this.failure(deviceId, error.code, error.message) };
+        }
+    }
+
+    /**
+     * Build a failure result
+     */
+    failure(deviceId, error, message) {
+        return { success: false, deviceId, error, message };
+    }
+}
+
+EvokeAccumulator.ERRORS = ERRORS;
+EvokeAccumulator.REASONS = REASONS;
+
+module.exports = EvokeAccumulator;
@@ -0,0 +1,84 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      SUSPENSION EXPIRY SCHEDULER
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Reinstates suspended devices when their expiry passes. Each expired
+ * suspension is reinstated with EvokeAccumulator.reinstateExpired(): the
+ * accumulator, every witness and the non-membership witnesses are updated
+ * exactly as for a manual reinstatement, and the audit log records the
+ * scheduler's operator with the reason "Suspension expired".
+ *
+ * The scheduler wakes at the earliest pending expiry, and at least every
+ * intervalMs so that suspensions added in the meantime are picked up.
+ * Expiries that passed while it was stopped (or the process was down)
+ * are reinstated on the first run.
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+class ExpiryScheduler {
+    /**
+     * @param {EvokeAccumulator} evoke
+     * @param {object} [options]
+     * @param {string} [options.operator="scheduler"] - recorded in the audit log
+     * @param {number} [options.intervalMs=60000] - longest sleep between runs
+     */
+    constructor(evoke, options = {}) {
+        this.evoke = evoke;
+        this.operator = options.operator || "scheduler";
+        this.intervalMs = options.intervalMs || 60000;
+        this.timer = null;
+    }
+
+    /**
+     * Reinstate every suspension that has expired by now
+     * @returns {Promise<Array>} reinstateDevice() results
+     */
+    async run(now = Date.now()) {
+        return this.evoke.reinstateExpired({ now, operator: this.operator });
+    }
+
+    /**
+     * Run until stop() is called
+     * @param {function} [onReinstated] - called with the results of every
+     *   run that reinstated at least one device
+     * @param {function} [onError] - called with errors thrown by run()
+     */
+    start(onReinstated = () => {}, onError = () => {}) {
+        if (this.timer) return;
+
+        const tick = async () => {
+            try {
+                const results = await this.run();
+                if (results.length > 0) {
+                    onReinstated(results);
+                }
+            } catch (error) {
+                onError(error);
+            }
+            if (this.timer) {
+                this.timer = setTimeout(tick, this.delay());
+            }
+        };
+        this.timer = setTimeout(tick, 0);
+    }
+
+    /**
+     * Stop the loop started by start()
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Time until the earliest pending expiry, capped at intervalMs
+     */
+    delay() {
+        const next = this.evoke.getNextExpiry();
+        return next === null ? this.intervalMs : Math.min(this.intervalMs, Math.max(0, next - Date.now()));
+    }
+}
+
+module.exports = ExpiryScheduler;
@@ -0,0 +1,280 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      GAP ACCUMULATOR (NON-MEMBERSHIP)
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Companion to the revocation accumulator that supports proofs that an
+ * element is NOT revoked (circuits/evoke_nonmembership.circom).
+ *
+ * The revoked set is kept sorted with sentinels at both ends:
+ *   0 = r0 < r1 < ... < rn < r(n+1) = MAX_ELEMENT
+ * and every adjacent pair (gap) is a leaf of a Poseidon Merkle tree of
+ * fixed depth DEPTH:
+ *   leaf = Poseidon(r(i), r(i+1)),  node = Poseidon(left, right)
+ * Empty leaves are 0. The root is a public signal of the circuit.
+ *
+ * An element e is not revoked iff some gap (lower, upper) has
+ * lower < e < upper; its non-membership witness is the gap's leaf index
+ * and Merkle path. Only the issuer can put a gap in the tree, so a proof
+ * cannot use a made-up gap around a revoked element. The proof also makes
+ * Poseidon(e, 0) public (elementHash), so it cannot be passed off as a
+ * proof for another element.
+ *
+ * Leaves are not kept in sorted order, so that an update rehashes only
+ * the paths it touches. Revoking x splits its gap (lo, hi): the leaf of
+ * (lo, hi) becomes (lo, x) and (x, hi) is appended. Reinstating x merges
+ * (lo, x) and (x, hi) back into the first leaf and moves the last leaf
+ * into the second. The layout, and so the root, therefore depends on
+ * the order of updates: replay them (insert/remove) to rebuild an
+ * earlier tree. Hashing is deferred until a root or path is needed.
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const poseidon = require("./poseidon");
+
+// Largest value accepted by the circuit's Num2Bits(252) range checks
+const MAX_ELEMENT = (1n << 252n) - 1n;
+
+// Tree depth (the circuit's DEPTH): room for 2^20 - 1 revoked elements
+const DEPTH = 20;
+
+// Root of an empty subtree at each level
+const ZEROS = [0n];
+for (let level = 0; level < DEPTH; level++) {
+    ZEROS.push(poseidon(ZEROS[level], ZEROS[level]));
+}
+
+class GapAccumulator {
+    constructor() {
+        // Sorted revoked elements (BigInt), sentinels excluded
+        this.elements = [];
+
+        // Gaps in leaf order, and each gap's leaf index by lower bound
+        this.leaves = [];
+        this.leafIndex = new Map();
+
+        // Node hashes per level (level 0: leaves), and leaves to rehash
+        this.levels = Array.from({ length: DEPTH + 1 }, () => []);
+        this.dirty = new Set();
+
+        // Initially a single gap (0, MAX_ELEMENT)
+        this.setLeaf(0, { lowerBound: 0n, upperBound: MAX_ELEMENT });
+    }
+
+    /**
+     * Current Merkle root
+     * @returns {bigint}
+     */
+    get root() {
+        this.refresh();
+        return this.node(DEPTH, 0);
+    }
+
+    /**
+     * Index of the first revoked element >= value
+     */
+    lowerIndex(value) {
+        let lo = 0;
+        let hi = this.elements.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.elements[mid] < value) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    /**
+     * Whether an element is in the revoked set
+     */
+    has(element) {
+        const i = this.lowerIndex(element);
+        return i < this.elements.length && this.elements[i] === element;
+    }
+
+    /**
+     * Gap containing a non-revoked element, or null if it is revoked
+     * @returns {{lowerBound: bigint, upperBound: bigint}|null}
+     */
+    findGap(element) {
+        const i = this.lowerIndex(element);
+        if (i < this.elements.length && this.elements[i] === element) return null;
+
+        return {
+            lowerBound: i === 0 ? 0n : this.elements[i - 1],
+            upperBound: i === this.elements.length ? MAX_ELEMENT : this.elements[i]
+        };
+    }
+
+    /**
+     * Add an element to the revoked set and split its gap
+     * @returns {Array} the gaps that no longer exist
+     */
+    insert(element) {
+        if (element <= 0n || element >= MAX_ELEMENT) {
+            throw new Error(`Element ${element} is outside the gap accumulator's range (0, 2^252 - 1)`);
+        }
+        const gap = this.findGap(element);
+        if (!gap) {
+            throw new Error(`Element ${element} is already in the gap accumulator`);
+        }
+        if (this.leaves.length === 2 ** DEPTH) {
+            throw new Error(`Gap accumulator is full (${2 ** DEPTH} gaps)`);
+        }
+
+        this.elements.splice(this.lowerIndex(element), 0, element);
+        this.setLeaf(this.leafIndex.get(gap.lowerBound), { lowerBound: gap.lowerBound, upperBound: element });
+        this.setLeaf(this.leaves.length, { lowerBound: element, upperBound: gap.upperBound });
+
+        return [gap];
+    }
+
+    /**
+     * Remove an element from the revoked set and merge its two gaps
+     * @returns {Array} the gaps that no longer exist
+     */
+    remove(element) {
+        const i = this.lowerIndex(element);
+        if (i === this.elements.length || this.elements[i] !== element) {
+            throw new Error(`Element ${element} is not in the gap accumulator`);
+        }
+
+        const lowerBound = i === 0 ? 0n : this.elements[i - 1];
+        const upperBound = i === this.elements.length - 1 ? MAX_ELEMENT : this.elements[i + 1];
+        this.elements.splice(i, 1);
+
+        // The upper gap's leaf is filled with the last leaf
+        const freed = this.leafIndex.get(element);
+        const last = this.leaves.length - 1;
+        this.leafIndex.delete(element);
+        if (freed !== last) {
+            this.setLeaf(freed, this.leaves[last]);
+        }
+        this.leaves.pop();
+        this.dirty.add(last);
+        this.setLeaf(this.leafIndex.get(lowerBound), { lowerBound, upperBound });
+
+        return [
+            { lowerBound, upperBound: element },
+            { lowerBound: element, upperBound }
+        ];
+    }
+
+    /**
+     * Copy of this accumulator (same layout and root)
+     */
+    clone() {
+        const copy = new GapAccumulator();
+        copy.elements = this.elements.slice();
+        copy.leaves = this.leaves.slice();
+        copy.leafIndex = new Map(this.leafIndex);
+        copy.levels = this.levels.map((level) => level.slice());
+        copy.dirty = new Set(this.dirty);
+        return copy;
+    }
+
+    /**
+     * Non-membership witness for a non-revoked element: its gap, the gap's
+     * leaf index and the Merkle path (sibling hashes, leaf level first)
+     * @returns {{lowerBound, upperBound, witness: {index, path}}|null}
+     */
+    witnessFor(element) {
+        const gap = this.findGap(element);
+        if (!gap) return null;
+
+        this.refresh();
+        const index = this.leafIndex.get(gap.lowerBound);
+        const path = [];
+        for (let level = 0; level < DEPTH; level++) {
+            path.push(this.node(level, (index >> level) ^ 1));
+        }
+        return { ...gap, witness: { index, path } };
+    }
+
+    /**
+     * Check lower < element < upper and that the path leads from the gap's
+     * leaf to the current root
+     */
+    verifyWitness(element, lowerBound, upperBound, { index, path }) {
+        if (!(lowerBound < element && element < upperBound)) return false;
+        if (!Number.isInteger(index) || index < 0 || index >= 2 ** DEPTH || path.length !== DEPTH) return false;
+        return GapAccumulator.rootFromPath(GapAccumulator.leafHash(lowerBound, upperBound), index, path) === this.root;
+    }
+
+    // ============ Tree ============
+
+    /**
+     * Put a gap at a leaf index
+     */
+    setLeaf(index, gap) {
+        this.leaves[index] = gap;
+        this.leafIndex.set(gap.lowerBound, index);
+        this.dirty.add(index);
+    }
+
+    /**
+     * Hash of a node, or the empty subtree's root beyond the filled nodes
+     */
+    node(level, index) {
+        const nodes = this.levels[level];
+        return index < nodes.length ? nodes[index] : ZEROS[level];
+    }
+
+    /**
+     * Rehash the leaves changed since the last refresh and their paths
+     */
+    refresh() {
+        if (this.dirty.size === 0) return;
+
+        let indices = Array.from(this.dirty);
+        this.dirty.clear();
+
+        this.levels[0].length = this.leaves.length;
+        for (const index of indices) {
+            if (index < this.leaves.length) {
+                const { lowerBound, upperBound } = this.leaves[index];
+                this.levels[0][index] = GapAccumulator.leafHash(lowerBound, upperBound);
+            }
+        }
+
+        for (let level = 0; level < DEPTH; level++) {
+            const parents = new Set(indices.map((index) => index >> 1));
+            const size = Math.ceil(this.levels[level].length / 2);
+            this.levels[level + 1].length = size;
+            for (const parent of parents) {
+                if (parent < size) {
+                    this.levels[level + 1][parent] = poseidon(this.node(level, 2 * parent), this.node(level, 2 * parent + 1));
+                }
+            }
+            indices = Array.from(parents);
+        }
+    }
+
+    /**
+     * Leaf of a gap: Poseidon(lower, upper)
+     */
+    static leafHash(lowerBound, upperBound) {
+        return poseidon(lowerBound, upperBound);
+    }
+
+    /**
+     * Public commitment to an element in the circuit: Poseidon(element, 0)
+     */
+    static elementHash(element) {
+        return poseidon(element, 0n);
+    }
+
+    /**
+     * Root reached from a leaf hash through a Merkle path
+     */
+    static rootFromPath(leaf, index, path) {
+        return path.reduce((node, sibling, level) =>
+            ((index >> level) & 1 ? poseidon(sibling, node) : poseidon(node, sibling)), leaf);
+    }
+}
+
+GapAccumulator.MAX_ELEMENT = MAX_ELEMENT;
+GapAccumulator.DEPTH = DEPTH;
+
+module.exports = GapAccumulator;
@@ -0,0 +1,66 @@
+/**
+ * B-Evoke JavaScript library
+ *
+ * const { EvokeAccumulator } = require("./js");
+ * const evoke = new EvokeAccumulator({ circuit: { wasm, zkey, vkey } });
+ */
+
+const BabyJubjub = require("./baby-jubjub");
+const FastBabyJubjub = require("./baby-jubjub-fast");
+const MembershipProver = require("./membership-prover");
+const NonMembershipProver = require("./non-membership-prover");
+const TransitionProver = require("./transition-prover");
+const ProverPool = require("./prover-pool");
+const GapAccumulator = require("./gap-accumulator");
+const ProofCache = require("./proof-cache");
+const EvokeAccumulator = require("./evoke-accumulator");
+const AccumulatorManager = require("./accumulator-manager");
+const ExpiryScheduler = require("./expiry-scheduler");
+const { MemoryStore, FileStore } = require("./revocation-store");
+const { IdentityRegistry, toIdentity, toElement } = require("./device-identity");
+const JsonRpcClient = require("./json-rpc-client");
+const RegistryIndexer = require("./registry-indexer");
+const { toSolidityCalldata, fromSolidityCalldata } = require("./proof-export");
+const RevocationService = require("./revocation-service");
+const { applyWitnessUpdate } = require("./witness-update");
+const { diagnoseWitness, diagnoseProofInput } = require("./circuit-diagnostics");
+const { generateWitnesses } = require("./witness-batch");
+const { parsePoint } = require("./point-validation");
+const { verifyAuditLog } = require("./audit-log");
+const MetricsRegistry = require("./metrics");
+const { runSelfCheck } = require("./curve-self-check");
+const { generateTestVectors, checkTestVectors } = require("./test-vectors");
+
+module.exports = {
+    BabyJubjub,
+    FastBabyJubjub,
+    MembershipProver,
+    NonMembershipProver,
+    TransitionProver,
+    ProverPool,
+    GapAccumulator,
+    ProofCache,
+    EvokeAccumulator,
+    AccumulatorManager,
+    ExpiryScheduler,
+    MemoryStore,
+    FileStore,
+    IdentityRegistry,
+    toIdentity,
+    toElement,
+    JsonRpcClient,
+    RegistryIndexer,
+    toSolidityCalldata,
+    fromSolidityCalldata,
+    RevocationService,
+    applyWitnessUpdate,
+    diagnoseWitness,
+    diagnoseProofInput,
+    generateWitnesses,
+    parsePoint,
+    verifyAuditLog,
+    MetricsRegistry,
+    runSelfCheck,
+    generateTestVectors,
+    checkTestVectors
+};
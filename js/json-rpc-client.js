@@ -0,0 +1,73 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      JSON-RPC CLIENT
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Minimal Ethereum JSON-RPC client over HTTP (Anvil, Hardhat, geth, ...).
+ * Uses the global fetch of Node 18+, so it needs no extra dependency.
+ *
+ * Any object with the same request(method, params) method can be passed
+ * wherever a client is expected (e.g. an EIP-1193 provider).
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const ERRORS = {
+    RPC_ERROR: "RPC_ERROR"
+};
+
+class JsonRpcClient {
+    /**
+     * @param {string} url - HTTP endpoint, e.g. http://127.0.0.1:8545
+     * @param {object} [options]
+     * @param {number} [options.timeoutMs=30000] - per-request timeout
+     */
+    constructor(url, options = {}) {
+        this.url = url;
+        this.timeoutMs = options.timeoutMs || 30000;
+        this.nextId = 1;
+    }
+
+    /**
+     * Send one JSON-RPC request and return its result
+     * @throws {Error} code RPC_ERROR (error.rpcCode holds the node's error code)
+     */
+    async request(method, params = []) {
+        let response;
+        try {
+            response = await fetch(this.url, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ jsonrpc: "2.0", id: this.nextId++, method, params }),
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+        } catch (error) {
+            throw this.rpcError(`${method} to ${this.url} failed: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            throw this.rpcError(`${method} to ${this.url} failed: HTTP ${response.status}`);
+        }
+
+        const body = await response.json();
+        if (body.error) {
+            const error = this.rpcError(`${method} failed: ${body.error.message}`);
+            error.rpcCode = body.error.code;
+            throw error;
+        }
+        return body.result;
+    }
+
+    /**
+     * Build an error with code RPC_ERROR
+     */
+    rpcError(message) {
+        const error = new Error(message);
+        error.code = ERRORS.RPC_ERROR;
+        return error;
+    }
+}
+
+JsonRpcClient.ERRORS = ERRORS;
+
+module.exports = JsonRpcClient;
@@ -0,0 +1,93 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      MEMBERSHIP PROOF GENERATION
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Wraps snarkjs Groth16 proving and verification for the
+ * evoke_membership_simple circuit (A = W + g^element).
+ *
+ * Circuit artifact locations default to ./circuits/evoke/ in this
+ * repository and can be overridden in the constructor.
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const CIRCUITS_DIR = path.join(__dirname, "..", "circuits");
+
+const DEFAULT_MEMBERSHIP_CIRCUIT = {
+    wasm: path.join(CIRCUITS_DIR, "evoke", "evoke_membership_simple_js", "evoke_membership_simple.wasm"),
+    zkey: path.join(CIRCUITS_DIR, "evoke", "membership_final.zkey"),
+    vkey: path.join(CIRCUITS_DIR, "evoke", "membership_verification_key.json"),
+    sym: path.join(CIRCUITS_DIR, "evoke", "evoke_membership_simple.sym"),
+    source: path.join(CIRCUITS_DIR, "evoke_membership_simple.circom")
+};
+
+class MembershipProver {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.circuit] - { wasm, zkey, vkey } artifact paths
+     *   ({ sym, source } are used by circuit-diagnostics.js)
+     * @param {object} [options.snarkjs] - snarkjs module (defaults to require("snarkjs"))
+     */
+    constructor(options = {}) {
+        this.circuit = { ...this.constructor.DEFAULT_CIRCUIT, ...options.circuit };
+        this.snarkjs = options.snarkjs || null;
+        this.vKey = null;
+    }
+
+    /**
+     * Load snarkjs on first use so curve-only consumers don't need it
+     */
+    getSnarkjs() {
+        if (!this.snarkjs) {
+            this.snarkjs = require("snarkjs");
+        }
+        return this.snarkjs;
+    }
+
+    /**
+     * Generate a Groth16 proof for the given circuit input and verify it locally
+     * @returns {Promise<{proof, publicSignals, valid, proofTimeMs}>}
+     */
+    async prove(input) {
+        const snarkjs = this.getSnarkjs();
+        const startTime = Date.now();
+
+        const { proof, publicSignals } = await snarkjs.groth16.fullProve(
+            input,
+            this.circuit.wasm,
+            this.circuit.zkey
+        );
+
+        const proofTimeMs = Date.now() - startTime;
+        const valid = await this.verify(proof, publicSignals);
+
+        return { proof, publicSignals, valid, proofTimeMs };
+    }
+
+    /**
+     * Read the verification key on first use
+     */
+    getVerificationKey() {
+        if (!this.vKey) {
+            this.vKey = JSON.parse(fs.readFileSync(this.circuit.vkey));
+        }
+        return this.vKey;
+    }
+
+    /**
+     * Verify a Groth16 proof against the circuit's verification key
+     */
+    async verify(proof, publicSignals) {
+        const snarkjs = this.getSnarkjs();
+        return snarkjs.groth16.verify(this.getVerificationKey(), publicSignals, proof);
+    }
+}
+
+MembershipProver.DEFAULT_CIRCUIT = DEFAULT_MEMBERSHIP_CIRCUIT;
+MembershipProver.CIRCUITS_DIR = CIRCUITS_DIR;
+
+module.exports = MembershipProver;
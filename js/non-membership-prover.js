@@ -0,0 +1,33 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      NON-MEMBERSHIP PROOF GENERATION
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Groth16 proving and verification for the evoke_nonmembership circuit
+ * (lower < element < upper, and a Merkle path from the gap's leaf to the
+ * gap tree root).
+ *
+ * Public signals, in order: accX, accY, gapRoot, elementHash
+ * (Poseidon(element, 0)).
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const path = require("path");
+const MembershipProver = require("./membership-prover");
+
+const { CIRCUITS_DIR } = MembershipProver;
+
+const DEFAULT_NON_MEMBERSHIP_CIRCUIT = {
+    wasm: path.join(CIRCUITS_DIR, "evoke", "evoke_nonmembership_js", "evoke_nonmembership.wasm"),
+    zkey: path.join(CIRCUITS_DIR, "evoke", "nonmembership_final.zkey"),
+    vkey: path.join(CIRCUITS_DIR, "evoke", "nonmembership_verification_key.json"),
+    sym: path.join(CIRCUITS_DIR, "evoke", "evoke_nonmembership.sym"),
+    source: path.join(CIRCUITS_DIR, "evoke_nonmembership.circom")
+};
+
+class NonMembershipProver extends MembershipProver {}
+
+NonMembershipProver.DEFAULT_CIRCUIT = DEFAULT_NON_MEMBERSHIP_CIRCUIT;
+
+module.exports = NonMembershipProver;
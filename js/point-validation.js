@@ -0,0 +1,90 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      CURVE POINT VALIDATION
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Checks for points that come from outside the library (snapshots, log
+ * entries, witness updates, proof public signals). Baby Jubjub has
+ * cofactor 8: besides the prime-order subgroup generated by BASE there
+ * are points of order 2, 4 and 8, and the addition formulas also accept
+ * coordinates that are not on the curve at all. Either kind of point can
+ * satisfy A = W + g^id for a forged W or shift the accumulator into a
+ * coset no honest party can reach, so they are rejected at the boundary:
+ *
+ *   INVALID_POINT     malformed, or a coordinate outside [0, p)
+ *   NOT_ON_CURVE      a*x^2 + y^2 != 1 + d*x^2*y^2
+ *   NOT_IN_SUBGROUP   subOrder * P != (0, 1)
+ *   IDENTITY_POINT    (0, 1) where a non-identity point is required
+ *
+ * Points computed by the library itself are never re-checked.
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const ERRORS = {
+    INVALID_POINT: "INVALID_POINT",
+    NOT_ON_CURVE: "NOT_ON_CURVE",
+    NOT_IN_SUBGROUP: "NOT_IN_SUBGROUP",
+    IDENTITY_POINT: "IDENTITY_POINT"
+};
+
+/**
+ * Build an error with one of the ERRORS codes
+ */
+function pointError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Parse a coordinate, which must be an integer in [0, p)
+ */
+function coordinate(curve, value, name) {
+    const integer = typeof value === "bigint" ||
+        (typeof value === "number" && Number.isSafeInteger(value)) ||
+        (typeof value === "string" && /^(0x[0-9a-fA-F]+|[0-9]+)$/.test(value));
+    const n = integer ? BigInt(value) : null;
+    if (n === null || n < 0n || n >= curve.p) {
+        throw pointError(ERRORS.INVALID_POINT, `${name} must be an integer in [0, p), got ${value}`);
+    }
+    return curve.F.e(n);
+}
+
+/**
+ * Parse and validate an externally supplied point
+ * @param {BabyJubjub} curve
+ * @param {object|Array} value - { x, y } or [x, y] as decimal strings,
+ *   numbers or BigInts
+ * @param {object} [options]
+ * @param {string} [options.name="point"] - used in error messages
+ * @param {boolean} [options.subgroup=true] - require the prime-order
+ *   subgroup (skip only when the point is then compared with one that is)
+ * @param {boolean} [options.identity=true] - allow (0, 1)
+ * @returns {Array} [x, y] field elements
+ * @throws {Error} code from ERRORS
+ */
+function parsePoint(curve, value, options = {}) {
+    const { name = "point", subgroup = true, identity = true } = options;
+    if (!value || typeof value !== "object") {
+        throw pointError(ERRORS.INVALID_POINT, `${name} must be { x, y } or [x, y]`);
+    }
+    const [x, y] = Array.isArray(value) ? value : [value.x, value.y];
+    const point = [coordinate(curve, x, `${name}.x`), coordinate(curve, y, `${name}.y`)];
+
+    if (!curve.isOnCurve(point)) {
+        throw pointError(ERRORS.NOT_ON_CURVE, `${name} is not on Baby Jubjub`);
+    }
+    if (!identity && curve.isIdentity(point)) {
+        throw pointError(ERRORS.IDENTITY_POINT, `${name} must not be the identity (0, 1)`);
+    }
+    if (subgroup && !curve.isInSubgroup(point)) {
+        throw pointError(ERRORS.NOT_IN_SUBGROUP, `${name} is not in the prime-order subgroup`);
+    }
+    return point;
+}
+
+module.exports = {
+    ERRORS,
+    parsePoint
+};
@@ -0,0 +1,80 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      POSEIDON HASH
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Poseidon over the BN254 scalar field with two inputs (t = 3), computing
+ * exactly what circomlib's Poseidon(2) template computes in a circuit:
+ * 8 full rounds, 57 partial rounds, x^5 S-box and the optimised constants
+ * of poseidon_constants.circom (see poseidon-constants.js).
+ *
+ * Used for the gap tree of the non-membership circuit (gap-accumulator.js).
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const CONSTANTS = require("./poseidon-constants");
+
+// BN254 scalar field: the circuits' native field
+const FIELD = BigInt("21888242871839275222246405745257275088548364400416034343698204186575808495617");
+
+const T = 3;
+const ROUNDS_F = 8;
+const ROUNDS_P = 57;
+
+const C = CONSTANTS.C.map(BigInt);
+const S = CONSTANTS.S.map(BigInt);
+const M = CONSTANTS.M.map((row) => row.map(BigInt));
+const P = CONSTANTS.P.map((row) => row.map(BigInt));
+
+function pow5(value) {
+    const square = (value * value) % FIELD;
+    return (square * square % FIELD) * value % FIELD;
+}
+
+/**
+ * Add the round constants starting at `offset`
+ */
+function ark(state, offset) {
+    return state.map((value, i) => (value + C[offset + i]) % FIELD);
+}
+
+/**
+ * Multiply by a matrix the way circomlib's Mix does: out[i] = SUM M[j][i] * in[j]
+ */
+function mix(state, matrix) {
+    return state.map((_, i) => state.reduce((sum, value, j) => sum + matrix[j][i] * value, 0n) % FIELD);
+}
+
+/**
+ * Poseidon hash of two field elements
+ * @param {bigint|number|string} a
+ * @param {bigint|number|string} b
+ * @returns {bigint}
+ */
+function poseidon(a, b) {
+    let state = ark([0n, BigInt(a) % FIELD, BigInt(b) % FIELD], 0);
+
+    const half = ROUNDS_F / 2;
+    for (let r = 0; r < half - 1; r++) {
+        state = mix(ark(state.map(pow5), (r + 1) * T), M);
+    }
+    state = mix(ark(state.map(pow5), half * T), P);
+
+    // Partial rounds with the sparse matrices S
+    for (let r = 0; r < ROUNDS_P; r++) {
+        const first = (pow5(state[0]) + C[(half + 1) * T + r]) % FIELD;
+        const row = (T * 2 - 1) * r;
+        const mixed = state.reduce((sum, value, j) => sum + S[row + j] * (j === 0 ? first : value), 0n) % FIELD;
+        state = state.map((value, j) => (j === 0 ? mixed : (value + first * S[row + T + j - 1]) % FIELD));
+    }
+
+    for (let r = 0; r < half - 1; r++) {
+        state = mix(ark(state.map(pow5), (half + 1) * T + ROUNDS_P + r * T), M);
+    }
+    return mix(state.map(pow5), M)[0];
+}
+
+poseidon.FIELD = FIELD;
+
+module.exports = poseidon;
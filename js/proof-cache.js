@@ -0,0 +1,93 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      PROOF CACHE
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * LRU cache of proof results keyed by (device, accX, accY), so repeated
+ * status checks between revocations reuse one Groth16 proof instead of
+ * running fullProve (~700ms) each time.
+ *
+ * Entries expire after ttlMs and the least recently used entry is evicted
+ * beyond maxSize. EvokeAccumulator clears the cache whenever the
+ * accumulator or the witnesses change.
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+class ProofCache {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxSize=1000] - max cached proofs (0 disables)
+     * @param {number} [options.ttlMs=300000] - lifetime of an entry
+     */
+    constructor(options = {}) {
+        this.maxSize = options.maxSize === undefined ? 1000 : options.maxSize;
+        this.ttlMs = options.ttlMs === undefined ? 300000 : options.ttlMs;
+
+        // key -> { value, expiresAt }, in least recently used order
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * Cache key of a device's proof against an accumulator { x, y }
+     */
+    static key(deviceKey, accumulator) {
+        return `${deviceKey}|${accumulator.x}|${accumulator.y}`;
+    }
+
+    /**
+     * Cached value, or undefined on a miss or expired entry
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry || entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            this.misses++;
+            return undefined;
+        }
+
+        // Move to the most recently used position
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.hits++;
+        return entry.value;
+    }
+
+    /**
+     * Store a value, evicting the least recently used entry if full
+     */
+    set(key, value) {
+        if (this.maxSize <= 0) return;
+
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+        while (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Drop every entry (hit and miss counts are kept)
+     */
+    clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * Hit and miss counts and current size
+     * @returns {{hits, misses, size, maxSize, ttlMs}}
+     */
+    getStatistics() {
+        return {
+            hits: this.hits,
+            misses: this.misses,
+            size: this.entries.size,
+            maxSize: this.maxSize,
+            ttlMs: this.ttlMs
+        };
+    }
+}
+
+module.exports = ProofCache;
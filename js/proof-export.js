@@ -0,0 +1,182 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      SOLIDITY PROOF EXPORT
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Converts Groth16 proofs between snarkjs's format and the calldata of a
+ * snarkjs-generated Solidity verifier (ECCGroth16Verifier.sol,
+ * MembershipGroth16Verifier.sol):
+ *
+ *   verifyProof(uint[2] a, uint[2][2] b, uint[2] c, uint[N] input)
+ *
+ *   a = pi_a[0..1]                 (pi_a is projective: [x, y, 1])
+ *   b = [[pi_b[0][1], pi_b[0][0]],  G2 limbs swapped: snarkjs stores
+ *        [pi_b[1][1], pi_b[1][0]]]  c0 + c1*u as [c0, c1], the BN254
+ *                                   precompile expects [c1, c0]
+ *   c = pi_c[0..1]
+ *   input = publicSignals
+ *
+ * Two export forms: JSON { a, b, c, input } (decimal strings, the layout
+ * of ecc-proof.json) and ABI-encoded calldata (hex, selector included).
+ * Proofs without public signals encode verifyProof(uint[2], uint[2][2],
+ * uint[2]), since Solidity has no zero-length arrays. Membership proofs
+ * have two ([accX, accY]), non-membership proofs four.
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+// BN254 base field (proof coordinates) and scalar field (public signals)
+const BASE_FIELD = BigInt("21888242871839275222246405745257275088696311157297823662689037894645226208583");
+const SCALAR_FIELD = BigInt("21888242871839275222246405745257275088548364400416034343698204186575808495617");
+
+// verifyProof selectors by number of public signals: first four bytes of
+// keccak256("verifyProof(uint256[2],uint256[2][2],uint256[2],uint256[N])")
+// (no input array for N = 0)
+const VERIFY_PROOF_SELECTORS = {
+    0: "0x6668a9fa",
+    1: "0x43753b4d",
+    2: "0xf5c9d69e",
+    3: "0x11479fea",
+    4: "0x5fe8c13b",
+    5: "0x34baeab9",
+    6: "0xf398789b",
+    7: "0xc894e757",
+    8: "0xc9219a7a"
+};
+
+const ERRORS = {
+    INVALID_PROOF: "INVALID_PROOF",
+    UNSUPPORTED_INPUTS: "UNSUPPORTED_INPUTS"
+};
+
+/**
+ * Build an error with one of the ERRORS codes
+ */
+function exportError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Canonical decimal string of a field element, checked against the modulus
+ */
+function fieldElement(value, modulus, name) {
+    let element;
+    try {
+        element = BigInt(value);
+    } catch (error) {
+        element = null;
+    }
+    if (element === null || element < 0n || element >= modulus) {
+        throw exportError(ERRORS.INVALID_PROOF, `${name} is not a field element: ${value}`);
+    }
+    return element.toString();
+}
+
+/**
+ * Selector of verifyProof for a number of public signals
+ */
+function verifyProofSelector(inputCount) {
+    const selector = VERIFY_PROOF_SELECTORS[inputCount];
+    if (!selector) {
+        throw exportError(ERRORS.UNSUPPORTED_INPUTS,
+            `No verifyProof selector for ${inputCount} public signals (supported: 0-8)`);
+    }
+    return selector;
+}
+
+/**
+ * Convert a snarkjs proof to verifier arguments and calldata.
+ * Accepts (proof, publicSignals) or a single result object carrying both,
+ * e.g. the return value of generateMembershipProof().
+ * @returns {{a, b, c, input, calldata}}
+ */
+function toSolidityCalldata(proof, publicSignals) {
+    if (publicSignals === undefined && proof && proof.proof) {
+        ({ proof, publicSignals } = proof);
+    }
+    if (!proof || !Array.isArray(proof.pi_a) || !Array.isArray(proof.pi_b) || !Array.isArray(proof.pi_c)) {
+        throw exportError(ERRORS.INVALID_PROOF, "Expected a snarkjs Groth16 proof with pi_a, pi_b and pi_c");
+    }
+
+    const g1 = (point, name) => [0, 1].map((i) => fieldElement(point[i], BASE_FIELD, `${name}[${i}]`));
+    const a = g1(proof.pi_a, "pi_a");
+    const b = [0, 1].map((i) => [1, 0].map((j) => fieldElement(proof.pi_b[i] && proof.pi_b[i][j], BASE_FIELD, `pi_b[${i}][${j}]`)));
+    const c = g1(proof.pi_c, "pi_c");
+    const input = (publicSignals || []).map((signal, i) => fieldElement(signal, SCALAR_FIELD, `publicSignals[${i}]`));
+
+    const words = [...a, ...b.flat(), ...c, ...input];
+    const calldata = verifyProofSelector(input.length) +
+        words.map((value) => BigInt(value).toString(16).padStart(64, "0")).join("");
+
+    return { a, b, c, input, calldata };
+}
+
+/**
+ * Convert verifier calldata (hex, with or without the selector) or a
+ * JSON { a, b, c, input } object back to a snarkjs proof
+ * @returns {{proof, publicSignals}}
+ */
+function fromSolidityCalldata(calldata) {
+    let args = calldata;
+
+    if (typeof calldata === "string") {
+        let hex = calldata.startsWith("0x") ? calldata.slice(2) : calldata;
+        if (!/^[0-9a-fA-F]*$/.test(hex) || hex.length % 8 !== 0) {
+            throw exportError(ERRORS.INVALID_PROOF, "Calldata must be hex-encoded 32-byte words");
+        }
+
+        // 4-byte selector present when the length is not a whole number of words
+        if (hex.length % 64 === 8) {
+            const inputCount = (hex.length - 8) / 64 - 8;
+            if (inputCount < 0 || "0x" + hex.slice(0, 8).toLowerCase() !== verifyProofSelector(inputCount)) {
+                throw exportError(ERRORS.INVALID_PROOF, `Calldata selector 0x${hex.slice(0, 8)} is not verifyProof`);
+            }
+            hex = hex.slice(8);
+        }
+        if (hex.length % 64 !== 0 || hex.length < 8 * 64) {
+            throw exportError(ERRORS.INVALID_PROOF, "Calldata is too short for a Groth16 proof");
+        }
+
+        const words = [];
+        for (let i = 0; i < hex.length; i += 64) {
+            words.push(BigInt("0x" + hex.slice(i, i + 64)).toString());
+        }
+        args = {
+            a: words.slice(0, 2),
+            b: [words.slice(2, 4), words.slice(4, 6)],
+            c: words.slice(6, 8),
+            input: words.slice(8)
+        };
+    }
+
+    if (!args || !Array.isArray(args.a) || !Array.isArray(args.b) || !Array.isArray(args.c)) {
+        throw exportError(ERRORS.INVALID_PROOF, "Expected calldata or { a, b, c, input }");
+    }
+
+    const g1 = (point, name) => [
+        ...[0, 1].map((i) => fieldElement(point[i], BASE_FIELD, `${name}[${i}]`)),
+        "1"
+    ];
+    return {
+        proof: {
+            pi_a: g1(args.a, "a"),
+            pi_b: [
+                ...[0, 1].map((i) => [1, 0].map((j) => fieldElement(args.b[i] && args.b[i][j], BASE_FIELD, `b[${i}][${j}]`))),
+                ["1", "0"]
+            ],
+            pi_c: g1(args.c, "c"),
+            protocol: "groth16",
+            curve: "bn128"
+        },
+        publicSignals: (args.input || []).map((signal, i) => fieldElement(signal, SCALAR_FIELD, `input[${i}]`))
+    };
+}
+
+module.exports = {
+    ERRORS,
+    VERIFY_PROOF_SELECTORS,
+    toSolidityCalldata,
+    fromSolidityCalldata
+};
@@ -0,0 +1,235 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      PROVER POOL (WORKER THREADS)
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Runs Groth16 fullProve in worker_threads (prover-worker.js) so proofs
+ * are generated in parallel and the main event loop stays free.
+ *
+ * - Up to `size` workers, started on demand; each loads the circuit's
+ *   wasm and zkey once and proves one job at a time. Further jobs wait
+ *   in a FIFO queue.
+ * - Per-job timeout and AbortSignal cancellation. A running fullProve
+ *   cannot be interrupted, so its worker is terminated and replaced.
+ * - Idle workers are unref'd and don't keep the process alive; close()
+ *   terminates them.
+ *
+ * Failed jobs reject with an Error whose code is one of
+ * ProverPool.ERRORS.
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const MembershipProver = require("./membership-prover");
+
+const WORKER_SCRIPT = path.join(__dirname, "prover-worker.js");
+
+const ERRORS = {
+    PROOF_FAILED: "PROOF_FAILED",
+    PROOF_TIMEOUT: "PROOF_TIMEOUT",
+    CANCELLED: "CANCELLED",
+    POOL_CLOSED: "POOL_CLOSED"
+};
+
+class ProverPool {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.circuit] - { wasm, zkey } artifact paths (default: membership circuit)
+     * @param {number} [options.size] - max workers (default: available cores)
+     * @param {number} [options.timeoutMs=120000] - default per-job timeout
+     */
+    constructor(options = {}) {
+        this.circuit = { ...MembershipProver.DEFAULT_CIRCUIT, ...options.circuit };
+        this.size = options.size || os.availableParallelism();
+        this.timeoutMs = options.timeoutMs || 120000;
+
+        this.workers = [];
+        this.queue = [];
+        this.nextId = 0;
+        this.closed = false;
+    }
+
+    /**
+     * Generate a proof in a worker
+     * @param {object} input - circuit input
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - cancels the job
+     * @param {number} [options.timeoutMs] - overrides the pool's timeout
+     * @returns {Promise<{proof, publicSignals, proofTimeMs}>}
+     */
+    prove(input, options = {}) {
+        if (this.closed) {
+            return Promise.reject(poolError(ERRORS.POOL_CLOSED, "Prover pool is closed"));
+        }
+        const { signal } = options;
+        if (signal && signal.aborted) {
+            return Promise.reject(poolError(ERRORS.CANCELLED, "Proof cancelled"));
+        }
+
+        return new Promise((resolve, reject) => {
+            const job = {
+                id: this.nextId++,
+                input,
+                timeoutMs: options.timeoutMs || this.timeoutMs,
+                resolve,
+                reject,
+                signal,
+                onAbort: null,
+                timer: null
+            };
+            if (signal) {
+                job.onAbort = () => this.fail(job, poolError(ERRORS.CANCELLED, "Proof cancelled"));
+                signal.addEventListener("abort", job.onAbort, { once: true });
+            }
+
+            this.queue.push(job);
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Terminate all workers and reject queued and running jobs
+     */
+    async close() {
+        this.closed = true;
+        const error = poolError(ERRORS.POOL_CLOSED, "Prover pool is closed");
+        for (const job of [...this.queue, ...this.workers.map((slot) => slot.job).filter(Boolean)]) {
+            this.fail(job, error);
+        }
+        await Promise.all(this.workers.map((slot) => slot.worker.terminate()));
+        this.workers = [];
+    }
+
+    // ============ Scheduling ============
+
+    /**
+     * Hand queued jobs to idle workers, starting workers up to `size`
+     */
+    dispatch() {
+        while (!this.closed && this.queue.length > 0) {
+            let slot = this.workers.find((candidate) => !candidate.job);
+            if (!slot) {
+                if (this.workers.length >= this.size) return;
+                slot = this.spawn();
+            }
+
+            const job = this.queue.shift();
+            slot.job = job;
+            slot.worker.ref();
+            job.timer = setTimeout(() => {
+                this.fail(job, poolError(ERRORS.PROOF_TIMEOUT, `Proof timed out after ${job.timeoutMs}ms`));
+            }, job.timeoutMs);
+            slot.worker.postMessage({ id: job.id, input: job.input });
+        }
+    }
+
+    /**
+     * Start a worker and route its messages to the job it is running
+     */
+    spawn() {
+        // snarkjs loads the web-worker package, which treats any worker
+        // thread as its own and requires workerData.mod; the worker script
+        // itself is already loaded, so that require is a no-op
+        const workerData = { circuit: this.circuit, mod: WORKER_SCRIPT };
+        const slot = {
+            worker: new Worker(WORKER_SCRIPT, { workerData }),
+            job: null
+        };
+
+        slot.worker.on("message", (message) => {
+            const job = slot.job;
+            if (!job || job.id !== message.id) return;
+            this.release(slot);
+            if (message.error) {
+                this.settle(job, null, poolError(ERRORS.PROOF_FAILED, message.error));
+            } else {
+                const { proof, publicSignals, proofTimeMs } = message;
+                this.settle(job, { proof, publicSignals, proofTimeMs });
+            }
+        });
+        slot.worker.on("error", (error) => {
+            if (slot.job) {
+                this.fail(slot.job, poolError(ERRORS.PROOF_FAILED, `Prover worker failed: ${error.message}`));
+            }
+        });
+        slot.worker.on("exit", () => this.remove(slot));
+
+        this.workers.push(slot);
+        return slot;
+    }
+
+    /**
+     * Mark a worker idle and give it the next job
+     */
+    release(slot) {
+        slot.job = null;
+        slot.worker.unref();
+        this.dispatch();
+    }
+
+    /**
+     * Reject a queued or running job; a running job's worker is replaced
+     */
+    fail(job, error) {
+        const queued = this.queue.indexOf(job);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+        }
+
+        const slot = this.workers.find((candidate) => candidate.job === job);
+        if (slot) {
+            slot.job = null;
+            this.remove(slot);
+            slot.worker.terminate();
+        }
+
+        this.settle(job, null, error);
+        this.dispatch();
+    }
+
+    /**
+     * Stop tracking a worker that exited or was terminated
+     */
+    remove(slot) {
+        this.workers = this.workers.filter((candidate) => candidate !== slot);
+        if (slot.job) {
+            const job = slot.job;
+            slot.job = null;
+            this.settle(job, null, poolError(ERRORS.PROOF_FAILED, "Prover worker exited"));
+            this.dispatch();
+        }
+    }
+
+    /**
+     * Resolve or reject a job once, clearing its timer and abort listener
+     */
+    settle(job, result, error = null) {
+        if (job.settled) return;
+        job.settled = true;
+        clearTimeout(job.timer);
+        if (job.signal) {
+            job.signal.removeEventListener("abort", job.onAbort);
+        }
+        if (error) {
+            job.reject(error);
+        } else {
+            job.resolve(result);
+        }
+    }
+}
+
+/**
+ * Build an error with one of the ERRORS codes
+ */
+function poolError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+ProverPool.ERRORS = ERRORS;
+
+module.exports = ProverPool;
@@ -0,0 +1,38 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      PROVER WORKER THREAD
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Worker side of ProverPool (prover-pool.js). Reads the circuit's wasm
+ * and zkey into memory once, then answers { id, input } messages with
+ * { id, proof, publicSignals, proofTimeMs } or { id, error }.
+ *
+ * Proving runs single-threaded: the pool already runs one worker per
+ * core, so snarkjs must not start its own threads in each of them.
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require("fs");
+const { parentPort, workerData } = require("worker_threads");
+const snarkjs = require("snarkjs");
+
+const wasm = fs.readFileSync(workerData.circuit.wasm);
+const zkey = fs.readFileSync(workerData.circuit.zkey);
+
+parentPort.on("message", async ({ id, input }) => {
+    try {
+        const startTime = Date.now();
+        const { proof, publicSignals } = await snarkjs.groth16.fullProve(
+            input,
+            wasm,
+            zkey,
+            undefined,
+            undefined,
+            { singleThread: true }
+        );
+        parentPort.postMessage({ id, proof, publicSignals, proofTimeMs: Date.now() - startTime });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
@@ -0,0 +1,585 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      REGISTRY EVENT INDEXER
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Follows a deployed B_Evoke_Registry_ECC over JSON-RPC and mirrors its
+ * state in an EvokeAccumulator:
+ *
+ *   DeviceRegistered    device added (and tracked for non-membership)
+ *   DeviceRevoked       revokeDevice(address)
+ *   AccumulatorUpdated  after revokeDevice: consistency check only;
+ *                       after batchRevokeDevices: the batch is decoded
+ *                       from the transaction input (the contract emits no
+ *                       per-device event) and revoked in one update
+ *   WitnessUpdated      the device's on-chain witness is recorded
+ *
+ * After every AccumulatorUpdated the locally computed accumulator must
+ * equal both the event payload and getAccumulator() at that block;
+ * otherwise indexing stops with ACCUMULATOR_MISMATCH.
+ *
+ * Decoded events are the indexer's state. They are saved to
+ * indexer-state.json together with the last indexed block and the hashes
+ * of recent blocks. On restart the accumulator is rebuilt from the saved
+ * events and indexing resumes at the next block. When a saved block hash
+ * no longer matches the chain, events after the last matching block are
+ * dropped and the accumulator is rebuilt (a reorg deeper than reorgDepth
+ * re-indexes from fromBlock).
+ *
+ * fromBlock must not be later than the registry's deployment block:
+ * batch revocations only count devices the indexer has seen registered.
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require("fs");
+const path = require("path");
+const EvokeAccumulator = require("./evoke-accumulator");
+const JsonRpcClient = require("./json-rpc-client");
+
+// keccak256 of each event signature (topic 0)
+const TOPICS = {
+    DeviceRegistered: "0x54519a754ecc4109835060b322448bf8e0a500ef5bb932ce59948a3b152839a1", // DeviceRegistered(address,bytes32,uint256)
+    DeviceRevoked: "0x466db4269b47ae736a11221c7807c7b86c0bd26a263f061bab59ededa3cfdf48", // DeviceRevoked(address,uint256,uint256,uint256)
+    AccumulatorUpdated: "0x3ea38a0892954f957ae8d5b5306a6b56c2f59ecdfae918df3ec8bb0f305f5675", // AccumulatorUpdated(uint256,uint256,uint256)
+    WitnessUpdated: "0x92865b6d214e9bf66bf3f2a5b218b92e8bb2c4aa772fa900df8b742764438b4c" // WitnessUpdated(address,uint256,uint256)
+};
+
+// First four bytes of keccak256 of each function signature
+const SELECTORS = {
+    getAccumulator: "0xff40807b", // getAccumulator()
+    batchRevokeDevices: "0xe3c9f623" // batchRevokeDevices(address[])
+};
+
+const ERRORS = {
+    ACCUMULATOR_MISMATCH: "ACCUMULATOR_MISMATCH",
+    UNDECODABLE_BATCH: "UNDECODABLE_BATCH",
+    STATE_MISMATCH: "STATE_MISMATCH"
+};
+
+const STATE_FILE = "indexer-state.json";
+const STATE_VERSION = 1;
+
+/**
+ * Number -> JSON-RPC quantity
+ */
+function toQuantity(value) {
+    return "0x" + value.toString(16);
+}
+
+/**
+ * i-th 32-byte word of hex data as a BigInt
+ */
+function word(data, i) {
+    return BigInt("0x" + data.slice(2 + 64 * i, 2 + 64 * (i + 1)));
+}
+
+/**
+ * Address held in a 32-byte word or topic (lowercase hex)
+ */
+function wordToAddress(hex) {
+    return "0x" + hex.slice(-40).toLowerCase();
+}
+
+class RegistryIndexer {
+    /**
+     * @param {object} options
+     * @param {string} options.address - registry contract address
+     * @param {object} [options.rpc] - client with request(method, params)
+     * @param {string} [options.rpcUrl="http://127.0.0.1:8545"] - endpoint when no rpc is given
+     * @param {string} [options.stateDir] - directory for indexer-state.json (memory only if omitted)
+     * @param {number} [options.fromBlock=0] - first block to index
+     * @param {number} [options.blockRange=2000] - max blocks per eth_getLogs call
+     * @param {number} [options.reorgDepth=64] - how far back block hashes are kept
+     * @param {object} [options.accumulator] - extra EvokeAccumulator options (curve, provers)
+     */
+    constructor(options) {
+        this.address = options.address.toLowerCase();
+        this.rpc = options.rpc || new JsonRpcClient(options.rpcUrl || "http://127.0.0.1:8545");
+        this.statePath = options.stateDir ? path.join(options.stateDir, STATE_FILE) : null;
+        this.fromBlock = options.fromBlock || 0;
+        this.blockRange = options.blockRange || 2000;
+        this.reorgDepth = options.reorgDepth || 64;
+        this.accumulatorOptions = options.accumulator || {};
+
+        // Indexed state: decoded events up to lastBlock, and the hashes of
+        // recent blocks ({ number, hash }, ascending) for reorg detection
+        this.lastBlock = this.fromBlock - 1;
+        this.recentBlocks = [];
+        this.events = [];
+
+        // Derived from events by rebuild()
+        this.evoke = null;
+        this.devices = new Map();
+
+        // sync() calls run one at a time
+        this.queue = Promise.resolve();
+        this.timer = null;
+
+        if (this.statePath) {
+            fs.mkdirSync(options.stateDir, { recursive: true });
+        }
+    }
+
+    /**
+     * Create an indexer, load its saved state and rebuild the accumulator
+     */
+    static async open(options) {
+        const indexer = new RegistryIndexer(options);
+        indexer.load();
+        await indexer.rebuild();
+        return indexer;
+    }
+
+    // ============ Indexing ============
+
+    /**
+     * Index every block up to the current head
+     * @returns {Promise<{head, lastBlock, events, reorg}>} reorg is
+     *   { rewoundTo } when indexed blocks were dropped, otherwise null
+     */
+    async sync() {
+        const run = this.queue.then(async () => {
+            let reorg = await this.checkReorg();
+            let indexed = 0;
+            let head = Number(await this.rpc.request("eth_blockNumber"));
+
+            while (this.lastBlock < head) {
+                const from = this.lastBlock + 1;
+                const to = Math.min(head, from + this.blockRange - 1);
+                const count = await this.indexRange(from, to);
+
+                if (count === null) {
+                    // The chain changed while the range was read
+                    reorg = (await this.checkReorg()) || reorg;
+                    head = Number(await this.rpc.request("eth_blockNumber"));
+                    continue;
+                }
+                indexed += count;
+            }
+
+            return { head, lastBlock: this.lastBlock, events: indexed, reorg };
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Sync every intervalMs until stop() is called
+     * @param {number} [intervalMs=1000]
+     * @param {function} [onError] - called with errors thrown by sync()
+     */
+    start(intervalMs = 1000, onError = () => {}) {
+        if (this.timer) return;
+
+        const tick = async () => {
+            try {
+                await this.sync();
+            } catch (error) {
+                onError(error);
+            }
+            if (this.timer) {
+                this.timer = setTimeout(tick, intervalMs);
+            }
+        };
+        this.timer = setTimeout(tick, 0);
+    }
+
+    /**
+     * Stop the polling loop started by start()
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Index blocks from..to, or return null if the chain changed meanwhile
+     * @returns {Promise<number|null>} number of events indexed
+     */
+    async indexRange(from, to) {
+        const endBlock = await this.getBlock(to);
+        const startBlock = from === to ? endBlock : await this.getBlock(from);
+        const anchor = this.recentBlocks[this.recentBlocks.length - 1];
+        if (!endBlock || !startBlock ||
+            (anchor && anchor.number === from - 1 && startBlock.parentHash !== anchor.hash)) {
+            return null;
+        }
+
+        const logs = await this.rpc.request("eth_getLogs", [{
+            address: this.address,
+            fromBlock: toQuantity(from),
+            toBlock: toQuantity(to),
+            topics: [Object.values(TOPICS)]
+        }]);
+
+        // Same hash at `to` means every block below it is unchanged too
+        const endAgain = await this.getBlock(to);
+        if (!endAgain || endAgain.hash !== endBlock.hash) {
+            return null;
+        }
+
+        const events = [];
+        try {
+            for (let i = 0; i < logs.length; i++) {
+                const event = this.decodeLog(logs[i]);
+                const previous = events[events.length - 1];
+                if (event.type === "AccumulatorUpdated" &&
+                    !(previous && previous.type === "DeviceRevoked" && previous.transactionHash === event.transactionHash)) {
+                    event.devices = await this.batchDevices(event.transactionHash);
+                    event.timestamp = Number((await this.getBlock(event.blockNumber)).timestamp);
+                }
+
+                await this.applyEvent(event);
+
+                // getAccumulator() at a block reflects its last update only;
+                // earlier ones were checked against their event payload
+                const lastUpdateInBlock = !logs.slice(i + 1).some((log) =>
+                    log.topics[0] === TOPICS.AccumulatorUpdated && Number(log.blockNumber) === event.blockNumber);
+                if (event.type === "AccumulatorUpdated" && lastUpdateInBlock) {
+                    await this.checkContractAccumulator(event);
+                }
+                events.push(event);
+            }
+        } catch (error) {
+            // Drop the partially applied range
+            await this.rebuild();
+            throw error;
+        }
+
+        this.events.push(...events);
+        this.lastBlock = to;
+        this.recordBlocks([
+            ...events.map((event) => ({ number: event.blockNumber, hash: event.blockHash })),
+            { number: to, hash: endBlock.hash }
+        ]);
+        this.save();
+
+        return events.length;
+    }
+
+    /**
+     * Compare saved block hashes with the chain and rewind past a reorg
+     * @returns {Promise<{rewoundTo}|null>}
+     */
+    async checkReorg() {
+        for (let i = this.recentBlocks.length - 1; i >= 0; i--) {
+            const { number, hash } = this.recentBlocks[i];
+            const block = await this.getBlock(number);
+            if (block && block.hash === hash) {
+                return i === this.recentBlocks.length - 1 ? null : this.rewind(number);
+            }
+        }
+
+        // No saved block is still canonical: start over
+        return this.recentBlocks.length ? this.rewind(this.fromBlock - 1) : null;
+    }
+
+    /**
+     * Drop everything indexed after blockNumber and rebuild
+     */
+    async rewind(blockNumber) {
+        this.events = this.events.filter((event) => event.blockNumber <= blockNumber);
+        this.recentBlocks = this.recentBlocks.filter((block) => block.number <= blockNumber);
+        this.lastBlock = blockNumber;
+        await this.rebuild();
+        this.save();
+        return { rewoundTo: blockNumber };
+    }
+
+    /**
+     * Add block hashes and forget those older than reorgDepth
+     */
+    recordBlocks(blocks) {
+        const byNumber = new Map(this.recentBlocks.map((block) => [block.number, block]));
+        for (const block of blocks) {
+            byNumber.set(block.number, block);
+        }
+        this.recentBlocks = Array.from(byNumber.values())
+            .filter((block) => block.number > this.lastBlock - this.reorgDepth)
+            .sort((a, b) => a.number - b.number);
+    }
+
+    /**
+     * Block header by number, or null past the head
+     */
+    async getBlock(number) {
+        return this.rpc.request("eth_getBlockByNumber", [toQuantity(number), false]);
+    }
+
+    // ============ Event Decoding ============
+
+    /**
+     * Decode a registry log into a plain JSON event
+     */
+    decodeLog(log) {
+        const event = {
+            type: Object.keys(TOPICS).find((type) => TOPICS[type] === log.topics[0]),
+            blockNumber: Number(log.blockNumber),
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash,
+            logIndex: Number(log.logIndex)
+        };
+        const data = log.data;
+
+        switch (event.type) {
+            case "DeviceRegistered":
+                event.device = wordToAddress(log.topics[1]);
+                event.did = log.topics[2];
+                event.timestamp = Number(word(data, 0));
+                break;
+            case "DeviceRevoked":
+                event.device = wordToAddress(log.topics[1]);
+                event.accumulator = { x: word(data, 0).toString(), y: word(data, 1).toString() };
+                event.timestamp = Number(word(data, 2));
+                break;
+            case "AccumulatorUpdated":
+                event.accumulator = { x: word(data, 0).toString(), y: word(data, 1).toString() };
+                event.updateCount = Number(word(data, 2));
+                event.devices = null;
+                break;
+            case "WitnessUpdated":
+                event.device = wordToAddress(log.topics[1]);
+                event.witness = { x: word(data, 0).toString(), y: word(data, 1).toString() };
+                break;
+            default:
+                throw this.indexerError(ERRORS.STATE_MISMATCH, `Unknown event topic ${log.topics[0]}`);
+        }
+        return event;
+    }
+
+    /**
+     * Devices revoked by a batchRevokeDevices transaction: its address
+     * list, keeping (like the contract) only registered, not yet revoked
+     * and not repeated addresses
+     */
+    async batchDevices(transactionHash) {
+        const tx = await this.rpc.request("eth_getTransactionByHash", [transactionHash]);
+        if (!tx || !tx.to || tx.to.toLowerCase() !== this.address || !tx.input.startsWith(SELECTORS.batchRevokeDevices)) {
+            throw this.indexerError(ERRORS.UNDECODABLE_BATCH,
+                `AccumulatorUpdated in ${transactionHash} is not from a direct batchRevokeDevices call`);
+        }
+
+        // ABI: offset of the array, then its length and one word per address
+        const args = "0x" + tx.input.slice(10);
+        const offset = Number(word(args, 0)) / 32;
+        const length = Number(word(args, offset));
+
+        const devices = [];
+        for (let i = 0; i < length; i++) {
+            const device = wordToAddress(word(args, offset + 1 + i).toString(16).padStart(64, "0"));
+            const data = this.devices.get(device);
+            if (data && !data.revoked && !devices.includes(device)) {
+                devices.push(device);
+            }
+        }
+        return devices;
+    }
+
+    // ============ State ============
+
+    /**
+     * Apply one decoded event to the accumulator and device list
+     */
+    async applyEvent(event) {
+        if (event.type === "DeviceRegistered") {
+            // The contract's initial witness is the current accumulator
+            this.devices.set(event.device, {
+                address: event.device,
+                did: event.did,
+                registeredAt: event.timestamp,
+                revoked: false,
+                revokedAt: null,
+                onChainWitness: this.evoke.getAccumulator()
+            });
+            this.expectSuccess(await this.evoke.trackDevice(event.device), event);
+            return;
+        }
+
+        if (event.type === "DeviceRevoked") {
+            const data = this.registeredDevice(event);
+            const onChainWitness = this.evoke.getAccumulator();
+            this.expectSuccess(await this.evoke.revokeDevice(event.device), event);
+            Object.assign(data, { revoked: true, revokedAt: event.timestamp, onChainWitness });
+            this.checkEventAccumulator(event);
+            return;
+        }
+
+        if (event.type === "AccumulatorUpdated") {
+            if (event.devices && event.devices.length) {
+                const onChainWitness = this.evoke.getAccumulator();
+                const results = await this.evoke.batchRevoke(event.devices);
+                results.forEach((result) => this.expectSuccess(result, event));
+                for (const device of event.devices) {
+                    Object.assign(this.devices.get(device), { revoked: true, revokedAt: event.timestamp, onChainWitness });
+                }
+            }
+            this.checkEventAccumulator(event);
+            return;
+        }
+
+        // WitnessUpdated
+        this.registeredDevice(event).onChainWitness = event.witness;
+    }
+
+    /**
+     * Recreate the accumulator and device list from the indexed events
+     */
+    async rebuild() {
+        this.evoke = new EvokeAccumulator(this.accumulatorOptions);
+        this.devices = new Map();
+        for (const event of this.events) {
+            await this.applyEvent(event);
+        }
+    }
+
+    /**
+     * Check the local accumulator against the one carried by an event
+     */
+    checkEventAccumulator(event) {
+        const local = this.evoke.getAccumulator();
+        if (local.x !== event.accumulator.x || local.y !== event.accumulator.y) {
+            throw this.indexerError(ERRORS.ACCUMULATOR_MISMATCH,
+                `Local accumulator differs from ${event.type} in block ${event.blockNumber} (tx ${event.transactionHash})`);
+        }
+    }
+
+    /**
+     * Check the local accumulator against getAccumulator() at the event's block
+     */
+    async checkContractAccumulator(event) {
+        const result = await this.rpc.request("eth_call", [
+            { to: this.address, data: SELECTORS.getAccumulator },
+            toQuantity(event.blockNumber)
+        ]);
+        const local = this.evoke.getAccumulator();
+        if (local.x !== word(result, 0).toString() || local.y !== word(result, 1).toString()) {
+            throw this.indexerError(ERRORS.ACCUMULATOR_MISMATCH,
+                `Local accumulator differs from getAccumulator() at block ${event.blockNumber}`);
+        }
+    }
+
+    /**
+     * Device data for an event, which must refer to a registered device
+     */
+    registeredDevice(event) {
+        const data = this.devices.get(event.device);
+        if (!data) {
+            throw this.indexerError(ERRORS.STATE_MISMATCH,
+                `${event.type} for unregistered device ${event.device} in block ${event.blockNumber}`);
+        }
+        return data;
+    }
+
+    /**
+     * Turn a failed accumulator result into an indexing error
+     */
+    expectSuccess(result, event) {
+        if (!result.success) {
+            throw this.indexerError(ERRORS.STATE_MISMATCH,
+                `${event.type} in block ${event.blockNumber}: ${result.message}`);
+        }
+    }
+
+    // ============ Persistence ============
+
+    /**
+     * Load saved events and block hashes, if any
+     */
+    load() {
+        if (!this.statePath || !fs.existsSync(this.statePath)) return;
+
+        const state = JSON.parse(fs.readFileSync(this.statePath, "utf8"));
+        if (state.version !== STATE_VERSION || state.address !== this.address) {
+            throw this.indexerError(ERRORS.STATE_MISMATCH,
+                `${this.statePath} was written for another indexer (version ${state.version}, contract ${state.address})`);
+        }
+        this.lastBlock = state.lastBlock;
+        this.recentBlocks = state.recentBlocks;
+        this.events = state.events;
+    }
+
+    /**
+     * Save events and block hashes (write-then-rename)
+     */
+    save() {
+        if (!this.statePath) return;
+
+        const tmpPath = this.statePath + ".tmp";
+        const fd = fs.openSync(tmpPath, "w");
+        try {
+            fs.writeSync(fd, JSON.stringify({
+                version: STATE_VERSION,
+                address: this.address,
+                lastBlock: this.lastBlock,
+                recentBlocks: this.recentBlocks,
+                events: this.events
+            }));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpPath, this.statePath);
+    }
+
+    // ============ Queries ============
+
+    /**
+     * Mirrored accumulator as decimal strings { x, y }
+     */
+    getAccumulator() {
+        return this.evoke.getAccumulator();
+    }
+
+    /**
+     * A device as registered on-chain, with the witness maintained by the
+     * accumulator (membership if revoked, non-membership otherwise), or null
+     */
+    getDevice(address) {
+        const data = this.devices.get(address.toLowerCase());
+        if (!data) return null;
+
+        return {
+            ...data,
+            witness: data.revoked
+                ? this.evoke.getWitness(data.address)
+                : this.evoke.getNonMembershipWitness(data.address)
+        };
+    }
+
+    /**
+     * Every registered device (see getDevice)
+     */
+    getDevices() {
+        return Array.from(this.devices.keys(), (address) => this.getDevice(address));
+    }
+
+    /**
+     * Indexing progress
+     */
+    getStatus() {
+        const revoked = Array.from(this.devices.values()).filter((data) => data.revoked).length;
+        return {
+            address: this.address,
+            lastBlock: this.lastBlock,
+            events: this.events.length,
+            devices: this.devices.size,
+            revoked
+        };
+    }
+
+    /**
+     * Build an indexer error with one of the ERRORS codes
+     */
+    indexerError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+RegistryIndexer.ERRORS = ERRORS;
+RegistryIndexer.TOPICS = TOPICS;
+RegistryIndexer.SELECTORS = SELECTORS;
+
+module.exports = RegistryIndexer;
@@ -0,0 +1,538 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      EVOKE REVOCATION SERVICE
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * JSON-over-HTTP API around an EvokeAccumulator (the "EVOKE Service"
+ * between devices and the chain):
+ *
+ *   POST /revocations            { deviceId } or { deviceIds: [...] }   admin
+ *                                (optional operator and reason, recorded
+ *                                in the audit log; reasonCode and, for
+ *                                suspensions, expiresAt)
+ *   GET  /revocations            ?reasonCode=&from=&to=&offset=&limit=
+ *                                current revocations (from/to: ms or ISO)
+ *   POST /devices/:id/track      maintain a non-membership witness      admin
+ *   GET  /devices/:id/status     revoked or not, with a proof (cached until
+ *                                the accumulator changes)
+ *   GET  /devices/:id/witness    membership or non-membership witness
+ *                                (with the epoch it is valid for)
+ *   GET  /accumulator            current accumulator and gap root,
+ *                                proof cache hits and misses
+ *   GET  /accumulator/history    ?offset=&limit=
+ *   GET  /accumulator/transitions ?offset=&limit=  update proofs
+ *                                without device IDs (transitionProofs)
+ *   GET  /audit-log              ?offset=&limit=  hash-chained audit entries
+ *                                and the head hash
+ *   GET  /witness-updates        ?since=EPOCH  delta for device-held witnesses
+ *   POST /proofs/verify          { type, proof, publicSignals } or
+ *                                { type, calldata } / { type, a, b, c, input },
+ *                                with deviceId for non-membership proofs
+ *   GET  /metrics                Prometheus text format: proof times,
+ *                                witness update durations, revoked count,
+ *                                epoch (see metrics.js)
+ *
+ * Admin routes need "Authorization: Bearer <adminToken>"; without a
+ * configured token they are disabled.
+ *
+ * Errors are { error, message } with an error code from
+ * RevocationService.ERRORS or EvokeAccumulator.ERRORS, e.g.
+ *   400 INVALID_DEVICE_ID / INVALID_REQUEST / INVALID_PROOF / INVALID_EPOCH
+ *       INVALID_REASON / INVALID_EXPIRY
+ *       INVALID_POINT / NOT_ON_CURVE / NOT_IN_SUBGROUP (proof public signals)
+ *   401 UNAUTHORIZED     403 ADMIN_DISABLED
+ *   404 UNKNOWN_DEVICE / NOT_FOUND
+ *   409 ALREADY_REVOKED / ID_COLLISION / REVOKED
+ *       PROOF_NOT_ACCEPTED (valid, but its accumulator is unknown or
+ *       outside the acceptance window)
+ *   422 PROOF_INVALID / DEVICE_MISMATCH    500 PROOF_FAILED
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+const EvokeAccumulator = require("./evoke-accumulator");
+const MetricsRegistry = require("./metrics");
+const { fromSolidityCalldata } = require("./proof-export");
+
+const ERRORS = {
+    INVALID_REQUEST: "INVALID_REQUEST",
+    INVALID_PROOF: "INVALID_PROOF",
+    PROOF_INVALID: "PROOF_INVALID",
+    PROOF_NOT_ACCEPTED: "PROOF_NOT_ACCEPTED",
+    UNAUTHORIZED: "UNAUTHORIZED",
+    ADMIN_DISABLED: "ADMIN_DISABLED",
+    UNKNOWN_DEVICE: "UNKNOWN_DEVICE",
+    NOT_FOUND: "NOT_FOUND",
+    METHOD_NOT_ALLOWED: "METHOD_NOT_ALLOWED",
+    PAYLOAD_TOO_LARGE: "PAYLOAD_TOO_LARGE",
+    INTERNAL_ERROR: "INTERNAL_ERROR"
+};
+
+// HTTP status for every error code the service can return
+const STATUS = {
+    [ERRORS.INVALID_REQUEST]: 400,
+    [ERRORS.INVALID_PROOF]: 400,
+    [ERRORS.PROOF_INVALID]: 422,
+    [ERRORS.PROOF_NOT_ACCEPTED]: 409,
+    [ERRORS.UNAUTHORIZED]: 401,
+    [ERRORS.ADMIN_DISABLED]: 403,
+    [ERRORS.UNKNOWN_DEVICE]: 404,
+    [ERRORS.NOT_FOUND]: 404,
+    [ERRORS.METHOD_NOT_ALLOWED]: 405,
+    [ERRORS.PAYLOAD_TOO_LARGE]: 413,
+    [ERRORS.INTERNAL_ERROR]: 500,
+    [EvokeAccumulator.ERRORS.INVALID_DEVICE_ID]: 400,
+    [EvokeAccumulator.ERRORS.INVALID_EPOCH]: 400,
+    [EvokeAccumulator.ERRORS.INVALID_REASON]: 400,
+    [EvokeAccumulator.ERRORS.INVALID_EXPIRY]: 400,
+    [EvokeAccumulator.ERRORS.INVALID_POINT]: 400,
+    [EvokeAccumulator.ERRORS.NOT_ON_CURVE]: 400,
+    [EvokeAccumulator.ERRORS.NOT_IN_SUBGROUP]: 400,
+    [EvokeAccumulator.ERRORS.NOT_REVOKED]: 404,
+    [EvokeAccumulator.ERRORS.ALREADY_REVOKED]: 409,
+    [EvokeAccumulator.ERRORS.ID_COLLISION]: 409,
+    [EvokeAccumulator.ERRORS.REVOKED]: 409,
+    [EvokeAccumulator.ERRORS.DEVICE_MISMATCH]: 422,
+    [EvokeAccumulator.ERRORS.WITNESS_MISMATCH]: 500,
+    [EvokeAccumulator.ERRORS.PROOF_FAILED]: 500
+};
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class RevocationService {
+    /**
+     * @param {EvokeAccumulator} evoke
+     * @param {object} [options]
+     * @param {string} [options.adminToken] - bearer token for admin routes
+     */
+    constructor(evoke, options = {}) {
+        this.evoke = evoke;
+        this.adminToken = options.adminToken || null;
+        this.server = http.createServer((req, res) => this.handle(req, res));
+
+        this.routes = [
+            { method: "POST", path: /^\/revocations$/, admin: true, handler: this.postRevocations },
+            { method: "GET", path: /^\/revocations$/, handler: this.getRevocations },
+            { method: "POST", path: /^\/devices\/([^/]+)\/track$/, admin: true, handler: this.postTrack },
+            { method: "GET", path: /^\/devices\/([^/]+)\/status$/, handler: this.getStatus },
+            { method: "GET", path: /^\/devices\/([^/]+)\/witness$/, handler: this.getWitness },
+            { method: "GET", path: /^\/accumulator$/, handler: this.getAccumulator },
+            { method: "GET", path: /^\/accumulator\/history$/, handler: this.getHistory },
+            { method: "GET", path: /^\/accumulator\/transitions$/, handler: this.getTransitions },
+            { method: "GET", path: /^\/audit-log$/, handler: this.getAuditLog },
+            { method: "GET", path: /^\/witness-updates$/, handler: this.getWitnessUpdate },
+            { method: "POST", path: /^\/proofs\/verify$/, handler: this.postVerify },
+            { method: "GET", path: /^\/metrics$/, handler: this.getMetrics }
+        ];
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<{address, port}>}
+     */
+    listen(port = 8080, host = "127.0.0.1") {
+        return new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(port, host, () => {
+                this.server.off("error", reject);
+                resolve(this.server.address());
+            });
+        });
+    }
+
+    /**
+     * Stop accepting connections and wait for open ones to finish
+     */
+    close() {
+        return new Promise((resolve) => this.server.close(() => resolve()));
+    }
+
+    // ============ Request Handling ============
+
+    /**
+     * Route a request and send its response: JSON, or text for handlers
+     * that return { text, contentType }
+     */
+    async handle(req, res) {
+        try {
+            const url = new URL(req.url, "http://localhost");
+            const matches = this.routes.filter((route) => route.path.test(url.pathname));
+            if (matches.length === 0) {
+                throw this.httpError(ERRORS.NOT_FOUND, `No route for ${url.pathname}`);
+            }
+
+            const route = matches.find((candidate) => candidate.method === req.method);
+            if (!route) {
+                res.setHeader("Allow", matches.map((candidate) => candidate.method).join(", "));
+                throw this.httpError(ERRORS.METHOD_NOT_ALLOWED, `${req.method} is not supported on ${url.pathname}`);
+            }
+            if (route.admin) {
+                this.authorize(req);
+            }
+
+            const params = this.decodeParams(url.pathname.match(route.path).slice(1));
+            const body = req.method === "POST" ? await this.readBody(req) : null;
+            const { status, payload, text, contentType } =
+                await route.handler.call(this, { params, query: url.searchParams, body });
+            if (text !== undefined) {
+                this.sendText(res, status, text, contentType);
+            } else {
+                this.send(res, status, payload);
+            }
+        } catch (error) {
+            if (error.status) {
+                this.send(res, error.status, { error: error.code, message: error.message });
+            } else {
+                this.send(res, 500, { error: ERRORS.INTERNAL_ERROR, message: error.message });
+            }
+        }
+    }
+
+    /**
+     * Percent-decode path parameters, rejecting malformed escapes (%E0)
+     */
+    decodeParams(params) {
+        try {
+            return params.map(decodeURIComponent);
+        } catch (error) {
+            if (!(error instanceof URIError)) throw error;
+            throw this.httpError(ERRORS.INVALID_REQUEST, `Malformed percent-encoding in ${params.join("/")}`);
+        }
+    }
+
+    /**
+     * Check the bearer token of an admin request
+     */
+    authorize(req) {
+        if (!this.adminToken) {
+            throw this.httpError(ERRORS.ADMIN_DISABLED, "No admin token is configured; admin routes are disabled");
+        }
+
+        const header = req.headers.authorization || "";
+        const token = Buffer.from(header.startsWith("Bearer ") ? header.slice(7) : "");
+        const expected = Buffer.from(this.adminToken);
+        if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+            throw this.httpError(ERRORS.UNAUTHORIZED, "Missing or invalid admin token");
+        }
+    }
+
+    /**
+     * Read and parse a JSON request body
+     */
+    async readBody(req) {
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of req) {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                throw this.httpError(ERRORS.PAYLOAD_TOO_LARGE, `Request body exceeds ${MAX_BODY_BYTES} bytes`);
+            }
+            chunks.push(chunk);
+        }
+
+        let body;
+        try {
+            body = JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}");
+        } catch (error) {
+            throw this.httpError(ERRORS.INVALID_REQUEST, `Request body is not valid JSON: ${error.message}`);
+        }
+        if (body === null || typeof body !== "object" || Array.isArray(body)) {
+            throw this.httpError(ERRORS.INVALID_REQUEST, "Request body must be a JSON object");
+        }
+        return body;
+    }
+
+    /**
+     * Send a JSON response (BigInt values as decimal strings)
+     */
+    send(res, status, payload) {
+        const body = JSON.stringify(payload, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+        res.writeHead(status, {
+            "Content-Type": "application/json",
+            "Content-Length": Buffer.byteLength(body)
+        });
+        res.end(body);
+    }
+
+    /**
+     * Send a text response
+     */
+    sendText(res, status, text, contentType = "text/plain; charset=utf-8") {
+        res.writeHead(status, {
+            "Content-Type": contentType,
+            "Content-Length": Buffer.byteLength(text)
+        });
+        res.end(text);
+    }
+
+    // ============ Routes ============
+
+    /**
+     * POST /revocations - revoke one device or a batch
+     */
+    async postRevocations({ body }) {
+        for (const field of ["operator", "reason", "reasonCode"]) {
+            if (body[field] !== undefined && typeof body[field] !== "string") {
+                throw this.httpError(ERRORS.INVALID_REQUEST, `${field} must be a string`);
+            }
+        }
+        if (body.expiresAt !== undefined && typeof body.expiresAt !== "number" && typeof body.expiresAt !== "string") {
+            throw this.httpError(ERRORS.INVALID_REQUEST, "expiresAt must be a time in milliseconds or an ISO 8601 date");
+        }
+        const audit = {
+            operator: body.operator,
+            reason: body.reason,
+            reasonCode: body.reasonCode,
+            expiresAt: body.expiresAt
+        };
+        if (Array.isArray(body.deviceIds)) {
+            // Reason and expiry apply to the whole batch: reject the request
+            // instead of failing every device
+            const terms = this.evoke.revocationTerms(audit);
+            if (terms.error) {
+                throw this.httpError(terms.error, terms.message);
+            }
+            const results = await this.evoke.batchRevoke(body.deviceIds, audit);
+            return {
+                status: 200,
+                payload: { results, accumulator: this.evoke.getAccumulator() }
+            };
+        }
+
+        if (body.deviceId === undefined) {
+            throw this.httpError(ERRORS.INVALID_REQUEST, "Body must contain deviceId or deviceIds");
+        }
+        return { status: 201, payload: this.unwrap(await this.evoke.revokeDevice(body.deviceId, audit)) };
+    }
+
+    /**
+     * GET /revocations?reasonCode=&from=&to=&offset=&limit= - current
+     * revocations, oldest first
+     */
+    async getRevocations({ query }) {
+        const revocations = this.evoke.getRevocations({
+            reasonCode: query.has("reasonCode") ? query.get("reasonCode") : undefined,
+            from: this.timeParam(query, "from"),
+            to: this.timeParam(query, "to")
+        });
+        const offset = this.integerParam(query, "offset", 0);
+        const limit = this.integerParam(query, "limit", revocations.length);
+        return {
+            status: 200,
+            payload: { total: revocations.length, offset, entries: revocations.slice(offset, offset + limit) }
+        };
+    }
+
+    /**
+     * POST /devices/:id/track - maintain a device's non-membership witness
+     */
+    async postTrack({ params: [deviceId] }) {
+        return { status: 200, payload: this.unwrap(await this.evoke.trackDevice(deviceId)) };
+    }
+
+    /**
+     * GET /devices/:id/status - revocation status with a proof
+     */
+    async getStatus({ params: [deviceId] }) {
+        const status = await this.evoke.checkRevocationStatus(deviceId);
+        this.unwrap(status.proof);
+        return {
+            status: 200,
+            payload: { deviceId, revoked: status.revoked, proof: status.proof }
+        };
+    }
+
+    /**
+     * GET /devices/:id/witness - membership witness of a revoked device or
+     * maintained non-membership witness of a tracked one
+     */
+    async getWitness({ params: [deviceId] }) {
+        const witness = this.evoke.getWitness(deviceId);
+        if (witness) {
+            return { status: 200, payload: { deviceId, type: "membership", epoch: this.evoke.getEpoch(), witness } };
+        }
+
+        if (!this.evoke.isTracked(deviceId)) {
+            // Surface INVALID_DEVICE_ID / ID_COLLISION before UNKNOWN_DEVICE
+            const { failure } = this.evoke.identify(deviceId);
+            this.unwrap(failure || { success: true });
+            throw this.httpError(ERRORS.UNKNOWN_DEVICE,
+                `Device ${deviceId} is neither revoked nor tracked (POST /devices/${deviceId}/track)`);
+        }
+        return {
+            status: 200,
+            payload: {
+                deviceId,
+                type: "non-membership",
+                epoch: this.evoke.getEpoch(),
+                witness: this.evoke.getNonMembershipWitness(deviceId)
+            }
+        };
+    }
+
+    /**
+     * GET /accumulator - current accumulator state
+     */
+    async getAccumulator() {
+        const { totalRevoked, trackedDevices } = this.evoke.getStatistics();
+        return {
+            status: 200,
+            payload: {
+                accumulator: this.evoke.getAccumulator(),
+                gapRoot: this.evoke.getGapRoot(),
+                totalRevoked,
+                trackedDevices,
+                proofCache: this.evoke.getProofCacheStatistics()
+            }
+        };
+    }
+
+    /**
+     * GET /metrics - metrics in the Prometheus text exposition format
+     */
+    async getMetrics() {
+        return { status: 200, text: this.evoke.getMetrics(), contentType: MetricsRegistry.CONTENT_TYPE };
+    }
+
+    /**
+     * GET /accumulator/history?offset=&limit= - accumulator updates, oldest first
+     */
+    async getHistory({ query }) {
+        const history = this.evoke.getHistory();
+        const offset = this.integerParam(query, "offset", 0);
+        const limit = this.integerParam(query, "limit", history.length);
+        return {
+            status: 200,
+            payload: { total: history.length, offset, entries: history.slice(offset, offset + limit) }
+        };
+    }
+
+    /**
+     * GET /accumulator/transitions?offset=&limit= - transition proofs of
+     * accumulator updates, oldest first (see transition-prover.js)
+     */
+    async getTransitions({ query }) {
+        const transitions = this.evoke.getTransitions();
+        const offset = this.integerParam(query, "offset", 0);
+        const limit = this.integerParam(query, "limit", transitions.length);
+        return {
+            status: 200,
+            payload: { total: transitions.length, offset, entries: transitions.slice(offset, offset + limit) }
+        };
+    }
+
+    /**
+     * GET /audit-log?offset=&limit= - audit entries, oldest first, and the
+     * hash of the last one (see audit-log.js)
+     */
+    async getAuditLog({ query }) {
+        const entries = this.evoke.getAuditLog();
+        const offset = this.integerParam(query, "offset", 0);
+        const limit = this.integerParam(query, "limit", entries.length);
+        return {
+            status: 200,
+            payload: {
+                total: entries.length,
+                head: this.evoke.getAuditHead().hash,
+                offset,
+                entries: entries.slice(offset, offset + limit)
+            }
+        };
+    }
+
+    /**
+     * GET /witness-updates?since=EPOCH - aggregated membership witness delta
+     * since an epoch (see witness-update.js)
+     */
+    async getWitnessUpdate({ query }) {
+        const { fromEpoch, epoch, delta, accumulator } = this.unwrap(
+            this.evoke.getWitnessUpdate(this.integerParam(query, "since", 0)));
+        return { status: 200, payload: { fromEpoch, epoch, delta, accumulator } };
+    }
+
+    /**
+     * POST /proofs/verify - check a membership or non-membership proof;
+     * 200 only if it is valid and its epoch is inside the acceptance window
+     */
+    async postVerify({ body }) {
+        let proof = body.proof;
+        let publicSignals = body.publicSignals || [];
+        if (body.calldata !== undefined || body.a !== undefined) {
+            try {
+                ({ proof, publicSignals } = fromSolidityCalldata(body.calldata !== undefined ? body.calldata : body));
+            } catch (error) {
+                throw this.httpError(ERRORS.INVALID_PROOF, error.message);
+            }
+        }
+        if (!proof || typeof proof !== "object") {
+            throw this.httpError(ERRORS.INVALID_REQUEST, "Body must contain proof, calldata or { a, b, c, input }");
+        }
+
+        const { type, valid, current, epoch, accepted } = this.unwrap(
+            await this.evoke.verifyProof({ type: body.type, proof, publicSignals, deviceId: body.deviceId }));
+        const payload = { type, valid, current, epoch, accepted };
+        if (!valid) {
+            return { status: 422, payload: { error: ERRORS.PROOF_INVALID, message: "Proof does not verify", ...payload } };
+        }
+        if (!accepted) {
+            const message = epoch === null
+                ? "Proof is against an unknown accumulator"
+                : `Proof is against epoch ${epoch}, outside the acceptance window`;
+            return { status: STATUS[ERRORS.PROOF_NOT_ACCEPTED], payload: { error: ERRORS.PROOF_NOT_ACCEPTED, message, ...payload } };
+        }
+        return { status: 200, payload };
+    }
+
+    // ============ Helpers ============
+
+    /**
+     * Return a successful accumulator result, or throw its failure as an HTTP error
+     */
+    unwrap(result) {
+        if (!result.success) {
+            throw this.httpError(result.error, result.message);
+        }
+        return result;
+    }
+
+    /**
+     * Non-negative integer query parameter
+     */
+    integerParam(query, name, defaultValue) {
+        if (!query.has(name)) return defaultValue;
+        const value = Number(query.get(name));
+        if (!Number.isInteger(value) || value < 0) {
+            throw this.httpError(ERRORS.INVALID_REQUEST, `${name} must be a non-negative integer`);
+        }
+        return value;
+    }
+
+    /**
+     * Time query parameter in milliseconds or as an ISO 8601 date
+     */
+    timeParam(query, name) {
+        if (!query.has(name)) return undefined;
+        const raw = query.get(name);
+        const value = /^[0-9]+$/.test(raw) ? Number(raw) : Date.parse(raw);
+        if (!Number.isSafeInteger(value)) {
+            throw this.httpError(ERRORS.INVALID_REQUEST, `${name} must be a time in milliseconds or an ISO 8601 date`);
+        }
+        return value;
+    }
+
+    /**
+     * Build an error carrying an error code and its HTTP status
+     */
+    httpError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        error.status = STATUS[code] || 500;
+        return error;
+    }
+}
+
+RevocationService.ERRORS = ERRORS;
+
+module.exports = RevocationService;
@@ -0,0 +1,174 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      REVOCATION STORE
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Durable storage for EvokeAccumulator state.
+ *
+ * A store keeps an append-only log of operations plus an optional
+ * snapshot of the full state. Every log entry carries a sequence number;
+ * a snapshot records the last sequence number it contains, so entries at
+ * or below it are skipped during recovery.
+ *
+ * Store interface:
+ *   load()                -> { snapshot, entries }
+ *   append(entry)         -> persist one log entry
+ *   writeSnapshot(state)  -> persist a snapshot and compact the log
+ *
+ * MemoryStore keeps everything in process memory (no durability).
+ * FileStore writes revocations.log (JSONL) and snapshot.json in a directory.
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const LOG_FILE = "revocations.log";
+const SNAPSHOT_FILE = "snapshot.json";
+
+/**
+ * Encode a device identifier for JSON (BigInt is not JSON-serializable)
+ */
+function encodeDeviceId(deviceId) {
+    return typeof deviceId === "bigint" ? { bigint: deviceId.toString() } : deviceId;
+}
+
+/**
+ * Decode a device identifier written by encodeDeviceId
+ */
+function decodeDeviceId(value) {
+    return value !== null && typeof value === "object" ? BigInt(value.bigint) : value;
+}
+
+/**
+ * Replace a file via write-then-rename, so a crash leaves either the old
+ * or the new contents, never a half-written file
+ */
+function replaceFile(filePath, data) {
+    const tmpPath = filePath + ".tmp";
+    const fd = fs.openSync(tmpPath, "w");
+    try {
+        fs.writeSync(fd, data);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, filePath);
+}
+
+class MemoryStore {
+    constructor() {
+        this.snapshot = null;
+        this.entries = [];
+    }
+
+    async load() {
+        return {
+            snapshot: this.snapshot,
+            entries: this.entries.slice()
+        };
+    }
+
+    async append(entry) {
+        this.entries.push(JSON.parse(JSON.stringify(entry)));
+    }
+
+    async writeSnapshot(state) {
+        this.snapshot = JSON.parse(JSON.stringify(state));
+        this.entries = this.entries.filter((entry) => entry.seq > state.seq);
+    }
+}
+
+class FileStore {
+    /**
+     * @param {string} dir - state directory (created if missing)
+     */
+    constructor(dir) {
+        this.dir = dir;
+        this.logPath = path.join(dir, LOG_FILE);
+        this.snapshotPath = path.join(dir, SNAPSHOT_FILE);
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    async load() {
+        let snapshot = null;
+        if (fs.existsSync(this.snapshotPath)) {
+            snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, "utf8"));
+        }
+
+        const entries = [];
+        if (fs.existsSync(this.logPath)) {
+            const text = fs.readFileSync(this.logPath, "utf8");
+            const lines = text.split("\n");
+            let offset = 0;
+            for (let i = 0; i < lines.length; i++) {
+                const length = Buffer.byteLength(lines[i]) + 1;
+                if (lines[i].trim() !== "") {
+                    try {
+                        entries.push(JSON.parse(lines[i]));
+                    } catch (error) {
+                        // A torn final line is a write interrupted by a crash; the
+                        // operation never completed. Anything earlier is corruption.
+                        if (lines.slice(i + 1).some((line) => line.trim() !== "")) {
+                            throw new Error(`Corrupt revocation log at line ${i + 1}: ${error.message}`);
+                        }
+                        this.repairLog(offset, "");
+                        break;
+                    }
+                }
+                offset += length;
+            }
+
+            // A complete entry without its newline would run into the next one
+            if (text !== "" && !text.endsWith("\n") && offset > Buffer.byteLength(text)) {
+                this.repairLog(Buffer.byteLength(text), "\n");
+            }
+        }
+
+        return { snapshot, entries };
+    }
+
+    /**
+     * Cut the log at a byte offset and write `tail` there, so that the next
+     * append starts on a line of its own instead of continuing a torn one
+     */
+    repairLog(length, tail) {
+        const fd = fs.openSync(this.logPath, "r+");
+        try {
+            fs.ftruncateSync(fd, length);
+            if (tail) fs.writeSync(fd, tail, length);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    async append(entry) {
+        const fd = fs.openSync(this.logPath, "a");
+        try {
+            fs.writeSync(fd, JSON.stringify(entry) + "\n");
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    async writeSnapshot(state) {
+        replaceFile(this.snapshotPath, JSON.stringify(state));
+
+        // Entries up to state.seq are now in the snapshot. A crash before
+        // the log is replaced leaves them in both, and recovery skips
+        // entries the snapshot already covers.
+        const { entries } = await this.load();
+        const remaining = entries.filter((entry) => entry.seq > state.seq);
+        replaceFile(this.logPath, remaining.map((entry) => JSON.stringify(entry) + "\n").join(""));
+    }
+}
+
+module.exports = {
+    MemoryStore,
+    FileStore,
+    encodeDeviceId,
+    decodeDeviceId
+};
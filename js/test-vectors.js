@@ -0,0 +1,508 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      CROSS-LANGUAGE TEST VECTORS
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * One source of truth for the JS library and B_Evoke_Registry_ECC, which
+ * implement the same Baby Jubjub maths separately. The vectors are
+ * computed by the JS library and written as JSON; the Foundry tests
+ * (test/B_Evoke_Vectors.t.sol) replay them against the contract through
+ * a generated loader, and checkTestVectors() replays them against the JS
+ * curves.
+ *
+ * Sections (every number is a decimal string, addresses are lowercase):
+ *
+ *   pointAdditions        { name, p, q, sum }
+ *   scalarMultiples       { name, scalar, point }            point = g^scalar
+ *   accumulatorSequences  { name, devices, accumulators, witnesses }
+ *                         devices revoked one by one from (0, 1); the
+ *                         accumulator after each revocation, and each
+ *                         device's witness after the last one
+ *   batchRevocations      { name, registered, revokedBefore, batch,
+ *                           accumulatorBefore, revoked, accumulator }
+ *                         revoked[i]: whether batch[i] is revoked by the
+ *                         batch (unregistered, repeated and already
+ *                         revoked addresses are skipped, as in
+ *                         batchRevokeDevices)
+ *   membershipProofs      { name, revoked, device, witness, valid,
+ *                           revertReason }
+ *                         verifyMembershipProof(device, witness) after
+ *                         revoking `revoked` in order; revertReason is ""
+ *                         unless the call reverts
+ *
+ * Device addresses map to uint256(uint160(address)), as in the contract.
+ * Arrays in the vectors are never empty: forge's JSON parser cannot
+ * type an empty array.
+ *
+ * Random cases come from a seed, so regenerating with the same seed
+ * reproduces the committed fixtures byte for byte.
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const BabyJubjub = require("./baby-jubjub");
+const EvokeAccumulator = require("./evoke-accumulator");
+const { MemoryStore } = require("./revocation-store");
+const { toElement } = require("./device-identity");
+const { parsePoint } = require("./point-validation");
+
+const VECTORS_VERSION = 1;
+const DEFAULT_SEED = "B-Evoke test vectors";
+const VECTORS_FILE = "evoke-vectors.json";
+const LOADER_FILE = "EvokeVectors.sol";
+
+// Revert reasons of B_Evoke_Registry_ECC.verifyMembershipProof
+const REVERTS = {
+    NOT_REVOKED: "Device not revoked",
+    NOT_ON_CURVE: "Witness is not on the curve"
+};
+
+const SECTIONS = ["pointAdditions", "scalarMultiples", "accumulatorSequences", "batchRevocations", "membershipProofs"];
+
+/**
+ * Deterministic random integers of `bits` bits: SHA-256(seed:counter)
+ */
+function seededRandom(seed) {
+    let counter = 0;
+    return (bits) => {
+        let value = 0n;
+        for (let have = 0; have < bits; have += 256) {
+            const digest = crypto.createHash("sha256").update(`${seed}:${counter++}`).digest("hex");
+            value = (value << 256n) | BigInt("0x" + digest);
+        }
+        return value & ((1n << BigInt(bits)) - 1n);
+    };
+}
+
+/**
+ * Lowercase 20-byte address of an integer
+ */
+function address(value) {
+    return "0x" + value.toString(16).padStart(40, "0");
+}
+
+/**
+ * Accumulator with the contract's starting point (0, 1), in memory
+ */
+function freshAccumulator(curve) {
+    return new EvokeAccumulator({ curve, store: new MemoryStore() });
+}
+
+// ============ Computing Expected Results ============
+// Each takes a vector's inputs and returns its outputs; generation and
+// checking share them.
+
+const COMPUTE = {
+    pointAdditions(curve, { p, q }) {
+        return { sum: curve.toObject(curve.pointAdd(curve.fromObject([p.x, p.y]), curve.fromObject([q.x, q.y]))) };
+    },
+
+    scalarMultiples(curve, { scalar }) {
+        return { point: curve.toObject(curve.scalarMul(BigInt(scalar))) };
+    },
+
+    async accumulatorSequences(curve, { devices }) {
+        const evoke = freshAccumulator(curve);
+        const accumulators = [];
+        for (const device of devices) {
+            const result = await evoke.revokeDevice(device);
+            if (!result.success) {
+                throw new Error(`Revoking ${device} failed: ${result.message}`);
+            }
+            accumulators.push(result.accumulator);
+        }
+        return { accumulators, witnesses: devices.map((device) => evoke.getWitness(device)) };
+    },
+
+    async batchRevocations(curve, { registered, revokedBefore, batch }) {
+        const evoke = freshAccumulator(curve);
+        for (const device of revokedBefore) {
+            await evoke.revokeDevice(device);
+        }
+        const accumulatorBefore = evoke.getAccumulator();
+
+        // The contract skips unregistered addresses; the library has no
+        // registration, so they are left out of its batch
+        const eligible = batch.filter((device) => registered.includes(device));
+        const results = eligible.length ? await evoke.batchRevoke(eligible) : [];
+        const revoked = [];
+        let next = 0;
+        for (const device of batch) {
+            revoked.push(registered.includes(device) ? results[next++].success : false);
+        }
+        return { accumulatorBefore, revoked, accumulator: evoke.getAccumulator() };
+    },
+
+    async membershipProofs(curve, { revoked, device, witness }) {
+        const evoke = freshAccumulator(curve);
+        for (const revokedDevice of revoked) {
+            await evoke.revokeDevice(revokedDevice);
+        }
+        if (!evoke.isRevoked(device)) {
+            return { valid: false, revertReason: REVERTS.NOT_REVOKED };
+        }
+
+        let point;
+        try {
+            point = parsePoint(curve, witness, { name: "witness", subgroup: false });
+        } catch (error) {
+            return { valid: false, revertReason: REVERTS.NOT_ON_CURVE };
+        }
+        const computed = curve.pointAdd(point, curve.scalarMul(toElement(device)));
+        return { valid: curve.pointEquals(computed, curve.fromObject(evoke.getAccumulator())), revertReason: "" };
+    }
+};
+
+// ============ Vector Inputs ============
+
+/**
+ * Inputs of every vector, before their expected results are computed
+ */
+function vectorInputs(curve, seed) {
+    const random = seededRandom(seed);
+    const { subOrder, p } = curve;
+    const point = (k) => curve.toObject(curve.scalarMul(k));
+    const identity = { x: "0", y: "1" };
+    const orderTwo = { x: "0", y: (p - 1n).toString() };
+    const randomAddress = () => address(random(160) || 1n);
+
+    const pointAdditions = [
+        { name: "g + g (doubling)", p: point(1n), q: point(1n) },
+        { name: "g + identity", p: point(1n), q: identity },
+        { name: "identity + identity", p: identity, q: identity },
+        { name: "g^12345 + g^-12345 (identity)", p: point(12345n), q: point(subOrder - 12345n) },
+        { name: "(0, -1) + (0, -1) (order 2)", p: orderTwo, q: orderTwo },
+        { name: "g^2 + (0, -1) (leaves the subgroup)", p: point(2n), q: orderTwo }
+    ];
+    for (let i = 1; i <= 4; i++) {
+        pointAdditions.push({ name: `random #${i}`, p: point(random(253) % subOrder), q: point(random(253) % subOrder) });
+    }
+
+    const scalars = [
+        ["0", 0n], ["1", 1n], ["2", 2n],
+        ["subOrder - 1", subOrder - 1n], ["subOrder", subOrder], ["subOrder + 1", subOrder + 1n],
+        ["2^160 - 1 (largest address)", (1n << 160n) - 1n], ["2^253", 1n << 253n],
+        ["p - 1", p - 1n], ["2^256 - 1", (1n << 256n) - 1n]
+    ];
+    for (let i = 1; i <= 4; i++) {
+        scalars.push([`random #${i}`, random(256)]);
+    }
+    const scalarMultiples = scalars.map(([name, scalar]) => ({ name, scalar: scalar.toString() }));
+
+    const small = [1n, 2n, 3n, 4n, 5n].map(address);
+    const largest = address((1n << 160n) - 1n);
+    const randoms = Array.from({ length: 6 }, randomAddress);
+    const accumulatorSequences = [
+        { name: "devices 0x1 to 0x5", devices: small },
+        { name: "random addresses", devices: randoms },
+        { name: "largest address", devices: [largest, small[0]] }
+    ];
+
+    const [a, b, c, d, unregistered] = small;
+    const batchRevocations = [
+        { name: "single device", registered: [a, b], revokedBefore: [b], batch: [a] },
+        {
+            name: "unregistered, repeated and already revoked addresses",
+            registered: [a, b, c, d],
+            revokedBefore: [d],
+            batch: [a, unregistered, b, a, d, c]
+        },
+        { name: "nothing revocable", registered: [a, b], revokedBefore: [a], batch: [a, unregistered] },
+        { name: "random addresses", registered: randoms, revokedBefore: randoms.slice(0, 2), batch: randoms.slice(2) }
+    ];
+
+    const membershipProofs = [
+        { name: "current witness", revoked: [a, b, c], device: b, witness: null },
+        { name: "identity witness of a lone revoked device", revoked: [a], device: a, witness: identity },
+        { name: "stale witness", revoked: [a, b, c], device: a, witness: identity },
+        { name: "another device's witness", revoked: [a, b, c], device: a, witness: { of: c } },
+        { name: "base point as witness", revoked: [a, b], device: a, witness: point(1n) },
+        { name: "largest address", revoked: [largest, a], device: largest, witness: null },
+        { name: "off-curve witness", revoked: [a], device: a, witness: { x: "0", y: "0" } },
+        {
+            name: "non-canonical witness (x + p)",
+            revoked: [a, b],
+            device: b,
+            witness: { of: b, nonCanonical: true }
+        },
+        { name: "device not revoked", revoked: [a], device: b, witness: identity }
+    ];
+
+    return { pointAdditions, scalarMultiples, accumulatorSequences, batchRevocations, membershipProofs };
+}
+
+/**
+ * Replace witness placeholders (null: the device's own witness, { of }:
+ * another device's) with points from the library
+ */
+async function resolveWitnesses(curve, vectors) {
+    for (const vector of vectors) {
+        if (vector.witness !== null && vector.witness.of === undefined) continue;
+
+        const evoke = freshAccumulator(curve);
+        for (const device of vector.revoked) {
+            await evoke.revokeDevice(device);
+        }
+        const owner = vector.witness === null ? vector.device : vector.witness.of;
+        const witness = evoke.getWitness(owner);
+        vector.witness = vector.witness && vector.witness.nonCanonical
+            ? { x: (BigInt(witness.x) + curve.p).toString(), y: witness.y }
+            : witness;
+    }
+}
+
+// ============ Public API ============
+
+/**
+ * Compute every vector with the JS library
+ * @param {object} [options]
+ * @param {string} [options.seed=DEFAULT_SEED] - seed of the random cases
+ * @param {BabyJubjub} [options.curve] - default the affine BabyJubjub
+ * @returns {Promise<object>} { version, seed, curve, ...sections }
+ */
+async function generateTestVectors(options = {}) {
+    const seed = options.seed || DEFAULT_SEED;
+    const curve = options.curve || new BabyJubjub();
+    const inputs = vectorInputs(curve, seed);
+    await resolveWitnesses(curve, inputs.membershipProofs);
+
+    const fixture = {
+        version: VECTORS_VERSION,
+        seed,
+        curve: {
+            p: curve.p.toString(),
+            subOrder: curve.subOrder.toString(),
+            base: curve.toObject(curve.BASE)
+        }
+    };
+    for (const section of SECTIONS) {
+        fixture[section] = [];
+        for (const vector of inputs[section]) {
+            fixture[section].push({ ...vector, ...(await COMPUTE[section](curve, vector)) });
+        }
+    }
+    return fixture;
+}
+
+/**
+ * Replay every vector against a JS curve implementation
+ * @param {object} fixture - as written by writeTestVectors()
+ * @param {object} [options]
+ * @param {BabyJubjub} [options.curve] - default the affine BabyJubjub
+ * @returns {Promise<{ok, checked, mismatch}>} mismatch is null or the first
+ *   failing vector: { section, index, name, expected, actual }
+ */
+async function checkTestVectors(fixture, options = {}) {
+    const curve = options.curve || new BabyJubjub();
+    let checked = 0;
+
+    for (const section of SECTIONS) {
+        for (const [index, vector] of (fixture[section] || []).entries()) {
+            let actual;
+            try {
+                actual = await COMPUTE[section](curve, vector);
+            } catch (error) {
+                actual = { error: error.message };
+            }
+            const expected = {};
+            for (const field of Object.keys(actual)) {
+                expected[field] = vector[field];
+            }
+            if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+                return { ok: false, checked, mismatch: { section, index, name: vector.name, expected, actual } };
+            }
+            checked++;
+        }
+    }
+    return { ok: true, checked, mismatch: null };
+}
+
+/**
+ * Source of the Solidity fixture loader for a fixture: structs for each
+ * section and functions that read one vector from the JSON with forge's
+ * cheatcodes. The vector counts are compiled in, so regenerate the loader
+ * with the JSON.
+ * @param {object} fixture
+ * @param {string} [vectorsPath] - JSON path from the project root
+ */
+function solidityLoader(fixture, vectorsPath = `test/fixtures/${VECTORS_FILE}`) {
+    const count = (section) => fixture[section].length;
+    return `// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Generated by js/test-vectors.js (node bin/evoke-vectors.js) with seed
+// "${fixture.seed}". Do not edit: regenerate it together with
+// ${path.basename(vectorsPath)}.
+
+import "forge-std/Test.sol";
+
+/**
+ * @title EvokeVectors
+ * @dev Loads the test vectors the JS library computed, so the contract is
+ * checked against the same expectations as the library. Numbers are
+ * decimal strings in the JSON; loadVectors() must run first (setUp).
+ */
+abstract contract EvokeVectors is Test {
+    string constant VECTORS_FILE = "${vectorsPath}";
+
+    uint256 constant POINT_ADDITION_COUNT = ${count("pointAdditions")};
+    uint256 constant SCALAR_MULTIPLE_COUNT = ${count("scalarMultiples")};
+    uint256 constant ACCUMULATOR_SEQUENCE_COUNT = ${count("accumulatorSequences")};
+    uint256 constant BATCH_REVOCATION_COUNT = ${count("batchRevocations")};
+    uint256 constant MEMBERSHIP_PROOF_COUNT = ${count("membershipProofs")};
+
+    struct Point {
+        uint256 x;
+        uint256 y;
+    }
+
+    struct PointAdditionVector {
+        string name;
+        Point p;
+        Point q;
+        Point sum;
+    }
+
+    struct ScalarMultipleVector {
+        string name;
+        uint256 scalar;
+        Point point;
+    }
+
+    struct AccumulatorSequenceVector {
+        string name;
+        address[] devices;
+        Point[] accumulators;
+        Point[] witnesses;
+    }
+
+    struct BatchRevocationVector {
+        string name;
+        address[] registered;
+        address[] revokedBefore;
+        address[] batch;
+        Point accumulatorBefore;
+        bool[] revoked;
+        Point accumulator;
+    }
+
+    struct MembershipProofVector {
+        string name;
+        address[] revoked;
+        address device;
+        Point witness;
+        bool valid;
+        string revertReason;
+    }
+
+    string internal vectorsJson;
+
+    function loadVectors() internal {
+        vectorsJson = vm.readFile(string.concat(vm.projectRoot(), "/", VECTORS_FILE));
+    }
+
+    function pointAdditionVector(uint256 i) internal view returns (PointAdditionVector memory v) {
+        string memory key = vectorKey("pointAdditions", i);
+        v.name = vm.parseJsonString(vectorsJson, string.concat(key, ".name"));
+        v.p = readPoint(string.concat(key, ".p"));
+        v.q = readPoint(string.concat(key, ".q"));
+        v.sum = readPoint(string.concat(key, ".sum"));
+    }
+
+    function scalarMultipleVector(uint256 i) internal view returns (ScalarMultipleVector memory v) {
+        string memory key = vectorKey("scalarMultiples", i);
+        v.name = vm.parseJsonString(vectorsJson, string.concat(key, ".name"));
+        v.scalar = vm.parseJsonUint(vectorsJson, string.concat(key, ".scalar"));
+        v.point = readPoint(string.concat(key, ".point"));
+    }
+
+    function accumulatorSequenceVector(uint256 i) internal view returns (AccumulatorSequenceVector memory v) {
+        string memory key = vectorKey("accumulatorSequences", i);
+        v.name = vm.parseJsonString(vectorsJson, string.concat(key, ".name"));
+        v.devices = vm.parseJsonAddressArray(vectorsJson, string.concat(key, ".devices"));
+        v.accumulators = readPoints(string.concat(key, ".accumulators"), v.devices.length);
+        v.witnesses = readPoints(string.concat(key, ".witnesses"), v.devices.length);
+    }
+
+    function batchRevocationVector(uint256 i) internal view returns (BatchRevocationVector memory v) {
+        string memory key = vectorKey("batchRevocations", i);
+        v.name = vm.parseJsonString(vectorsJson, string.concat(key, ".name"));
+        v.registered = vm.parseJsonAddressArray(vectorsJson, string.concat(key, ".registered"));
+        v.revokedBefore = vm.parseJsonAddressArray(vectorsJson, string.concat(key, ".revokedBefore"));
+        v.batch = vm.parseJsonAddressArray(vectorsJson, string.concat(key, ".batch"));
+        v.accumulatorBefore = readPoint(string.concat(key, ".accumulatorBefore"));
+        v.revoked = vm.parseJsonBoolArray(vectorsJson, string.concat(key, ".revoked"));
+        v.accumulator = readPoint(string.concat(key, ".accumulator"));
+    }
+
+    function membershipProofVector(uint256 i) internal view returns (MembershipProofVector memory v) {
+        string memory key = vectorKey("membershipProofs", i);
+        v.name = vm.parseJsonString(vectorsJson, string.concat(key, ".name"));
+        v.revoked = vm.parseJsonAddressArray(vectorsJson, string.concat(key, ".revoked"));
+        v.device = vm.parseJsonAddress(vectorsJson, string.concat(key, ".device"));
+        v.witness = readPoint(string.concat(key, ".witness"));
+        v.valid = vm.parseJsonBool(vectorsJson, string.concat(key, ".valid"));
+        v.revertReason = vm.parseJsonString(vectorsJson, string.concat(key, ".revertReason"));
+    }
+
+    function vectorKey(string memory section, uint256 i) internal pure returns (string memory) {
+        return string.concat(".", section, "[", vm.toString(i), "]");
+    }
+
+    function readPoint(string memory key) internal view returns (Point memory) {
+        return Point(
+            vm.parseJsonUint(vectorsJson, string.concat(key, ".x")),
+            vm.parseJsonUint(vectorsJson, string.concat(key, ".y"))
+        );
+    }
+
+    function readPoints(string memory key, uint256 length) internal view returns (Point[] memory points) {
+        points = new Point[](length);
+        for (uint256 j = 0; j < length; j++) {
+            points[j] = readPoint(string.concat(key, "[", vm.toString(j), "]"));
+        }
+    }
+}
+`;
+}
+
+/**
+ * Generate the vectors and write the JSON and the Solidity loader
+ * @param {string} dir - output directory (e.g. test/fixtures)
+ * @param {object} [options] - see generateTestVectors(), and projectRoot:
+ *   the Foundry project the loader's JSON path is relative to (default
+ *   the repository root)
+ * @returns {Promise<{vectors, loader, counts}>} paths written and the
+ *   number of vectors per section
+ */
+async function writeTestVectors(dir, options = {}) {
+    const fixture = await generateTestVectors(options);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const vectors = path.join(dir, VECTORS_FILE);
+    const loader = path.join(dir, LOADER_FILE);
+    const relative = path.relative(options.projectRoot || path.join(__dirname, ".."), vectors).split(path.sep).join("/");
+    fs.writeFileSync(vectors, JSON.stringify(fixture, null, 2) + "\n");
+    fs.writeFileSync(loader, solidityLoader(fixture, relative));
+
+    const counts = {};
+    for (const section of SECTIONS) {
+        counts[section] = fixture[section].length;
+    }
+    return { vectors, loader, counts };
+}
+
+module.exports = {
+    VECTORS_VERSION,
+    DEFAULT_SEED,
+    VECTORS_FILE,
+    LOADER_FILE,
+    SECTIONS,
+    generateTestVectors,
+    checkTestVectors,
+    solidityLoader,
+    writeTestVectors
+};
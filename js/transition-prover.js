@@ -0,0 +1,136 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      ACCUMULATOR TRANSITION PROOFS
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Groth16 proving and verification for the ecc_accumulator circuit
+ * (newAcc = oldAcc + g^(element*secret + element + secret)).
+ *
+ * Public signals, in order: newAccX, newAccY, oldAccX, oldAccY.
+ *
+ * Every accumulator update is A_new = A_old + g^t, where t is the device
+ * element for a revocation, the sum of the elements for a batch and
+ * -element (mod subOrder) for a reinstatement. The circuit's private
+ * inputs are a fresh random split of t: (element + 1)(secret + 1) = t + 1.
+ *
+ * Scope: the proofs make the accumulator history verifiable, not private.
+ * The split only keeps device IDs out of the proof object; it does not
+ * hide which device was revoked. The public signals give
+ * g^t = A_new - A_old, and anyone can compare it with g^id for candidate
+ * IDs. Small integer IDs and registry devices (whose
+ * elements are their public addresses) are found by trying each one, and
+ * a batch by trying small sets. Only IDs drawn from a large unpredictable
+ * space (e.g. random DIDs) stay hidden. The same delta is visible without
+ * proofs to anyone who sees consecutive accumulators; blinding it would
+ * need a different accumulator, not a different proof.
+ *
+ * verifyChain() checks a whole history: every proof is valid and starts
+ * at the accumulator the previous one ended at, the first at (0, 1) or
+ * at a namespace's initial accumulator.
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const crypto = require("crypto");
+const path = require("path");
+const MembershipProver = require("./membership-prover");
+
+const { CIRCUITS_DIR } = MembershipProver;
+
+const DEFAULT_TRANSITION_CIRCUIT = {
+    wasm: path.join(CIRCUITS_DIR, "ecc", "ecc_accumulator_js", "ecc_accumulator.wasm"),
+    zkey: path.join(CIRCUITS_DIR, "ecc", "ecc_circuit_final.zkey"),
+    vkey: path.join(CIRCUITS_DIR, "ecc", "verification_key.json"),
+    sym: path.join(CIRCUITS_DIR, "ecc", "ecc_accumulator.sym"),
+    source: path.join(CIRCUITS_DIR, "ecc_accumulator.circom")
+};
+
+const ERRORS = {
+    MISSING_PROOF: "MISSING_PROOF",
+    BROKEN_CHAIN: "BROKEN_CHAIN",
+    INVALID_PROOF: "INVALID_PROOF"
+};
+
+class TransitionProver extends MembershipProver {
+    /**
+     * Circuit input proving A_new = accumulatorBefore + g^scalar, with the
+     * scalar split at random into element and secret
+     * @param {BabyJubjub} curve
+     * @param {Array} accumulatorBefore - [x, y] field elements
+     * @param {bigint} scalar - reduced mod subOrder (may be negative)
+     */
+    transitionInput(curve, accumulatorBefore, scalar) {
+        const { F } = curve;
+        const t = ((BigInt(scalar) % curve.subOrder) + curve.subOrder) % curve.subOrder;
+
+        let secret;
+        do {
+            secret = BigInt("0x" + crypto.randomBytes(32).toString("hex")) % curve.p;
+        } while (secret === curve.p - 1n);
+
+        // (element + 1)(secret + 1) - 1 = t
+        const element = F.sub(F.div(F.e(t + 1n), F.e(secret + 1n)), F.one);
+        const before = curve.toObject(accumulatorBefore);
+
+        return {
+            oldAccX: before.x,
+            oldAccY: before.y,
+            element: F.toObject(element).toString(),
+            secret: secret.toString()
+        };
+    }
+
+    /**
+     * Verify a chain of transitions, oldest first, as returned by
+     * EvokeAccumulator.getTransitions()
+     * @param {Array<{epoch, proof, publicSignals}>} transitions
+     * @param {object} [options]
+     * @param {object} [options.initialAccumulator] - epoch 0 accumulator
+     *   { x, y } (default (0, 1))
+     * @returns {Promise<{valid: true, epochs, accumulator}|{valid: false, epoch, error, message}>}
+     *   error is one of TransitionProver.ERRORS
+     */
+    async verifyChain(transitions, options = {}) {
+        const initial = options.initialAccumulator || { x: "0", y: "1" };
+        let previous = { x: String(initial.x), y: String(initial.y) };
+
+        for (const [i, transition] of transitions.entries()) {
+            const epoch = i + 1;
+            const fail = (error, message) => ({ valid: false, epoch, error, message: `Epoch ${epoch}: ${message}` });
+
+            if (!transition || !transition.proof || !Array.isArray(transition.publicSignals)) {
+                return fail(ERRORS.MISSING_PROOF, "no transition proof");
+            }
+            if (transition.epoch !== undefined && transition.epoch !== epoch) {
+                return fail(ERRORS.BROKEN_CHAIN, `transition is labelled epoch ${transition.epoch}`);
+            }
+            if (transition.publicSignals.length !== 4) {
+                return fail(ERRORS.INVALID_PROOF, "expected 4 public signals");
+            }
+
+            const [newX, newY, oldX, oldY] = transition.publicSignals.map(String);
+            if (oldX !== previous.x || oldY !== previous.y) {
+                return fail(ERRORS.BROKEN_CHAIN, "does not start at the previous accumulator");
+            }
+
+            let valid;
+            try {
+                valid = await this.verify(transition.proof, transition.publicSignals);
+            } catch (error) {
+                valid = false;
+            }
+            if (!valid) {
+                return fail(ERRORS.INVALID_PROOF, "transition proof does not verify");
+            }
+
+            previous = { x: newX, y: newY };
+        }
+
+        return { valid: true, epochs: transitions.length, accumulator: previous };
+    }
+}
+
+TransitionProver.DEFAULT_CIRCUIT = DEFAULT_TRANSITION_CIRCUIT;
+TransitionProver.ERRORS = ERRORS;
+
+module.exports = TransitionProver;
@@ -0,0 +1,220 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      BATCH WITNESS GENERATION
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * Computes .wtns witnesses for many circuit inputs with one
+ * WitnessCalculator, so the wasm is compiled and instantiated once instead
+ * of once per input. Used to pre-compute witnesses for bulk proving
+ * (snarkjs.groth16.prove(zkey, wtns)).
+ *
+ * Inputs: a JSONL file (one input object per line, blank lines skipped),
+ * a directory of *.json files (in name order), or an array of objects.
+ *
+ * Output: numbered files 1.wtns, 2.wtns, ... (zero-padded to the same
+ * width) in a directory, the same files in a single .tar archive, or
+ * in-memory buffers when no output is given.
+ *
+ * A failing input (bad JSON, wrong signals, failed assert) is recorded in
+ * the report and the batch continues. The circom-generated
+ * generate_witness.js scripts switch to this mode when given a .jsonl
+ * file or a directory.
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ERRORS = {
+    INVALID_INPUT: "INVALID_INPUT",
+    WITNESS_FAILED: "WITNESS_FAILED"
+};
+
+const TAR_BLOCK = 512;
+
+/**
+ * Read batch inputs from a JSONL file or a directory of JSON files
+ * @returns {Array<{source, input}|{source, error}>} unparsable entries
+ *   carry the parse error instead of an input
+ */
+function readInputs(inputPath) {
+    const entries = [];
+    if (fs.statSync(inputPath).isDirectory()) {
+        const files = fs.readdirSync(inputPath).filter((file) => file.endsWith(".json")).sort();
+        for (const file of files) {
+            entries.push(parseEntry(file, fs.readFileSync(path.join(inputPath, file), "utf8")));
+        }
+    } else {
+        fs.readFileSync(inputPath, "utf8").split("\n").forEach((line, i) => {
+            if (line.trim()) {
+                entries.push(parseEntry(`line ${i + 1}`, line));
+            }
+        });
+    }
+    return entries;
+}
+
+/**
+ * Parse one JSON input, keeping the error if it is malformed
+ */
+function parseEntry(source, text) {
+    try {
+        return { source, input: JSON.parse(text) };
+    } catch (error) {
+        return { source, error: error.message };
+    }
+}
+
+/**
+ * Generate witnesses for a batch of inputs with one WitnessCalculator
+ * @param {object} options
+ * @param {string} options.wasm - circuit wasm; witness_calculator.js is
+ *   loaded from the same directory
+ * @param {string|Array<object>} options.inputs - JSONL file, directory of
+ *   JSON files, or input objects
+ * @param {string} [options.output] - directory for numbered .wtns files,
+ *   or a path ending in .tar for a single archive; omitted: witnesses are
+ *   returned as buffers in results[].witness
+ * @returns {Promise<{total, written, failed, output, results}>} results
+ *   are in input order: { index, source, file } or { index, source,
+ *   error, message }
+ */
+async function generateWitnesses({ wasm, inputs, output = null }) {
+    const entries = Array.isArray(inputs)
+        ? inputs.map((input, i) => ({ source: `input ${i + 1}`, input }))
+        : readInputs(inputs);
+
+    const builder = require(path.join(path.resolve(path.dirname(wasm)), "witness_calculator.js"));
+    const calculator = await builder(fs.readFileSync(wasm));
+    const sink = openSink(output);
+    const width = String(entries.length).length;
+
+    // The calculator appends every assert's template trace to the error
+    // text of all later failures; keep only the part new to each input
+    let seenTrace = "";
+
+    const results = [];
+    try {
+        for (const [index, entry] of entries.entries()) {
+            const result = { index, source: entry.source };
+            results.push(result);
+            if (entry.error) {
+                Object.assign(result, { error: ERRORS.INVALID_INPUT, message: entry.error });
+                continue;
+            }
+
+            let witness;
+            try {
+                witness = await calculator.calculateWTNSBin(entry.input, 0);
+            } catch (error) {
+                const [reason, ...rest] = error.message.replace(/^Error: /, "").split("\n");
+                const trace = rest.join("\n");
+                const fresh = trace.startsWith(seenTrace) ? trace.slice(seenTrace.length) : trace;
+                seenTrace = trace.startsWith(seenTrace) ? trace : seenTrace;
+                Object.assign(result, {
+                    error: ERRORS.WITNESS_FAILED,
+                    message: [reason, ...fresh.split("\n")].filter(Boolean).join("; ")
+                });
+                continue;
+            }
+
+            const file = `${String(index + 1).padStart(width, "0")}.wtns`;
+            if (sink) {
+                sink.write(file, witness);
+                result.file = file;
+            } else {
+                result.witness = witness;
+            }
+        }
+    } finally {
+        if (sink) sink.close();
+    }
+
+    const failed = results.filter((result) => result.error).length;
+    return {
+        total: results.length,
+        written: results.length - failed,
+        failed,
+        output,
+        results
+    };
+}
+
+/**
+ * Writer for a directory of files or a .tar archive (null: keep in memory)
+ */
+function openSink(output) {
+    if (!output) return null;
+
+    if (output.endsWith(".tar")) {
+        const fd = fs.openSync(output, "w");
+        return {
+            write(name, data) {
+                fs.writeSync(fd, tarHeader(name, data.length));
+                fs.writeSync(fd, data);
+                const padding = (TAR_BLOCK - (data.length % TAR_BLOCK)) % TAR_BLOCK;
+                if (padding) fs.writeSync(fd, Buffer.alloc(padding));
+            },
+            close() {
+                // End of archive: two zero blocks
+                fs.writeSync(fd, Buffer.alloc(2 * TAR_BLOCK));
+                fs.closeSync(fd);
+            }
+        };
+    }
+
+    fs.mkdirSync(output, { recursive: true });
+    return {
+        write(name, data) {
+            fs.writeFileSync(path.join(output, name), data);
+        },
+        close() {}
+    };
+}
+
+/**
+ * ustar header for a regular file
+ */
+function tarHeader(name, size) {
+    const header = Buffer.alloc(TAR_BLOCK);
+    const field = (value, offset, length) => header.write(value, offset, length, "ascii");
+    const octal = (value, length) => value.toString(8).padStart(length - 1, "0") + "\0";
+
+    field(name, 0, 100);
+    field(octal(0o644, 8), 100, 8);
+    field(octal(0, 8), 108, 8);
+    field(octal(0, 8), 116, 8);
+    field(octal(size, 12), 124, 12);
+    field(octal(Math.floor(Date.now() / 1000), 12), 136, 12);
+    field("        ", 148, 8);
+    field("0", 156, 1);
+    field("ustar\0", 257, 6);
+    field("00", 263, 2);
+
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    field(checksum.toString(8).padStart(6, "0") + "\0 ", 148, 8);
+    return header;
+}
+
+/**
+ * Command-line batch mode of generate_witness.js: prints a summary and
+ * one line per failed input; exit code 1 if any input failed
+ * @returns {Promise<number>} exit code
+ */
+async function runBatch(wasm, inputs, output) {
+    const report = await generateWitnesses({ wasm, inputs, output });
+    console.log(`${report.total} inputs: ${report.written} witnesses written to ${output}, ${report.failed} failed`);
+    for (const result of report.results.filter((item) => item.error)) {
+        console.error(`  #${result.index + 1} (${result.source}) ${result.error}: ${result.message}`);
+    }
+    return report.failed > 0 ? 1 : 0;
+}
+
+module.exports = {
+    ERRORS,
+    readInputs,
+    generateWitnesses,
+    runBatch
+};
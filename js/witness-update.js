@@ -0,0 +1,109 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                      DEVICE-SIDE WITNESS UPDATES
+ * ═══════════════════════════════════════════════════════════════════════
+ *
+ * A revoked device can keep its own membership witness instead of asking
+ * the server for a fresh one. The server publishes epoch-numbered deltas
+ * (EvokeAccumulator.getWitnessUpdate):
+ *
+ *   delta = A_now - A_sinceEpoch = SUM g^d (added) - SUM g^d (reinstated)
+ *
+ * and the device catches up with one point addition, however many
+ * revocations it missed:
+ *
+ *   W_new = W + delta,  accepted only if A_now = W_new + g^deviceId
+ *
+ * The check fails if the device itself was reinstated in the meantime,
+ * or if the update does not start at the witness's epoch. All three
+ * points must be on the curve and the accumulator in the prime-order
+ * subgroup (see point-validation.js), so a torsion component slipped into
+ * the delta cannot survive the check.
+ *
+ * Needs only curve arithmetic and device-identity.js (no snarkjs).
+ *
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+const BabyJubjub = require("./baby-jubjub");
+const { toIdentity } = require("./device-identity");
+const { ERRORS: POINT_ERRORS, parsePoint } = require("./point-validation");
+
+const ERRORS = {
+    INVALID_DEVICE_ID: "INVALID_DEVICE_ID",
+    INVALID_UPDATE: "INVALID_UPDATE",
+    ...POINT_ERRORS,
+    EPOCH_MISMATCH: "EPOCH_MISMATCH",
+    WITNESS_MISMATCH: "WITNESS_MISMATCH"
+};
+
+// Shared affine curve, created on first use
+let defaultCurve = null;
+
+/**
+ * Apply a witness update to a device's membership witness
+ * @param {object} witness - { deviceId, x, y, epoch? }; epoch is the epoch
+ *   the witness is valid for and, if present, must equal update.fromEpoch
+ * @param {object} update - result of EvokeAccumulator.getWitnessUpdate()
+ * @param {object} [options]
+ * @param {BabyJubjub} [options.curve] - curve implementation (default BabyJubjub)
+ * @returns {{success, deviceId, witness: {deviceId, epoch, x, y}}} or a
+ *   failure { success: false, deviceId, error, message }
+ */
+function applyWitnessUpdate(witness, update, options = {}) {
+    const curve = options.curve || (defaultCurve = defaultCurve || new BabyJubjub());
+    const deviceId = witness && witness.deviceId;
+
+    let identity;
+    try {
+        identity = toIdentity(deviceId);
+    } catch (error) {
+        return failure(deviceId, ERRORS.INVALID_DEVICE_ID, error.message);
+    }
+
+    if (!update || !Number.isInteger(update.fromEpoch) || !Number.isInteger(update.epoch)) {
+        return failure(deviceId, ERRORS.INVALID_UPDATE, "Update must carry integer fromEpoch and epoch");
+    }
+    if (witness.epoch !== undefined && witness.epoch !== update.fromEpoch) {
+        return failure(deviceId, ERRORS.EPOCH_MISMATCH,
+            `Witness is for epoch ${witness.epoch} but the update starts at epoch ${update.fromEpoch}`);
+    }
+
+    // W and the delta only need to be on the curve: once A is in the
+    // subgroup, A = W_new + g^id puts W_new there too
+    let points;
+    try {
+        points = {
+            witness: parsePoint(curve, witness, { name: "witness", subgroup: false }),
+            delta: parsePoint(curve, update.delta, { name: "delta", subgroup: false }),
+            accumulator: parsePoint(curve, update.accumulator, { name: "accumulator" })
+        };
+    } catch (error) {
+        return failure(deviceId, error.code, `Invalid witness or update: ${error.message}`);
+    }
+
+    const updated = curve.pointAdd(points.witness, points.delta);
+    const computedAcc = curve.pointAdd(updated, curve.scalarMul(identity.element));
+    if (!curve.pointEquals(computedAcc, points.accumulator)) {
+        return failure(deviceId, ERRORS.WITNESS_MISMATCH,
+            `Updated witness for device ${deviceId} fails A = W + g^id`);
+    }
+
+    return {
+        success: true,
+        deviceId,
+        witness: { deviceId, epoch: update.epoch, ...curve.toObject(updated) }
+    };
+}
+
+/**
+ * Build a failure result
+ */
+function failure(deviceId, error, message) {
+    return { success: false, deviceId, error, message };
+}
+
+module.exports = {
+    ERRORS,
+    applyWitnessUpdate
+};
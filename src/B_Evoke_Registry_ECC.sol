@@ -23,6 +23,9 @@ contract B_Evoke_Registry_ECC {
     uint256 constant BASE_X = 5299619240641551281634865583518297030282874472190772894086521144482721001553;
     uint256 constant BASE_Y = 16950150798460657717958625567821834550301663161624707787222815936182638968203;
 
+    // Order of the prime-order subgroup generated by BASE (cofactor 8)
+    uint256 constant SUBGROUP_ORDER = 2736030358979909402780800718157159386076813972158567259200215660948447373041;
+
     // ============ Structs ============
 
     struct ECPoint {
@@ -30,6 +33,13 @@ contract B_Evoke_Registry_ECC {
         uint256 y;
     }
 
+    // Projective coordinates (x = X/Z, y = Y/Z), used by the subgroup check
+    struct ProjectivePoint {
+        uint256 x;
+        uint256 y;
+        uint256 z;
+    }
+
     struct Device {
         address deviceAddress;
         bytes32 did;
@@ -120,6 +130,8 @@ contract B_Evoke_Registry_ECC {
     /**
      * @dev Baby Jubjub point addition
      * Implements: (x3, y3) = (x1, y1) + (x2, y2) on Baby Jubjub curve
+     * Only meaningful for points on the curve: externally supplied points
+     * must pass isOnCurve (and isInSubgroup where they are stored) first
      */
     function pointAdd(ECPoint memory p1, ECPoint memory p2) internal view returns (ECPoint memory) {
         uint256 x1 = p1.x;
@@ -172,6 +184,93 @@ contract B_Evoke_Registry_ECC {
         return result;
     }
 
+    // ============ Point Validation ============
+
+    /**
+     * @dev Check that (x, y) has canonical coordinates and lies on Baby Jubjub:
+     * a*x^2 + y^2 = 1 + d*x^2*y^2
+     */
+    function isOnCurve(uint256 x, uint256 y) public pure returns (bool) {
+        if (x >= FIELD_MODULUS || y >= FIELD_MODULUS) {
+            return false;
+        }
+
+        uint256 xx = mulmod(x, x, FIELD_MODULUS);
+        uint256 yy = mulmod(y, y, FIELD_MODULUS);
+        uint256 lhs = addmod(mulmod(A, xx, FIELD_MODULUS), yy, FIELD_MODULUS);
+        uint256 rhs = addmod(1, mulmod(D, mulmod(xx, yy, FIELD_MODULUS), FIELD_MODULUS), FIELD_MODULUS);
+        return lhs == rhs;
+    }
+
+    /**
+     * @dev Check that (x, y) is on the curve and in the prime-order subgroup:
+     * SUBGROUP_ORDER * (x, y) = (0, 1). Points of order 2, 4 or 8 (or with
+     * such a component) fail. Costs roughly 450k gas.
+     */
+    function isInSubgroup(uint256 x, uint256 y) public pure returns (bool) {
+        if (!isOnCurve(x, y)) {
+            return false;
+        }
+
+        ProjectivePoint memory result = ProjectivePoint(0, 1, 1); // Identity
+        ProjectivePoint memory base = ProjectivePoint(x, y, 1);
+        uint256 k = SUBGROUP_ORDER;
+
+        while (k > 0) {
+            if (k & 1 == 1) {
+                result = projectiveAdd(result, base);
+            }
+            base = projectiveAdd(base, base);
+            k >>= 1;
+        }
+
+        // (X : Y : Z) is the identity iff X = 0 and Y = Z
+        return result.x == 0 && result.y == result.z;
+    }
+
+    /**
+     * @dev Check for the identity point (0, 1)
+     */
+    function isIdentity(uint256 x, uint256 y) public pure returns (bool) {
+        return x == 0 && y == 1;
+    }
+
+    /**
+     * @dev Projective twisted Edwards addition without inversions
+     * (add-2008-bbjlp, complete on Baby Jubjub)
+     */
+    function projectiveAdd(ProjectivePoint memory p1, ProjectivePoint memory p2)
+        internal
+        pure
+        returns (ProjectivePoint memory)
+    {
+        uint256 zz = mulmod(p1.z, p2.z, FIELD_MODULUS);
+        uint256 zz2 = mulmod(zz, zz, FIELD_MODULUS);
+        uint256 x1x2 = mulmod(p1.x, p2.x, FIELD_MODULUS);
+        uint256 y1y2 = mulmod(p1.y, p2.y, FIELD_MODULUS);
+        uint256 e = mulmod(D, mulmod(x1x2, y1y2, FIELD_MODULUS), FIELD_MODULUS);
+        uint256 f = submod(zz2, e, FIELD_MODULUS);
+        uint256 g = addmod(zz2, e, FIELD_MODULUS);
+
+        uint256 cross = mulmod(
+            addmod(p1.x, p1.y, FIELD_MODULUS),
+            addmod(p2.x, p2.y, FIELD_MODULUS),
+            FIELD_MODULUS
+        );
+        uint256 x3 = mulmod(
+            mulmod(zz, f, FIELD_MODULUS),
+            submod(cross, addmod(x1x2, y1y2, FIELD_MODULUS), FIELD_MODULUS),
+            FIELD_MODULUS
+        );
+        uint256 y3 = mulmod(
+            mulmod(zz, g, FIELD_MODULUS),
+            submod(y1y2, mulmod(A, x1x2, FIELD_MODULUS), FIELD_MODULUS),
+            FIELD_MODULUS
+        );
+
+        return ProjectivePoint(x3, y3, mulmod(f, g, FIELD_MODULUS));
+    }
+
     /**
      * @dev Safe subtraction with modulo
      */
@@ -275,9 +374,12 @@ contract B_Evoke_Registry_ECC {
     /**
      * @dev Update device witness after accumulator changes
      * This maintains the equation: A = W + g^device
+     * The witness must be on the curve and in the prime-order subgroup
      */
     function updateDeviceWitness(uint256 witnessX, uint256 witnessY) external onlyRegisteredDevice {
         require(!devices[msg.sender].isRevoked, "Cannot update witness for revoked device");
+        require(isOnCurve(witnessX, witnessY), "Witness is not on the curve");
+        require(isInSubgroup(witnessX, witnessY), "Witness is not in the prime-order subgroup");
 
         devices[msg.sender].witness = ECPoint(witnessX, witnessY);
         devices[msg.sender].lastUpdateTime = block.timestamp;
@@ -288,6 +390,9 @@ contract B_Evoke_Registry_ECC {
     /**
      * @dev Verify membership proof on-chain
      * Checks if: accumulator = witness + g^device
+     * The witness must be on the curve. No subgroup check is needed: the
+     * accumulator is in the subgroup, so any on-curve W with
+     * A = W + g^device is too.
      */
     function verifyMembershipProof(
         address _deviceAddress,
@@ -295,6 +400,7 @@ contract B_Evoke_Registry_ECC {
         uint256 witnessY
     ) external view returns (bool) {
         require(devices[_deviceAddress].isRevoked, "Device not revoked");
+        require(isOnCurve(witnessX, witnessY), "Witness is not on the curve");
 
         // Compute g^deviceId
         uint256 deviceId = uint256(uint160(_deviceAddress));
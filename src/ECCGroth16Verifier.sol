@@ -37,10 +37,10 @@ contract Groth16Verifier {
     uint256 constant gammax2 = 10857046999023057135944570762232829481370756359578518086990519993285655852781;
     uint256 constant gammay1 = 4082367875863433681332203403145435568316851327593401208105741076214120093531;
     uint256 constant gammay2 = 8495653923123431417604973247489272438418190587263600148770280649306958101930;
-    uint256 constant deltax1 = 19932594429983021839894357757457187833536869185720223104500599835222817059671;
-    uint256 constant deltax2 = 15468825489561632050045362421028231431741681472656312933121554078156646952627;
-    uint256 constant deltay1 = 17170148502141565002046362213837441806135590093247451849423558659824342036861;
-    uint256 constant deltay2 = 12826785198048641257334331098843280440740674023249912087761558997484343565046;
+    uint256 constant deltax1 = 16243703503590846581076019401197771282098883186401909906655597514902252339320;
+    uint256 constant deltax2 = 20470903617681941669801220670020686361207831584785405010784066878340547635472;
+    uint256 constant deltay1 = 10151247083543777683007257102853668290425925477088728106388403727908966486045;
+    uint256 constant deltay2 = 12282278818381120682190780849908514882025676448387807723257370648590395218635;
 
     
     uint256 constant IC0x = 13683643494271095855039691844577085415606030014150023837523431743537117791936;
@@ -52,6 +52,12 @@ contract Groth16Verifier {
     uint256 constant IC2x = 2264664132648062401693849683336021354651795886108436622644173421617529270697;
     uint256 constant IC2y = 8166521532358961156877239132280598629334757874934644718152001409453584934736;
     
+    uint256 constant IC3x = 6490782786154016642685409823573555720558468070516890774004131702628486370869;
+    uint256 constant IC3y = 10483410237875252910105189748842872754211837793815726105908718676193595296843;
+    
+    uint256 constant IC4x = 19066519334100210323499990065709382418599066487024891173918820437357994405370;
+    uint256 constant IC4y = 13251848904827632593992202758559016355298443136056376603291656546595246008869;
+    
  
     // Memory data
     uint16 constant pVk = 0;
@@ -59,7 +65,7 @@ contract Groth16Verifier {
 
     uint16 constant pLastMem = 896;
 
-    function verifyProof(uint[2] calldata _pA, uint[2][2] calldata _pB, uint[2] calldata _pC, uint[2] calldata _pubSignals) public view returns (bool) {
+    function verifyProof(uint[2] calldata _pA, uint[2][2] calldata _pB, uint[2] calldata _pC, uint[4] calldata _pubSignals) public view returns (bool) {
         assembly {
             function checkField(v) {
                 if iszero(lt(v, r)) {
@@ -107,6 +113,10 @@ contract Groth16Verifier {
                 
                 g1_mulAccC(_pVk, IC2x, IC2y, calldataload(add(pubSignals, 32)))
                 
+                g1_mulAccC(_pVk, IC3x, IC3y, calldataload(add(pubSignals, 64)))
+                
+                g1_mulAccC(_pVk, IC4x, IC4y, calldataload(add(pubSignals, 96)))
+                
 
                 // -A
                 mstore(_pPairing, calldataload(pA))
@@ -164,6 +174,10 @@ contract Groth16Verifier {
             
             checkField(calldataload(add(_pubSignals, 32)))
             
+            checkField(calldataload(add(_pubSignals, 64)))
+            
+            checkField(calldataload(add(_pubSignals, 96)))
+            
 
             // Validate all evaluations
             let isValid := checkPairing(_pA, _pB, _pC, _pubSignals, pMem)
@@ -13,9 +13,40 @@
  * 1. Baby Jubjub elliptic curve operations (point addition, scalar multiplication)
  * 2. Device credential revocation using ECC accumulator
  * 3. Witness generation and updates
- * 4. SNARK proof generation for membership verification
+ * 4. SNARK proof generation for membership and non-membership verification
  * 5. Batch revocation operations
  * 6. End-to-end revocation workflow
+ * 7. Device reinstatement (undoing a revocation)
+ * 8. Rebuilding state from the persistent revocation store, including after
+ *    a crash tore the last log line
+ * 9. Device identifiers shared with the registry contract (addresses, DIDs, strings)
+ * 10. Exporting proofs as Solidity verifier calldata, importing them back and
+ *     matching the membership verifier contract's ABI; the example
+ *     ecc-proof.json still verifying against the transition key
+ * 11. The HTTP revocation service (admin token, witnesses, proof verification,
+ *     rejecting valid proofs against superseded accumulators)
+ * 12. Device-held witnesses catching up with one epoch delta
+ * 13. Membership and non-membership proofs against earlier accumulators
+ *     inside an acceptance window
+ * 14. Reusing status proofs until the accumulator changes
+ * 15. Membership proofs for many devices from a worker-thread pool
+ * 16. Explaining failed witness generation with circuit signal names
+ * 17. Pre-computing witnesses for many inputs with one witness calculator
+ * 18. Rejecting off-curve and small-subgroup points
+ * 19. Proving every accumulator update and verifying the chain without device IDs
+ * 20. Exporting the hash-chained audit log and detecting rewritten entries
+ * 21. Namespaced accumulators with their own revocation sets and operators
+ * 22. Suspensions that expire and are reinstated by the scheduler
+ * 23. Events, a pluggable logger and Prometheus metrics
+ * 24. Cross-checking the JS curve code against the compiled circuit
+ * 25. Checking the JS library against the shared cross-language test vectors
+ * 26. Rejecting non-membership proofs for gaps the issuer never published
+ *     or for another element than the device they are presented for
+ * 27. Batch revocation matching the same revocations one at a time
+ * 28. FastBabyJubjub matching BabyJubjub bit for bit on random inputs
+ * 29. Indexing the registry over JSON-RPC: resume, reorgs, batches, mismatches
+ * 30. Exit codes and --json errors of the operator CLI, including proofs
+ *     verified against another state directory
  *
  * EXPECTED OUTPUT:
  * - Success messages for each test scenario
@@ -26,7 +57,11 @@
  * REQUIREMENTS:
  * - Compiled circuits in ./circuits/evoke/
  * - Node.js v22.10.0+
- * - snarkjs and ffjavascript packages
+ * - snarkjs and ffjavascript packages (resolvable via require or NODE_PATH)
+ *
+ * LIBRARY:
+ * The accumulator itself lives in ./js (EvokeAccumulator, MembershipProver,
+ * BabyJubjub). This file only drives it and prints the results.
  *
  * HOW TO RUN:
  * Simply execute: node test-evoke.js
@@ -38,290 +73,269 @@
  * ═══════════════════════════════════════════════════════════════════════
  */
 
-const snarkjs = require("/home/xx/.nvm/versions/node/v22.10.0/lib/node_modules/snarkjs");
-const fs = require("fs");
+const { spawnSync } = require("child_process");
 const crypto = require("crypto");
-const { Scalar, F1Field, utils } = require("ffjavascript");
-
-class EVOKETestSuite {
-    constructor() {
-        // Baby Jubjub prime field
-        this.p = BigInt("21888242871839275222246405745257275088548364400416034343698204186575808495617");
-        this.F = new F1Field(this.p);
-
-        // Baby Jubjub curve parameters
-        this.a = this.F.e(BigInt("168700"));
-        this.d = this.F.e(BigInt("168696"));
-
-        // Base point (generator) on Baby Jubjub
-        this.BASE = [
-            this.F.e(BigInt("5299619240641551281634865583518297030282874472190772894086521144482721001553")),
-            this.F.e(BigInt("16950150798460657717958625567821834550301663161624707787222815936182638968203"))
-        ];
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const snarkjs = require("snarkjs");
+const {
+    EvokeAccumulator,
+    AccumulatorManager,
+    ExpiryScheduler,
+    TransitionProver,
+    RevocationService,
+    toSolidityCalldata,
+    fromSolidityCalldata,
+    applyWitnessUpdate,
+    diagnoseProofInput,
+    generateWitnesses,
+    verifyAuditLog,
+    runSelfCheck,
+    generateTestVectors,
+    checkTestVectors,
+    BabyJubjub,
+    FastBabyJubjub,
+    GapAccumulator,
+    RegistryIndexer
+} = require("./js");
+const { solidityLoader } = require("./js/test-vectors");
+const { VERIFY_PROOF_SELECTORS } = require("./js/proof-export");
 
-        // Circuit paths
-        this.membershipCircuit = {
-            wasm: "./circuits/evoke/evoke_membership_simple_js/evoke_membership_simple.wasm",
-            zkey: "./circuits/evoke/membership_final.zkey",
-            vkey: "./circuits/evoke/membership_verification_key.json"
-        };
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                         CONSOLE REPORTING
+ * ═══════════════════════════════════════════════════════════════════════
+ */
 
-        // Initialize accumulator at identity (0,1) on Baby Jubjub
-        this.accumulator = [this.F.zero, this.F.one];
-
-        // Revocation database
-        this.revokedDevices = new Map();
-        this.accumulatorHistory = [];
-    }
-
-    /**
-     * Baby Jubjub point addition
-     * Formula: x3 = (x1*y2 + y1*x2) / (1 + d*x1*x2*y1*y2)
-     *          y3 = (y1*y2 - a*x1*x2) / (1 - d*x1*x2*y1*y2)
-     */
-    pointAdd(p1, p2) {
-        const x1 = p1[0];
-        const y1 = p1[1];
-        const x2 = p2[0];
-        const y2 = p2[1];
-
-        const x1y2 = this.F.mul(x1, y2);
-        const y1x2 = this.F.mul(y1, x2);
-        const x1x2 = this.F.mul(x1, x2);
-        const y1y2 = this.F.mul(y1, y2);
-
-        const dx1x2y1y2 = this.F.mul(this.d, this.F.mul(x1x2, y1y2));
-
-        // x3 = (x1*y2 + y1*x2) / (1 + d*x1*x2*y1*y2)
-        const x3num = this.F.add(x1y2, y1x2);
-        const x3den = this.F.add(this.F.one, dx1x2y1y2);
-        const x3 = this.F.div(x3num, x3den);
-
-        // y3 = (y1*y2 - a*x1*x2) / (1 - d*x1*x2*y1*y2)
-        const ax1x2 = this.F.mul(this.a, x1x2);
-        const y3num = this.F.sub(y1y2, ax1x2);
-        const y3den = this.F.sub(this.F.one, dx1x2y1y2);
-        const y3 = this.F.div(y3num, y3den);
-
-        return [x3, y3];
-    }
-
-    /**
-     * Scalar multiplication using double-and-add algorithm
-     */
-    scalarMul(k) {
-        let result = [this.F.zero, this.F.one];  // Identity
-        let base = [this.BASE[0], this.BASE[1]];
-        let scalar = BigInt(k);
-
-        while (scalar > 0n) {
-            if (scalar & 1n) {
-                result = this.pointAdd(result, base);
-            }
-            base = this.pointAdd(base, base);  // Point doubling
-            scalar >>= 1n;
-        }
+/**
+ * Revoke a device and print the outcome
+ */
+async function revokeDevice(evoke, deviceId) {
+    console.log(`\n[REVOKE] Device ${deviceId}`);
 
+    const result = await evoke.revokeDevice(deviceId);
+    if (!result.success) {
+        console.log(`  ⚠️  ${result.message}`);
         return result;
     }
 
-    /**
-     * CORE EVOKE FUNCTION: Revoke a device credential
-     */
-    async revokeDevice(deviceId) {
-        console.log(`\n[REVOKE] Device ${deviceId}`);
-
-        if (this.revokedDevices.has(deviceId)) {
-            console.log("  ⚠️  Already revoked");
-            return false;
-        }
-
-        // Step 1: Current accumulator becomes witness for this device
-        const witness = [
-            this.F.e(this.accumulator[0]),
-            this.F.e(this.accumulator[1])
-        ];
-
-        // Step 2: Compute g^deviceId using scalar multiplication
-        const devicePoint = this.scalarMul(deviceId);
-
-        // Step 3: Update accumulator using point addition
-        const oldAccumulator = this.accumulator;
-        const newAccumulator = this.pointAdd(this.accumulator, devicePoint);
-
-        // Step 4: Store revocation data
-        this.revokedDevices.set(deviceId, {
-            witness: witness,
-            devicePoint: devicePoint,
-            timestamp: Date.now(),
-            accumulatorBefore: oldAccumulator,
-            accumulatorAfter: newAccumulator
-        });
-
-        // Step 5: Update witnesses for all previously revoked devices
-        await this.updateAllWitnesses(deviceId, devicePoint);
+    if (result.witnessesUpdated > 0) {
+        console.log(`  ✓ Updating ${result.witnessesUpdated} existing witnesses`);
+    }
+    console.log(`  ✓ Revoked successfully`);
+    console.log(`  ✓ Accumulator updated`);
+    console.log(`  ✓ Witness stored`);
 
-        // Step 6: Update global accumulator
-        this.accumulator = newAccumulator;
-        this.accumulatorHistory.push({
-            device: deviceId,
-            accumulator: newAccumulator,
-            timestamp: Date.now()
-        });
+    return result;
+}
 
-        console.log(`  ✓ Revoked successfully`);
-        console.log(`  ✓ Accumulator updated`);
-        console.log(`  ✓ Witness stored`);
+/**
+ * Batch revoke devices and print the outcome
+ */
+async function batchRevoke(evoke, deviceIds) {
+    console.log(`\n[BATCH] Revoking ${deviceIds.length} devices: ${deviceIds.join(", ")}`);
 
-        return true;
+    const results = await evoke.batchRevoke(deviceIds);
+    for (const result of results) {
+        console.log(`  ${result.success ? "✓" : "✗"} Device ${result.deviceId}`);
     }
 
-    /**
-     * Update all existing witnesses when new device is revoked
-     */
-    async updateAllWitnesses(newDevice, newDevicePoint) {
-        if (this.revokedDevices.size <= 1) return;
-
-        console.log(`  ✓ Updating ${this.revokedDevices.size - 1} existing witnesses`);
+    console.log(`  ✓ Batch revocation complete`);
+    return results;
+}
 
-        for (const [deviceId, data] of this.revokedDevices) {
-            if (deviceId !== newDevice) {
-                const oldWitness = data.witness;
-                const newWitness = this.pointAdd(oldWitness, newDevicePoint);
-                data.witness = newWitness;
-            }
-        }
-    }
+/**
+ * Check revocation status and print the proof outcome
+ */
+async function checkRevocationStatus(evoke, deviceId) {
+    const status = await evoke.checkRevocationStatus(deviceId);
 
-    /**
-     * Generate membership proof (prove device IS revoked)
-     */
-    async generateMembershipProof(deviceId) {
+    if (!status.revoked) {
+        console.log(`\n[CHECK] Device ${deviceId} is VALID (not revoked)`);
+        console.log(`\n[PROOF] Generating non-membership proof for device ${deviceId}`);
+    } else {
         console.log(`\n[PROOF] Generating membership proof for device ${deviceId}`);
+    }
 
-        const data = this.revokedDevices.get(deviceId);
-        if (!data) {
-            console.error(`  ✗ Device ${deviceId} not revoked`);
-            return null;
-        }
-
-        // Verify the witness equation manually before submitting to circuit
-        const devicePoint = this.scalarMul(deviceId);
-        const computedAcc = this.pointAdd(data.witness, devicePoint);
+    const proof = status.proof;
+    if (!proof.success) {
+        console.error(`  ✗ ${proof.message}`);
+        return status;
+    }
 
-        const accX = this.F.toString(this.accumulator[0]);
-        const accY = this.F.toString(this.accumulator[1]);
-        const computedX = this.F.toString(computedAcc[0]);
-        const computedY = this.F.toString(computedAcc[1]);
+    if (status.revoked) {
+        console.log("  ✓ Witness equation verified: A = W + g^device");
+    } else {
+        console.log("  ✓ Gap witness verified: lower < device < upper, path to the gap root");
+    }
+    console.log(`  ✓ SNARK proof generated in ${proof.proofTimeMs}ms`);
+    console.log(`  ✓ Local verification: ${proof.valid ? "PASSED" : "FAILED"}`);
 
-        if (accX !== computedX || accY !== computedY) {
-            console.error("  ✗ Witness equation doesn't hold: A ≠ W + g^device");
-            return null;
-        }
+    return status;
+}
 
-        console.log("  ✓ Witness equation verified: A = W + g^device");
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                         MOCK REGISTRY CHAIN
+ * ═══════════════════════════════════════════════════════════════════════
+ */
 
-        // Prepare circuit inputs
-        const input = {
-            accX: accX,
-            accY: accY,
-            element: deviceId.toString(),
-            witnessX: this.F.toString(data.witness[0]),
-            witnessY: this.F.toString(data.witness[1])
+/**
+ * In-memory chain holding one B_Evoke_Registry_ECC, answering the
+ * JSON-RPC methods RegistryIndexer calls. mine() adds a block from
+ * registry calls ({ register }, { revoke }, { batch }, optionally with a
+ * wrong event accumulator); reorg(n) drops block n and later ones so
+ * that a different fork can be mined.
+ */
+function mockRegistryChain(address) {
+    const curve = new BabyJubjub();
+    const word = (value) => BigInt(value).toString(16).padStart(64, "0");
+    const quantity = (value) => "0x" + value.toString(16);
+    const { TOPICS, SELECTORS } = RegistryIndexer;
+
+    const blocks = [{ number: 0, hash: "0x" + word(0), parentHash: "0x" + word(0), timestamp: 1700000000, logs: [], accumulator: curve.IDENTITY }];
+    const transactions = new Map();
+    const calls = [];
+    let fork = 0;
+
+    const mine = (registryCalls) => {
+        const parent = blocks[blocks.length - 1];
+        const number = parent.number + 1;
+        const block = {
+            number,
+            hash: "0x" + crypto.createHash("sha256").update(`${parent.hash}:${number}:${fork}`).digest("hex"),
+            parentHash: parent.hash,
+            timestamp: parent.timestamp + 12,
+            logs: [],
+            accumulator: parent.accumulator
         };
+        const log = (transactionHash, topics, words) => block.logs.push({
+            address, topics, data: "0x" + words.map(word).join(""), blockNumber: quantity(number),
+            blockHash: block.hash, transactionHash, logIndex: quantity(block.logs.length)
+        });
 
-        try {
-            console.log("  ⏳ Generating SNARK proof...");
-            const startTime = Date.now();
-
-            const { proof, publicSignals } = await snarkjs.groth16.fullProve(
-                input,
-                this.membershipCircuit.wasm,
-                this.membershipCircuit.zkey
-            );
-
-            const proofTime = Date.now() - startTime;
-            console.log(`  ✓ SNARK proof generated in ${proofTime}ms`);
-
-            // Verify locally
-            const vKey = JSON.parse(fs.readFileSync(this.membershipCircuit.vkey));
-            const isValid = await snarkjs.groth16.verify(vKey, publicSignals, proof);
-            console.log(`  ✓ Local verification: ${isValid ? "PASSED" : "FAILED"}`);
-
-            return {
-                proof: proof,
-                publicSignals,
-                deviceId,
-                valid: isValid,
-                type: "membership",
-                proofTimeMs: proofTime
-            };
-
-        } catch (error) {
-            console.error("  ✗ Proof generation failed:", error.message);
-            return null;
+        registryCalls.forEach((call, i) => {
+            const transactionHash = "0x" + crypto.createHash("sha256").update(`${block.hash}:${i}`).digest("hex");
+            // Like the contract, a batch skips repeated addresses
+            const revoked = new Set(call.batch || (call.revoke ? [call.revoke] : []));
+            for (const device of revoked) {
+                block.accumulator = curve.pointAdd(block.accumulator, curve.scalarMul(BigInt(device)));
+            }
+            const { x, y } = call.eventAccumulator || curve.toObject(block.accumulator);
+
+            if (call.register) {
+                log(transactionHash, [TOPICS.DeviceRegistered, "0x" + word(call.register), "0x" + word(i + 1)], [block.timestamp]);
+            } else if (call.revoke) {
+                log(transactionHash, [TOPICS.DeviceRevoked, "0x" + word(call.revoke)], [x, y, block.timestamp]);
+                log(transactionHash, [TOPICS.AccumulatorUpdated], [x, y, 1]);
+            } else {
+                transactions.set(transactionHash, {
+                    hash: transactionHash,
+                    to: address,
+                    input: SELECTORS.batchRevokeDevices + [32, call.batch.length, ...call.batch].map(word).join("")
+                });
+                log(transactionHash, [TOPICS.AccumulatorUpdated], [x, y, 1]);
+            }
+        });
+        blocks.push(block);
+    };
+
+    const request = (method, params) => {
+        calls.push({ method, params });
+        const block = (tag) => blocks[Number(tag)];
+        switch (method) {
+            case "eth_blockNumber":
+                return quantity(blocks.length - 1);
+            case "eth_getBlockByNumber": {
+                const found = block(params[0]);
+                return found ? { number: quantity(found.number), hash: found.hash, parentHash: found.parentHash, timestamp: quantity(found.timestamp) } : null;
+            }
+            case "eth_getLogs": {
+                const { fromBlock, toBlock } = params[0];
+                return blocks.slice(Number(fromBlock), Number(toBlock) + 1).flatMap((found) => found.logs);
+            }
+            case "eth_getTransactionByHash":
+                return transactions.get(params[0]) || null;
+            case "eth_call": {
+                const { x, y } = curve.toObject(block(params[1]).accumulator);
+                return "0x" + word(x) + word(y);
+            }
+            default:
+                throw new Error(`Method ${method} not supported`);
         }
-    }
+    };
 
-    /**
-     * Check revocation status with proof
-     */
-    async checkRevocationStatus(deviceId) {
-        if (this.revokedDevices.has(deviceId)) {
-            const proof = await this.generateMembershipProof(deviceId);
-            return {
-                revoked: true,
-                proof: proof
-            };
-        } else {
-            console.log(`\n[CHECK] Device ${deviceId} is VALID (not revoked)`);
-            return {
-                revoked: false,
-                message: `Device ${deviceId} is NOT revoked`
-            };
-        }
-    }
+    const reorg = (number) => {
+        blocks.length = number;
+        fork++;
+    };
 
-    /**
-     * Batch revocation
-     */
-    async batchRevoke(deviceIds) {
-        console.log(`\n[BATCH] Revoking ${deviceIds.length} devices: ${deviceIds.join(", ")}`);
+    return { mine, reorg, request, calls, blocks };
+}
 
-        const results = [];
-        for (const deviceId of deviceIds) {
-            const result = await this.revokeDevice(deviceId);
-            results.push({ deviceId, success: result });
-        }
+/**
+ * Serve a mock chain's request() as JSON-RPC over HTTP
+ */
+async function serveJsonRpc(chain) {
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => { body += chunk; });
+        req.on("end", () => {
+            const { id, method, params } = JSON.parse(body);
+            let reply;
+            try {
+                reply = { jsonrpc: "2.0", id, result: chain.request(method, params) };
+            } catch (error) {
+                reply = { jsonrpc: "2.0", id, error: { code: -32601, message: error.message } };
+            }
+            res.setHeader("Content-Type", "application/json");
+            res.end(JSON.stringify(reply));
+        });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
 
-        console.log(`  ✓ Batch revocation complete`);
-        return results;
-    }
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *                         SOLIDITY VERIFIER
+ * ═══════════════════════════════════════════════════════════════════════
+ */
 
-    /**
-     * Helper: Truncate long numbers for display
-     */
-    truncate(value) {
-        const str = value.toString();
-        if (str.length > 20) {
-            return str.substring(0, 8) + "..." + str.substring(str.length - 8);
+/**
+ * Read a snarkjs-generated Solidity verifier: the length of verifyProof's
+ * _pubSignals array and its verification key constants as a snarkjs vkey
+ */
+function readSolidityVerifier(file) {
+    const source = fs.readFileSync(file, "utf8");
+    const signature = source.match(/function verifyProof\(([^)]*)\)/)[1];
+    const inputs = signature.match(/uint\[(\d+)\] calldata _pubSignals/);
+    const constants = Object.fromEntries(
+        Array.from(source.matchAll(/uint256 constant (\w+)\s*=\s*(\d+);/g), ([, name, value]) => [name, value]));
+
+    // G2 constants are named x1/x2/y1/y2 with the limbs swapped (see proof-export.js)
+    const g2 = (name) => [
+        [constants[`${name}x2`], constants[`${name}x1`]],
+        [constants[`${name}y2`], constants[`${name}y1`]],
+        ["1", "0"]
+    ];
+    const inputCount = inputs ? Number(inputs[1]) : 0;
+    return {
+        signature,
+        inputCount,
+        vkey: {
+            protocol: "groth16",
+            curve: "bn128",
+            nPublic: inputCount,
+            vk_alpha_1: [constants.alphax, constants.alphay, "1"],
+            vk_beta_2: g2("beta"),
+            vk_gamma_2: g2("gamma"),
+            vk_delta_2: g2("delta"),
+            IC: Array.from({ length: inputCount + 1 }, (_, i) => [constants[`IC${i}x`], constants[`IC${i}y`], "1"])
         }
-        return str;
-    }
-
-    /**
-     * Get system statistics
-     */
-    getStatistics() {
-        return {
-            totalRevoked: this.revokedDevices.size,
-            accumulatorSize: "512 bits (EC point)",
-            witnessSize: "512 bits per device",
-            proofSize: "~1KB",
-            constraints: "1530 (membership circuit)",
-            curve: "Baby Jubjub (SNARK-friendly)"
-        };
-    }
+    };
 }
 
 /**
@@ -341,15 +355,15 @@ async function runTests() {
     console.log("  • SNARK proofs for revocation verification");
     console.log("  • Constant storage for IoT devices (~1.5KB)");
 
-    const evoke = new EVOKETestSuite();
+    const evoke = new EvokeAccumulator();
 
     // Test 1: Single device revocation with proof
     console.log("\n\n┌─────────────────────────────────────────────────────────┐");
     console.log("│ TEST 1: Single Device Revocation + Proof Generation    │");
     console.log("└─────────────────────────────────────────────────────────┘");
 
-    await evoke.revokeDevice(12345);
-    const status1 = await evoke.checkRevocationStatus(12345);
+    await revokeDevice(evoke, 12345);
+    const status1 = await checkRevocationStatus(evoke, 12345);
 
     if (status1.revoked && status1.proof && status1.proof.valid) {
         console.log("\n✅ TEST 1 PASSED: Device revoked with valid proof");
@@ -362,10 +376,11 @@ async function runTests() {
     console.log("│ TEST 2: Verify Non-Revoked Device                      │");
     console.log("└─────────────────────────────────────────────────────────┘");
 
-    const status2 = await evoke.checkRevocationStatus(99999);
+    await evoke.trackDevice(99999);
+    const status2 = await checkRevocationStatus(evoke, 99999);
 
-    if (!status2.revoked) {
-        console.log("\n✅ TEST 2 PASSED: Non-revoked device correctly identified");
+    if (!status2.revoked && status2.proof && status2.proof.valid) {
+        console.log("\n✅ TEST 2 PASSED: Non-revoked device proven not revoked");
     } else {
         console.log("\n❌ TEST 2 FAILED");
     }
@@ -375,10 +390,10 @@ async function runTests() {
     console.log("│ TEST 3: Batch Revocation (3 devices)                   │");
     console.log("└─────────────────────────────────────────────────────────┘");
 
-    await evoke.batchRevoke([11111, 22222, 33333]);
+    await batchRevoke(evoke, [11111, 22222, 33333]);
 
     // Verify one of the batch revoked devices
-    const batchStatus = await evoke.checkRevocationStatus(22222);
+    const batchStatus = await checkRevocationStatus(evoke, 22222);
 
     if (batchStatus.revoked && batchStatus.proof && batchStatus.proof.valid) {
         console.log("\n✅ TEST 3 PASSED: Batch revocation with valid proof");
@@ -392,15 +407,1049 @@ async function runTests() {
     console.log("└─────────────────────────────────────────────────────────┘");
 
     // Revoke another device and verify first device's proof still works
-    await evoke.revokeDevice(44444);
-    const recheck = await evoke.checkRevocationStatus(12345);
+    await revokeDevice(evoke, 44444);
+    const recheck = await checkRevocationStatus(evoke, 12345);
+    const recheckValid = await checkRevocationStatus(evoke, 99999);
 
-    if (recheck.revoked && recheck.proof && recheck.proof.valid) {
+    if (recheck.revoked && recheck.proof && recheck.proof.valid &&
+        !recheckValid.revoked && recheckValid.proof && recheckValid.proof.valid) {
         console.log("\n✅ TEST 4 PASSED: Witness updates maintain proof validity");
     } else {
         console.log("\n❌ TEST 4 FAILED");
     }
 
+    // Test 5: Reinstatement
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 5: Device Reinstatement                           │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    console.log("\n[REINSTATE] Device 44444");
+    const reinstated = await evoke.reinstateDevice(44444, "revoked by mistake");
+    console.log(`  ✓ Accumulator updated, ${reinstated.witnessesUpdated} witnesses updated`);
+
+    const reinstatedStatus = await checkRevocationStatus(evoke, 44444);
+    const stillRevoked = await checkRevocationStatus(evoke, 12345);
+
+    if (reinstated.success && !reinstatedStatus.revoked && reinstatedStatus.proof.valid &&
+        stillRevoked.revoked && stillRevoked.proof.valid) {
+        console.log("\n✅ TEST 5 PASSED: Reinstated device proven valid, others still revoked");
+    } else {
+        console.log("\n❌ TEST 5 FAILED");
+    }
+
+    // Test 6: Crash recovery from persistent store
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 6: Restart Recovery From State Directory          │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "evoke-state-"));
+    try {
+        const durable = await EvokeAccumulator.open({ stateDir, snapshotInterval: 2 });
+        await durable.trackDevice(20000);
+        await revokeDevice(durable, 12345);
+        await batchRevoke(durable, [11111, 22222, 33333]);
+
+        const restarted = await EvokeAccumulator.open({ stateDir });
+        const before = durable.getAccumulator();
+        const after = restarted.getAccumulator();
+        console.log(`\n[RECOVER] Rebuilt ${restarted.revokedDevices.size} witnesses from ${stateDir}`);
+
+        // Snapshot and compacted log are replaced by rename, leaving no temporary files
+        const stateFiles = fs.readdirSync(stateDir).sort();
+        console.log(`  ✓ State directory: ${stateFiles.join(", ")}`);
+
+        // A crash in the middle of an append leaves a torn final line. The
+        // next revocation must land on a line of its own and survive a restart.
+        const logPath = path.join(stateDir, "revocations.log");
+        fs.appendFileSync(logPath, '{"seq":99,"op":"rev');
+        const afterCrash = await EvokeAccumulator.open({ stateDir });
+        await afterCrash.revokeDevice(7);
+        const afterAppend = await EvokeAccumulator.open({ stateDir });
+        const tornRecovered = afterAppend.isRevoked(7) && afterAppend.revokedDevices.size === 5 &&
+            fs.readFileSync(logPath, "utf8").endsWith("}\n");
+        console.log(`  ${tornRecovered ? "✓" : "✗"} Torn log tail cut off, device 7 revoked after reopening`);
+
+        if (before.x === after.x && before.y === after.y &&
+            restarted.revokedDevices.size === 4 && restarted.verifyWitness(12345) &&
+            restarted.verifyNonMembershipWitness(20000) &&
+            stateFiles.join() === "revocations.log,snapshot.json" && tornRecovered) {
+            console.log("\n✅ TEST 6 PASSED: Accumulator and witnesses rebuilt after restart");
+        } else {
+            console.log("\n❌ TEST 6 FAILED");
+        }
+    } finally {
+        fs.rmSync(stateDir, { recursive: true, force: true });
+    }
+
+    // Test 7: Canonical device identifiers
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 7: Device Identifiers Shared With The Contract    │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    // The registry contract revokes uint256(uint160(address))
+    const deviceAddress = "0x00000000000000000000000000000000DeaDBeef";
+    await revokeDevice(evoke, deviceAddress);
+    const addressProof = await checkRevocationStatus(evoke, deviceAddress);
+
+    console.log("\n[COLLISION] Integer with the same element as the address");
+    const collision = await evoke.revokeDevice(0xdeadbeef);
+    console.log(`  ✓ Rejected with ${collision.error}`);
+
+    // Malformed hex and unsafe numbers are rejected instead of hashed or rounded
+    const malformed = await Promise.all(["0x", "0xABC", `${deviceAddress}00`, 1e20, Number.MAX_SAFE_INTEGER + 2]
+        .map((deviceId) => evoke.revokeDevice(deviceId)));
+    console.log(`  ✓ 0x, 0xABC, 21-byte hex, 1e20, 2^53 + 1: ${malformed.map((result) => result.error).join(", ")}`);
+
+    if (addressProof.revoked && addressProof.proof.valid &&
+        collision.error === EvokeAccumulator.ERRORS.ID_COLLISION &&
+        malformed.every((result) => result.error === EvokeAccumulator.ERRORS.INVALID_DEVICE_ID)) {
+        console.log("\n✅ TEST 7 PASSED: Address revoked as uint160 element, colliding ID rejected");
+    } else {
+        console.log("\n❌ TEST 7 FAILED");
+    }
+
+    // Test 8: Solidity calldata export and import
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 8: Proof Export As Verifier Calldata              │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    let roundTrips = 0;
+    for (const [prover, result] of [[evoke.prover, addressProof.proof], [evoke.nonMembershipProver, recheckValid.proof]]) {
+        const exported = toSolidityCalldata(result);
+        const imported = fromSolidityCalldata(exported.calldata);
+        const valid = await prover.verify(imported.proof, imported.publicSignals);
+        console.log(`\n[EXPORT] ${result.type}: ${(exported.calldata.length - 2) / 2} bytes of calldata, ` +
+            `${exported.input.length} public inputs, re-imported proof ${valid ? "VALID" : "INVALID"}`);
+        if (valid) roundTrips++;
+    }
+
+    // Membership calldata against the committed verifier contract: same
+    // verifyProof arity, same selector and length, and its embedded key
+    // accepts the re-imported proof
+    const verifier = readSolidityVerifier(path.join(__dirname, "src", "MembershipGroth16Verifier.sol"));
+    const membershipCall = toSolidityCalldata(addressProof.proof);
+    const reimported = fromSolidityCalldata(membershipCall.calldata);
+    const contractAccepts = await snarkjs.groth16.verify(verifier.vkey, reimported.publicSignals, reimported.proof);
+    const abiMatches = membershipCall.input.length === verifier.inputCount &&
+        membershipCall.calldata.slice(0, 10) === VERIFY_PROOF_SELECTORS[verifier.inputCount] &&
+        (membershipCall.calldata.length - 10) / 64 === 8 + verifier.inputCount;
+    console.log(`  ✓ MembershipGroth16Verifier.verifyProof takes uint[${verifier.inputCount}] _pubSignals: ` +
+        `selector ${membershipCall.calldata.slice(0, 10)}, ${abiMatches ? "ABI matches" : "ABI MISMATCH"}, ` +
+        `contract key ${contractAccepts ? "accepts" : "REJECTS"} the proof`);
+
+    // The reference layout in ecc-proof.json must stay a valid transition proof
+    const example = JSON.parse(fs.readFileSync(path.join(__dirname, "ecc-proof.json"), "utf8"));
+    const exampleImported = fromSolidityCalldata({ ...example.proof, input: example.publicSignals });
+    const exampleValid = await new TransitionProver().verify(exampleImported.proof, exampleImported.publicSignals);
+    console.log(`  ✓ ecc-proof.json: ${example.publicSignals.length} public inputs, ` +
+        `${exampleValid ? "VALID" : "INVALID"} against the transition key`);
+
+    if (roundTrips === 2 && abiMatches && contractAccepts && verifier.inputCount === 2 && exampleValid) {
+        console.log("\n✅ TEST 8 PASSED: Exported calldata imports back to valid proofs");
+    } else {
+        console.log("\n❌ TEST 8 FAILED");
+    }
+
+    // Test 9: HTTP revocation service
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 9: HTTP Revocation Service                        │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    const service = new RevocationService(evoke, { adminToken: "test-token" });
+    const { port } = await service.listen(0);
+    const request = async (method, route, body, token) => {
+        const response = await fetch(`http://127.0.0.1:${port}${route}`, {
+            method,
+            headers: token ? { Authorization: `Bearer ${token}` } : {},
+            body: body && JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    try {
+        const unauthorized = await request("POST", "/revocations", { deviceId: 55555 });
+        const revoked = await request("POST", "/revocations", { deviceId: 55555 }, "test-token");
+        const again = await request("POST", "/revocations", { deviceId: 55555 }, "test-token");
+        const witness = await request("GET", "/devices/55555/witness");
+        const verified = await request("POST", "/proofs/verify", await evoke.generateNonMembershipProof(99999));
+        // TEST 4's proof is still valid, but against an accumulator superseded since
+        const stale = await request("POST", "/proofs/verify", recheckValid.proof);
+        const malformedPath = await request("GET", "/devices/%E0/witness");
+        const badBatch = await request("POST", "/revocations", { deviceIds: [56565, 57575], reasonCode: "bogus" }, "test-token");
+        console.log(`\n[HTTP] no token: ${unauthorized.status}, revoke: ${revoked.status}, ` +
+            `again: ${again.status} ${again.body.error}, witness: ${witness.body.type}, verify: ${verified.body.valid}`);
+        console.log(`[HTTP] stale proof: ${stale.status} ${stale.body.error} (valid ${stale.body.valid}, epoch ${stale.body.epoch})`);
+        console.log(`[HTTP] /devices/%E0/witness: ${malformedPath.status} ${malformedPath.body.error}, ` +
+            `batch with reasonCode "bogus": ${badBatch.status} ${badBatch.body.error}`);
+
+        if (unauthorized.status === 401 && revoked.status === 201 && again.status === 409 &&
+            witness.body.type === "membership" && verified.status === 200 && verified.body.accepted &&
+            stale.status === 409 && stale.body.error === "PROOF_NOT_ACCEPTED" && stale.body.valid &&
+            malformedPath.status === 400 && malformedPath.body.error === "INVALID_REQUEST" &&
+            badBatch.status === 400 && badBatch.body.error === EvokeAccumulator.ERRORS.INVALID_REASON &&
+            !evoke.isRevoked(56565)) {
+            console.log("\n✅ TEST 9 PASSED: Service revokes with admin token, serves witnesses and verifies proofs");
+        } else {
+            console.log("\n❌ TEST 9 FAILED");
+        }
+    } finally {
+        await service.close();
+    }
+
+    // Test 10: Device-side witness updates
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 10: Device-Held Witness Catches Up                │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    // Device 55555 stores its witness, then misses several updates
+    const heldWitness = { deviceId: 55555, epoch: evoke.getEpoch(), ...evoke.getWitness(55555) };
+    await revokeDevice(evoke, 66666);
+    await batchRevoke(evoke, [77777, 88888]);
+    await evoke.reinstateDevice(66666, "Missed-update test");
+
+    const update = evoke.getWitnessUpdate(heldWitness.epoch);
+    const caughtUp = applyWitnessUpdate(heldWitness, update);
+    console.log(`\n[DEVICE] Epoch ${update.fromEpoch} -> ${update.epoch} with one point addition: ` +
+        `${caughtUp.success ? "A = W + g^id holds" : caughtUp.error}`);
+
+    const replayed = applyWitnessUpdate(caughtUp.witness, update);
+    console.log(`  ✓ Applying the same update twice rejected with ${replayed.error}`);
+
+    if (caughtUp.success && caughtUp.witness.x === evoke.getWitness(55555).x && !replayed.success) {
+        console.log("\n✅ TEST 10 PASSED: Offline device caught up with a single aggregated delta");
+    } else {
+        console.log("\n❌ TEST 10 FAILED");
+    }
+
+    // Test 11: Historical accumulators and the acceptance window
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 11: Proofs Against Earlier Accumulators           │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    // A slow device proves non-revocation against the epoch of TEST 10's start
+    const slowProof = await evoke.generateNonMembershipProof(99999, { epoch: heldWitness.epoch });
+    const strict = await evoke.verifyProof(slowProof);
+    const windowed = await evoke.verifyProof({ ...slowProof, window: { epochs: 5 } });
+    const tooOld = await evoke.verifyProof({ ...slowProof, window: { epochs: 1 } });
+    console.log(`\n[WINDOW] Proof for epoch ${slowProof.epoch} (current ${evoke.getEpoch()}): ` +
+        `valid ${strict.valid}, matched epoch ${strict.epoch}`);
+    console.log(`  ✓ Current only: ${strict.accepted ? "accepted" : "rejected"}, ` +
+        `last 5 epochs: ${windowed.accepted ? "accepted" : "rejected"}, last 1 epoch: ${tooOld.accepted ? "accepted" : "rejected"}`);
+
+    // A membership proof carries A too, so the same window applies
+    const oldMembership = await evoke.generateMembershipProof(55555, { epoch: heldWitness.epoch });
+    const membershipStrict = await evoke.verifyProof(oldMembership);
+    const membershipWindowed = await evoke.verifyProof({ ...oldMembership, window: { epochs: 5 } });
+    const membershipTooOld = await evoke.verifyProof({ ...oldMembership, window: { epochs: 1 } });
+    const membershipNow = await evoke.verifyProof(await evoke.generateMembershipProof(55555));
+    console.log(`  ✓ Membership proof for epoch ${heldWitness.epoch}: matched epoch ${membershipStrict.epoch}, ` +
+        `current only: ${membershipStrict.accepted ? "accepted" : "rejected"}, ` +
+        `last 5 epochs: ${membershipWindowed.accepted ? "accepted" : "rejected"}, ` +
+        `last 1 epoch: ${membershipTooOld.accepted ? "accepted" : "rejected"}`);
+
+    if (slowProof.valid && strict.valid && strict.epoch === heldWitness.epoch &&
+        !strict.accepted && windowed.accepted && !tooOld.accepted &&
+        oldMembership.valid && membershipStrict.valid && membershipStrict.epoch === heldWitness.epoch &&
+        !membershipStrict.accepted && membershipWindowed.accepted && !membershipTooOld.accepted &&
+        membershipNow.accepted && membershipNow.current) {
+        console.log("\n✅ TEST 11 PASSED: Earlier-epoch proof accepted only inside the window");
+    } else {
+        console.log("\n❌ TEST 11 FAILED");
+    }
+
+    // Test 12: Proof cache
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 12: Status Proofs Cached Between Revocations      │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    const firstPoll = await evoke.checkRevocationStatus(55555);
+    const pollStart = Date.now();
+    const secondPoll = await evoke.checkRevocationStatus(55555);
+    const pollMs = Date.now() - pollStart;
+    await revokeDevice(evoke, 12121);
+    const afterRevoke = await evoke.checkRevocationStatus(55555);
+    const cacheStats = evoke.getProofCacheStatistics();
+    console.log(`\n[CACHE] Repeat status check ${secondPoll.proof.cached ? "served from cache" : "re-proved"} in ${pollMs}ms, ` +
+        `after a revocation ${afterRevoke.proof.cached ? "served from cache" : "re-proved"} (valid: ${afterRevoke.proof.valid})`);
+    console.log(`  ✓ ${cacheStats.hits} hits, ${cacheStats.misses} misses`);
+
+    if (firstPoll.proof.valid && secondPoll.proof.cached && !afterRevoke.proof.cached && afterRevoke.proof.valid) {
+        console.log("\n✅ TEST 12 PASSED: Proof reused until the accumulator changed");
+    } else {
+        console.log("\n❌ TEST 12 FAILED");
+    }
+
+    // Test 13: Worker-thread prover pool
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 13: Parallel Proofs From A Worker Pool            │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    // 66666 was reinstated in TEST 10, so it fails on its own
+    const auditIds = [55555, 77777, 88888, 66666];
+    const poolStart = Date.now();
+    const auditProofs = await evoke.generateMembershipProofs(auditIds, { timeoutMs: 60000 });
+    console.log(`\n[POOL] ${auditIds.length} devices in ${Date.now() - poolStart}ms`);
+    for (const result of auditProofs) {
+        console.log(`  ${result.success ? "✓" : "✗"} Device ${result.deviceId}: ` +
+            `${result.success ? (result.valid ? "VALID" : "INVALID") : result.error}`);
+    }
+    await evoke.close();
+
+    const singleProof = await evoke.generateMembershipProof(88888);
+    if (auditProofs.slice(0, 3).every((result) => result.valid) &&
+        auditProofs[3].error === EvokeAccumulator.ERRORS.NOT_REVOKED &&
+        auditProofs[2].accumulator.x === singleProof.accumulator.x && singleProof.valid) {
+        console.log("\n✅ TEST 13 PASSED: Pool proofs valid and matching the single-proof path");
+    } else {
+        console.log("\n❌ TEST 13 FAILED");
+    }
+
+    // Test 14: Constraint-failure diagnostics
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 14: Diagnosing Failed Witness Generation          │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    // A witness from before the last revocation no longer satisfies A = W + g^device
+    const diagnosed = new EvokeAccumulator({ diagnostics: true });
+    await diagnosed.revokeDevice(12121);
+    const staleWitness = diagnosed.revokedDevices.get(12121n).witness;
+    await diagnosed.revokeDevice(34343);
+    diagnosed.revokedDevices.get(12121n).witness = staleWitness;
+    const mismatch = await diagnosed.generateMembershipProof(12121);
+    console.log(`\n[DIAGNOSE] ${mismatch.error}: ${mismatch.message}`);
+    const mismatchSignals = mismatch.diagnostics ? mismatch.diagnostics.signals.map((signal) => signal.name) : [];
+
+    // An element beyond Num2Bits(254) is silently reduced by the calculator
+    const current = diagnosed.getAccumulator();
+    const valid = diagnosed.getWitness(34343);
+    const tooLarge = await diagnoseProofInput("membership", {
+        accX: current.x,
+        accY: current.y,
+        element: ((1n << 254n) + 34343n).toString(),
+        witnessX: valid.x,
+        witnessY: valid.y
+    });
+    console.log(`[DIAGNOSE] ${tooLarge.message}`);
+
+    if (mismatch.error === EvokeAccumulator.ERRORS.WITNESS_MISMATCH &&
+        mismatchSignals.join() === "main.accX,main.pointAdd.xout" &&
+        mismatch.diagnostics.frames[0].line === 59 &&
+        !tooLarge.ok && tooLarge.inputIssues.some((issue) => issue.issue === "EXCEEDS_BITS" && issue.signal === "element")) {
+        console.log("\n✅ TEST 14 PASSED: Failures mapped to circuit signals and out-of-range inputs");
+    } else {
+        console.log("\n❌ TEST 14 FAILED");
+    }
+
+    // Test 15: Batch witness generation
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 15: Batch Witnesses From One Calculator           │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    const batchDir = fs.mkdtempSync(path.join(os.tmpdir(), "evoke-witnesses-"));
+    let batch;
+    let batchProofValid = false;
+    try {
+        // Line 3 pairs device 88888 with 77777's witness and fails the assert
+        const batchAcc = evoke.getAccumulator();
+        const batchInputs = [55555, 77777, 88888].map((deviceId) => {
+            const witness = evoke.getWitness(deviceId);
+            return { accX: batchAcc.x, accY: batchAcc.y, element: String(deviceId), witnessX: witness.x, witnessY: witness.y };
+        });
+        batchInputs[2] = { ...batchInputs[2], witnessX: batchInputs[1].witnessX, witnessY: batchInputs[1].witnessY };
+        const inputsFile = path.join(batchDir, "inputs.jsonl");
+        fs.writeFileSync(inputsFile, batchInputs.map((input) => JSON.stringify(input)).join("\n") + "\n{not json\n");
+
+        batch = await generateWitnesses({
+            wasm: evoke.prover.circuit.wasm,
+            inputs: inputsFile,
+            output: path.join(batchDir, "wtns")
+        });
+        console.log(`\n[WITNESSES] ${batch.total} inputs: ${batch.written} written, ${batch.failed} failed`);
+        for (const result of batch.results) {
+            console.log(`  ${result.file ? "✓" : "✗"} ${result.source}: ${result.file || `${result.error} (${result.message})`}`);
+        }
+
+        // A pre-computed witness proves without running the wasm again
+        const { proof, publicSignals } = await snarkjs.groth16.prove(
+            evoke.prover.circuit.zkey,
+            path.join(batchDir, "wtns", batch.results[0].file)
+        );
+        batchProofValid = await evoke.prover.verify(proof, publicSignals);
+        console.log(`  ✓ Proof from ${batch.results[0].file}: ${batchProofValid ? "VALID" : "INVALID"}`);
+    } finally {
+        fs.rmSync(batchDir, { recursive: true, force: true });
+    }
+
+    if (batch.written === 2 && batch.failed === 2 &&
+        batch.results[2].error === "WITNESS_FAILED" && batch.results[3].error === "INVALID_INPUT" &&
+        batchProofValid) {
+        console.log("\n✅ TEST 15 PASSED: Batch continued past failures and its witnesses prove");
+    } else {
+        console.log("\n❌ TEST 15 FAILED");
+    }
+
+    // Test 16: On-curve and subgroup validation
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 16: Invalid And Small-Subgroup Points Rejected    │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    // (0, -1) has order 2: adding it to both the delta and the accumulator
+    // keeps A = W + g^id true, so only the subgroup check catches it
+    const curve = evoke.curve;
+    const torsion = curve.fromObject([0n, curve.p - 1n]);
+    const shifted = (point) => curve.toObject(curve.pointAdd(curve.fromObject(point), torsion));
+    const torsionUpdate = applyWitnessUpdate(heldWitness,
+        { ...update, delta: shifted(update.delta), accumulator: shifted(update.accumulator) });
+    console.log(`\n[POINTS] Torsion-shifted witness update: ${torsionUpdate.error}`);
+
+    const accumulatorNow = evoke.getAccumulator();
+    const offCurve = await evoke.verifyProof({
+        type: "non-membership",
+        proof: {},
+        publicSignals: ["12345", "67890", evoke.getGapRoot()]
+    });
+    const smallSubgroup = await evoke.verifyProof({
+        type: "non-membership",
+        proof: {},
+        publicSignals: [...Object.values(shifted(accumulatorNow)), evoke.getGapRoot()]
+    });
+    console.log(`[POINTS] Off-curve public accumulator: ${offCurve.error}`);
+    console.log(`[POINTS] Small-subgroup public accumulator: ${smallSubgroup.error}`);
+
+    if (torsionUpdate.error === EvokeAccumulator.ERRORS.NOT_IN_SUBGROUP &&
+        offCurve.error === EvokeAccumulator.ERRORS.NOT_ON_CURVE &&
+        smallSubgroup.error === EvokeAccumulator.ERRORS.NOT_IN_SUBGROUP) {
+        console.log("\n✅ TEST 16 PASSED: Points validated at every boundary");
+    } else {
+        console.log("\n❌ TEST 16 FAILED");
+    }
+
+    // Test 17: Transition proofs
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 17: Every Accumulator Update Proven And Chained   │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    const provenEvoke = new EvokeAccumulator({ transitionProofs: true });
+    await provenEvoke.revokeDevice(31001);
+    await provenEvoke.batchRevoke([31002, 31003]);
+    await provenEvoke.reinstateDevice(31002, "Transition test");
+
+    const transitions = provenEvoke.getTransitions();
+    const transitionProver = new TransitionProver();
+    const chain = await transitionProver.verifyChain(transitions);
+    console.log(`\n[TRANSITIONS] ${transitions.length} updates (revoke, batch, reinstate): ` +
+        `${chain.valid ? "chain verified from (0, 1)" : chain.message}`);
+
+    const reordered = await transitionProver.verifyChain([transitions[0], transitions[2], transitions[1]]
+        .map(({ epoch, ...transition }) => transition));
+    console.log(`  ✓ Reordered history rejected with ${reordered.error}`);
+    const anonymous = transitions.every((transition) => !("device" in transition) && !("devices" in transition));
+
+    if (chain.valid && chain.accumulator.x === provenEvoke.getAccumulator().x &&
+        reordered.error === TransitionProver.ERRORS.BROKEN_CHAIN && anonymous) {
+        console.log("\n✅ TEST 17 PASSED: Every update proven, chain verifiable without device IDs");
+    } else {
+        console.log("\n❌ TEST 17 FAILED");
+    }
+
+    // Test 18: Audit log
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 18: Audit Log Replays To The Current Accumulator  │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    const auditDir = fs.mkdtempSync(path.join(os.tmpdir(), "evoke-audit-"));
+    let audit;
+    let rewritten;
+    let dropped;
+    try {
+        const auditFile = path.join(auditDir, "audit.jsonl");
+        const exported = evoke.exportAuditLog(auditFile);
+        audit = verifyAuditLog(auditFile, { accumulator: evoke.getAccumulator(), head: evoke.getAuditHead().hash });
+        console.log(`\n[AUDIT] ${exported.entries} entries exported, head ${exported.head.slice(0, 16)}...: ` +
+            `${audit.valid ? `replayed to the current accumulator (${audit.revoked} revoked)` : audit.message}`);
+
+        // Rewriting a reason, or dropping an entry, breaks the chain
+        const entries = fs.readFileSync(auditFile, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+        rewritten = verifyAuditLog(entries.map((entry, i) => (i === 0 ? { ...entry, reason: "Routine rotation" } : entry)));
+        dropped = verifyAuditLog(entries.filter((entry, i) => i !== 1));
+        console.log(`  ✓ Rewritten reason rejected with ${rewritten.error}`);
+        console.log(`  ✓ Dropped entry rejected with ${dropped.error}`);
+    } finally {
+        fs.rmSync(auditDir, { recursive: true, force: true });
+    }
+
+    if (audit.valid && audit.head === evoke.getAuditHead().hash &&
+        rewritten.error === "HASH_MISMATCH" && dropped.error === "BROKEN_CHAIN") {
+        console.log("\n✅ TEST 18 PASSED: Audit log verified on its own, rewrites detected");
+    } else {
+        console.log("\n❌ TEST 18 FAILED");
+    }
+
+    // Test 19: Namespaced accumulators
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 19: Namespaces With Their Own Revocation Sets     │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    const namespaceDir = fs.mkdtempSync(path.join(os.tmpdir(), "evoke-namespaces-"));
+    let namespacesPassed = false;
+    try {
+        const manager = new AccumulatorManager({ stateDir: namespaceDir });
+        await manager.createNamespace("acme-sensors", { operators: ["alice"] });
+        await manager.createNamespace("globex-cameras");
+        const duplicate = await manager.createNamespace("acme-sensors");
+        const badName = await manager.createNamespace("Acme/Sensors");
+
+        const forbidden = await manager.revokeDevice("acme-sensors", 12345, { operator: "mallory" });
+        const revoked = await manager.revokeDevice("acme-sensors", 12345, { operator: "alice", reason: "Key leaked" });
+        const elsewhere = await manager.generateNonMembershipProof("globex-cameras", 12345);
+        console.log(`\n[NAMESPACES] ${manager.listNamespaces().map(({ name }) => name).join(", ")}: ` +
+            `duplicate ${duplicate.error}, invalid name ${badName.error}`);
+        console.log(`  ✓ Revoke by mallory: ${forbidden.error}, by alice: ${revoked.success ? "revoked" : revoked.error}`);
+        console.log(`  ✓ Device 12345 in globex-cameras: ${elsewhere.valid ? "proven not revoked" : elsewhere.error}`);
+
+        // The globex proof's public (A, R) match no acme epoch, whatever
+        // namespace label the request carries
+        const request = { type: elsewhere.type, proof: elsewhere.proof, publicSignals: elsewhere.publicSignals, deviceId: 12345 };
+        const home = await manager.verifyProof("globex-cameras", request);
+        const away = await manager.verifyProof("acme-sensors", { ...request, namespace: "acme-sensors" });
+        console.log(`  ✓ globex non-membership proof in globex: accepted ${home.accepted}, ` +
+            `in acme (relabelled): accepted ${away.accepted}`);
+
+        // Membership proofs are bound the same way through their public A
+        await manager.revokeDevice("globex-cameras", 23456);
+        const membership = await manager.generateMembershipProof("acme-sensors", 12345);
+        const globexMembership = await manager.generateMembershipProof("globex-cameras", 23456);
+        const membershipRequest = { type: globexMembership.type, proof: globexMembership.proof, publicSignals: globexMembership.publicSignals };
+        const membershipHome = await manager.verifyProof("acme-sensors", membership);
+        const membershipAway = await manager.verifyProof("acme-sensors", { ...membershipRequest, namespace: "acme-sensors" });
+        console.log(`  ✓ acme membership proof in acme: accepted ${membershipHome.accepted}, ` +
+            `globex membership proof in acme (relabelled): accepted ${membershipAway.accepted}, epoch ${membershipAway.epoch}`);
+
+        // A reopened manager has the same namespaces, and the audit log
+        // replays from the namespace's own epoch 0
+        const reopened = await AccumulatorManager.open({ stateDir: namespaceDir });
+        const acme = reopened.getStatistics("acme-sensors");
+        const globex = reopened.getStatistics("globex-cameras");
+        const audit = verifyAuditLog(reopened.get("acme-sensors").getAuditLog(), {
+            initialAccumulator: AccumulatorManager.namespaceAccumulator(reopened.curve, "acme-sensors"),
+            head: acme.auditHead
+        });
+        console.log(`  ✓ Reopened: acme ${acme.totalRevoked} revoked, globex ${globex.totalRevoked} revoked, ` +
+            `acme audit log ${audit.valid ? "verified" : audit.message}`);
+
+        namespacesPassed = duplicate.error === "NAMESPACE_EXISTS" && badName.error === "INVALID_NAMESPACE" &&
+            forbidden.error === "FORBIDDEN" && revoked.success && elsewhere.valid &&
+            home.accepted && away.success && away.valid && !away.accepted &&
+            membership.valid && membership.namespace === "acme-sensors" && membershipHome.accepted &&
+            globexMembership.valid && membershipAway.valid && !membershipAway.accepted && membershipAway.epoch === null &&
+            acme.totalRevoked === 1 && globex.totalRevoked === 1 &&
+            acme.initialAccumulator.x !== globex.initialAccumulator.x && audit.valid;
+    } finally {
+        fs.rmSync(namespaceDir, { recursive: true, force: true });
+    }
+
+    if (namespacesPassed) {
+        console.log("\n✅ TEST 19 PASSED: Namespaces isolated, policies enforced, proofs bound to their namespace");
+    } else {
+        console.log("\n❌ TEST 19 FAILED");
+    }
+
+    // Test 20: Reason codes, expiry and scheduled reinstatement
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 20: Suspensions Expire And Are Reinstated         │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    const expiryDir = fs.mkdtempSync(path.join(os.tmpdir(), "evoke-expiry-"));
+    let expiryPassed = false;
+    try {
+        const timed = await EvokeAccumulator.open({ stateDir: expiryDir });
+        const start = Date.now();
+        await timed.revokeDevice(41001, { reasonCode: "compromised", reason: "Key extracted" });
+        await timed.batchRevoke([41002, 41003], { reasonCode: "suspended", expiresAt: start + 400 });
+        await timed.revokeDevice(41004, { reasonCode: "lost" });
+        const lostExpiry = await timed.revokeDevice(41005, { reasonCode: "lost", expiresAt: start + 400 });
+
+        const suspended = timed.getRevocations({ reasonCode: "suspended" });
+        const inRange = timed.getRevocations({ from: start, to: Date.now() });
+        console.log(`\n[EXPIRY] ${inRange.length} revocations, ${suspended.length} suspended until ` +
+            `${new Date(suspended[0].expiresAt).toISOString()}`);
+        console.log(`  ✓ Expiry on a lost device rejected with ${lostExpiry.error}`);
+
+        // The scheduler wakes at the expiry and reinstates both suspensions
+        const scheduler = new ExpiryScheduler(timed, { intervalMs: 5000 });
+        const reinstated = await new Promise((resolve, reject) => {
+            scheduler.start(resolve, reject);
+        });
+        scheduler.stop();
+        console.log(`  ✓ Scheduler reinstated ${reinstated.filter((result) => result.success).length} devices ` +
+            `after ${Date.now() - start}ms`);
+
+        // Remaining witnesses follow the reinstatements, and the reason
+        // codes survive a restart
+        const reopened = await EvokeAccumulator.open({ stateDir: expiryDir });
+        const remaining = reopened.getRevocations();
+        const witnessesHold = [41001, 41004].every((deviceId) => reopened.verifyWitness(deviceId));
+        const audit = verifyAuditLog(reopened.getAuditLog(), { accumulator: reopened.getAccumulator() });
+        console.log(`  ✓ After restart: ${remaining.map((revocation) => `${revocation.deviceId} ${revocation.reasonCode}`).join(", ")}; ` +
+            `witnesses ${witnessesHold ? "hold" : "BROKEN"}, audit log ${audit.valid ? "verified" : audit.message}`);
+
+        expiryPassed = suspended.length === 2 && inRange.length === 4 && lostExpiry.error === "INVALID_EXPIRY" &&
+            reinstated.length === 2 && reinstated.every((result) => result.success) &&
+            remaining.length === 2 && remaining[0].reasonCode === "compromised" && remaining[1].reasonCode === "lost" &&
+            !reopened.isRevoked(41002) && reopened.getNextExpiry() === null && witnessesHold && audit.valid;
+    } finally {
+        fs.rmSync(expiryDir, { recursive: true, force: true });
+    }
+
+    if (expiryPassed) {
+        console.log("\n✅ TEST 20 PASSED: Suspensions reinstated on expiry, revocations filtered by reason and time");
+    } else {
+        console.log("\n❌ TEST 20 FAILED");
+    }
+
+    // Test 21: Events, logger and metrics
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 21: Events, Logger And Prometheus Metrics         │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    const logged = [];
+    const observed = new EvokeAccumulator({
+        logger: {
+            info: (message) => logged.push(["info", message]),
+            error: (message) => logged.push(["error", message])
+        }
+    });
+    const events = { revoked: [], reinstated: [], witnessesUpdated: [], proofGenerated: [], proofFailed: [] };
+    for (const name of Object.keys(events)) {
+        observed.on(name, (payload) => events[name].push(payload));
+    }
+    // A throwing listener must not break the revocation
+    observed.once("revoked", () => {
+        throw new Error("listener bug");
+    });
+
+    const first = await observed.revokeDevice(51001, { operator: "alice", reasonCode: "compromised" });
+    await observed.batchRevoke([51002, 51003]);
+    await observed.reinstateDevice(51002, "Recovered");
+    const membership = await observed.generateMembershipProof(51001);
+    await observed.generateMembershipProof(51001);
+    await observed.generateNonMembershipProof(51004);
+    const notRevoked = await observed.generateMembershipProof(51004);
+
+    console.log(`\n[EVENTS] revoked ${events.revoked.length}, reinstated ${events.reinstated.length}, ` +
+        `witnessesUpdated ${events.witnessesUpdated.length}, proofGenerated ${events.proofGenerated.length} ` +
+        `(${events.proofGenerated.filter((event) => event.cached).length} cached), proofFailed ${events.proofFailed.length}`);
+    console.log(`  ✓ Logger received ${logged.length} messages, e.g. "${logged.find(([level]) => level === "info")[1]}"`);
+
+    const metricsText = observed.getMetrics();
+    const sample = (line) => metricsText.split("\n").includes(line);
+    const observedStats = observed.getStatistics();
+    console.log(`  ✓ Metrics: ${metricsText.split("\n").filter((line) => line.startsWith("# TYPE")).length} families, ` +
+        `average proof ${observedStats.averageProofTimeMs}ms over ${observedStats.proofsGenerated} proofs`);
+
+    const metricsService = new RevocationService(observed);
+    const { port: metricsPort } = await metricsService.listen(0);
+    let scraped;
+    try {
+        const response = await fetch(`http://127.0.0.1:${metricsPort}/metrics`);
+        scraped = { contentType: response.headers.get("content-type"), body: await response.text() };
+    } finally {
+        await metricsService.close();
+    }
+    console.log(`  ✓ GET /metrics: ${scraped.contentType}`);
+
+    const metricsPassed = first.success && membership.valid && notRevoked.error === "NOT_REVOKED" &&
+        events.revoked.length === 2 && events.revoked[0].reasonCode === "compromised" &&
+        events.revoked[1].deviceIds.length === 2 && events.reinstated[0].reason === "Recovered" &&
+        events.witnessesUpdated.map((event) => event.operation).join() === "revoke,batchRevoke,reinstate" &&
+        events.proofGenerated.length === 3 && events.proofGenerated[1].cached &&
+        events.proofFailed.length === 1 && events.proofFailed[0].error === "NOT_REVOKED" &&
+        logged.some(([level, message]) => level === "info" && message.includes("Revoked device 51001")) &&
+        logged.some(([level, message]) => level === "error" && message.includes("listener bug")) &&
+        sample("evoke_revoked_devices 2") && sample("evoke_accumulator_epoch 3") &&
+        sample("evoke_proof_duration_seconds_count{type=\"membership\"} 1") &&
+        sample("evoke_proofs_total{type=\"membership\",result=\"cached\"} 1") &&
+        sample("evoke_updates_total{operation=\"batchRevoke\"} 1") &&
+        observedStats.epoch === 3 && observedStats.proofsGenerated === 2 && observedStats.proofFailures === 1 &&
+        scraped.contentType.startsWith("text/plain; version=0.0.4") &&
+        scraped.body.includes("# TYPE evoke_witness_update_duration_seconds histogram");
+
+    if (metricsPassed) {
+        console.log("\n✅ TEST 21 PASSED: Events emitted, logger used, metrics exposed in Prometheus format");
+    } else {
+        console.log("\n❌ TEST 21 FAILED");
+    }
+
+    // Test 22: Differential self-check of the curve code
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 22: JS Curve Code Matches The Circuit             │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    const selfCheck = await runSelfCheck({ random: 8 });
+    console.log(`\n[SELF-CHECK] ${selfCheck.cases} cases, ${selfCheck.comparisons} comparisons (seed ${selfCheck.seed}): ` +
+        `${selfCheck.ok ? "no mismatch" : selfCheck.mismatch.message}`);
+
+    // A curve that forgets g^subOrder is the identity is caught with its input
+    class WrapsAtSubOrder extends BabyJubjub {
+        scalarMul(k) {
+            return BigInt(k) === this.subOrder ? this.BASE : super.scalarMul(k);
+        }
+    }
+    const broken = await runSelfCheck({ random: 0, curves: [new WrapsAtSubOrder()] });
+    console.log(`  ✓ Broken scalarMul: ${broken.mismatch.error} on "${broken.mismatch.name}", ` +
+        `element ${broken.mismatch.input.element.slice(0, 12)}..., circuit (${broken.mismatch.circuit.x}, ${broken.mismatch.circuit.y})`);
+
+    if (selfCheck.ok && selfCheck.comparisons === 2 * selfCheck.cases &&
+        !broken.ok && broken.mismatch.error === "MISMATCH" && broken.mismatch.name === "subOrder" &&
+        broken.mismatch.circuit.x === "0" && broken.mismatch.circuit.y === "1") {
+        console.log("\n✅ TEST 22 PASSED: JS pointAdd/scalarMul agree with BabyAdd/EscalarMulAny, mismatches reported");
+    } else {
+        console.log("\n❌ TEST 22 FAILED");
+    }
+
+    // Test 23: Shared test vectors for the JS and Solidity implementations
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 23: Cross-Language Test Vectors                   │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    const fixtures = path.join(__dirname, "test", "fixtures");
+    const committedJson = fs.readFileSync(path.join(fixtures, "evoke-vectors.json"), "utf8");
+    const committedLoader = fs.readFileSync(path.join(fixtures, "EvokeVectors.sol"), "utf8");
+    const fixture = JSON.parse(committedJson);
+
+    const vectorChecks = [];
+    for (const curve of [new BabyJubjub(), new FastBabyJubjub()]) {
+        const result = await checkTestVectors(fixture, { curve });
+        vectorChecks.push(result);
+        console.log(`\n[VECTORS] ${curve.constructor.name}: ${result.checked} vectors, ` +
+            `${result.ok ? "all match" : `mismatch in ${result.mismatch.section}[${result.mismatch.index}]`}`);
+    }
+
+    // The committed files are exactly what the generator writes for their seed
+    const regenerated = await generateTestVectors({ seed: fixture.seed });
+    const upToDate = JSON.stringify(regenerated, null, 2) + "\n" === committedJson &&
+        solidityLoader(regenerated) === committedLoader;
+    console.log(`  ✓ Regenerated from seed "${fixture.seed}": ${upToDate ? "identical to test/fixtures" : "differs from test/fixtures"}`);
+
+    // A vector the JS library disagrees with is reported by section and name
+    const tampered = JSON.parse(committedJson);
+    tampered.batchRevocations[1].accumulator.y = "1";
+    const tamperedCheck = await checkTestVectors(tampered);
+    console.log(`  ✓ Tampered vector: ${tamperedCheck.mismatch.section}[${tamperedCheck.mismatch.index}] "${tamperedCheck.mismatch.name}"`);
+
+    if (vectorChecks.every((result) => result.ok && result.checked === 40) && upToDate &&
+        !tamperedCheck.ok && tamperedCheck.mismatch.section === "batchRevocations" && tamperedCheck.mismatch.index === 1) {
+        console.log("\n✅ TEST 23 PASSED: JS library matches the vectors the Solidity tests load");
+    } else {
+        console.log("\n❌ TEST 23 FAILED");
+    }
+
+    // Test 24: Non-membership gaps must come from the issuer's gap tree
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 24: Made-Up Gaps Around Revoked Devices Rejected  │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    // 12345 is revoked; (12344, 12346) is a gap around it that was never published
+    const forgedElement = evoke.identify(12345).identity.element;
+    const honestWitness = evoke.getNonMembershipWitness(99999);
+    const accumulatorForged = evoke.getAccumulator();
+    const forgedInput = {
+        accX: accumulatorForged.x,
+        accY: accumulatorForged.y,
+        gapRoot: evoke.getGapRoot(),
+        elementHash: GapAccumulator.elementHash(forgedElement).toString(),
+        element: forgedElement.toString(),
+        lowerBound: (forgedElement - 1n).toString(),
+        upperBound: (forgedElement + 1n).toString(),
+        leafIndex: String(honestWitness.index),
+        pathElements: honestWitness.path
+    };
+    const againstIssuer = await diagnoseProofInput("non-membership", forgedInput);
+    console.log(`\n[FORGERY] Made-up gap against the issuer's root: ${againstIssuer.error} ` +
+        `(${againstIssuer.signals.map((signal) => signal.name).join(", ")})`);
+
+    // A tree of the prover's own proves, but its root matches no epoch
+    const ownTree = new GapAccumulator();
+    ownTree.insert(forgedElement - 1n);
+    ownTree.insert(forgedElement + 1n);
+    const ownWitness = ownTree.witnessFor(forgedElement);
+    const selfRooted = await evoke.nonMembershipProver.prove({
+        ...forgedInput,
+        gapRoot: ownTree.root.toString(),
+        leafIndex: String(ownWitness.witness.index),
+        pathElements: ownWitness.witness.path.map(String)
+    });
+    const selfRootedCheck = await evoke.verifyProof({
+        type: "non-membership",
+        ...selfRooted,
+        deviceId: 12345,
+        window: { epochs: evoke.getEpoch() + 1 }
+    });
+    console.log(`[FORGERY] Made-up gap in a self-made tree: Groth16 ${selfRooted.valid ? "valid" : "invalid"}, ` +
+        `epoch ${selfRootedCheck.epoch}, ${selfRootedCheck.accepted ? "accepted" : "rejected"}`);
+
+    // Revoked 12345 proves an unrevoked element instead of its own: the
+    // proof is honest for that element, but its elementHash is not 12345's
+    const substitute = 424242;
+    const substituteWitness = evoke.getNonMembershipWitness(substitute);
+    const substituted = await evoke.nonMembershipProver.prove({
+        ...forgedInput,
+        elementHash: GapAccumulator.elementHash(BigInt(substitute)).toString(),
+        element: String(substitute),
+        lowerBound: substituteWitness.lowerBound,
+        upperBound: substituteWitness.upperBound,
+        leafIndex: String(substituteWitness.index),
+        pathElements: substituteWitness.path
+    });
+    const substitutedCheck = await evoke.verifyProof({ type: "non-membership", ...substituted, deviceId: 12345 });
+    const unclaimed = await evoke.verifyProof({ type: "non-membership", ...substituted });
+    const ownedCheck = await evoke.verifyProof({ type: "non-membership", ...substituted, deviceId: substitute });
+    const hashOnly = await diagnoseProofInput("non-membership", {
+        ...forgedInput,
+        element: String(substitute),
+        lowerBound: substituteWitness.lowerBound,
+        upperBound: substituteWitness.upperBound,
+        leafIndex: String(substituteWitness.index),
+        pathElements: substituteWitness.path
+    });
+    console.log(`[FORGERY] Element ${substitute} presented for revoked 12345: Groth16 ${substituted.valid ? "valid" : "invalid"}, ` +
+        `${substitutedCheck.error}; without deviceId: ${unclaimed.error}; for ${substitute}: ` +
+        `${ownedCheck.accepted ? "accepted" : "rejected"}`);
+    console.log(`[FORGERY] Element ${substitute} with 12345's elementHash: ${hashOnly.error} ` +
+        `(${hashOnly.signals.map((signal) => signal.name).join(", ")})`);
+
+    if (!againstIssuer.ok && againstIssuer.signals.some((signal) => signal.name === "main.gapRoot") &&
+        selfRootedCheck.success && !selfRootedCheck.current && selfRootedCheck.epoch === null && !selfRootedCheck.accepted &&
+        substituted.valid && substitutedCheck.error === EvokeAccumulator.ERRORS.DEVICE_MISMATCH &&
+        unclaimed.error === EvokeAccumulator.ERRORS.INVALID_DEVICE_ID && ownedCheck.accepted &&
+        !hashOnly.ok && hashOnly.signals.some((signal) => signal.name === "main.elementHash")) {
+        console.log("\n✅ TEST 24 PASSED: Only gaps from the issuer's tree prove non-revocation");
+    } else {
+        console.log("\n❌ TEST 24 FAILED");
+    }
+
+    // Test 25: Batch revocation against sequential revocations
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 25: Batch Revocation Equals Sequential Revokes    │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    const batched = new EvokeAccumulator();
+    const sequential = new EvokeAccumulator();
+    for (const accumulator of [batched, sequential]) {
+        await accumulator.trackDevice(61500);
+        await accumulator.revokeDevice(61000);
+    }
+    const batchIds = [61001, 61002, 61003, 61004];
+    const batchResults = await batched.batchRevoke([...batchIds, 61002, 61000]);
+    for (const deviceId of batchIds) {
+        await sequential.revokeDevice(deviceId);
+    }
+    const batchAccumulator = batched.getAccumulator();
+    const sequentialAccumulator = sequential.getAccumulator();
+    console.log(`\n[BATCH] ${batchIds.length} devices in one batch: (${batchAccumulator.x.slice(0, 12)}..., ` +
+        `${batchAccumulator.y.slice(0, 12)}...), one at a time: (${sequentialAccumulator.x.slice(0, 12)}..., ` +
+        `${sequentialAccumulator.y.slice(0, 12)}...)`);
+
+    // Every revoked device's witness is A_new - g^d, as after sequential revokes
+    const batchCurve = batched.curve;
+    const witnessesMatch = [61000, ...batchIds].every((deviceId) => {
+        const element = batched.identify(deviceId).identity.element;
+        const expected = batchCurve.toObject(batchCurve.pointSub(batchCurve.fromObject(batchAccumulator), batchCurve.scalarMul(element)));
+        const witness = batched.getWitness(deviceId);
+        const stepwise = sequential.getWitness(deviceId);
+        return witness.x === expected.x && witness.y === expected.y && witness.x === stepwise.x && witness.y === stepwise.y;
+    });
+    console.log(`  ✓ Witnesses equal A_new - g^d and the sequential ones: ${witnessesMatch}`);
+    console.log(`  ✓ Duplicate and already-revoked entries: ${batchResults.slice(-2).map((result) => result.error).join(", ")}`);
+
+    if (batchAccumulator.x === sequentialAccumulator.x && batchAccumulator.y === sequentialAccumulator.y && witnessesMatch &&
+        batchResults.slice(0, batchIds.length).every((result) => result.success) &&
+        batchResults.slice(-2).every((result) => result.error === EvokeAccumulator.ERRORS.ALREADY_REVOKED) &&
+        batched.getEpoch() === 2 && batched.getGapRoot() === sequential.getGapRoot() &&
+        batched.verifyNonMembershipWitness(61500)) {
+        console.log("\n✅ TEST 25 PASSED: Batch revocation matches sequential revokes, witnesses and gap tree included");
+    } else {
+        console.log("\n❌ TEST 25 FAILED");
+    }
+
+    // Test 26: Randomized equality of the fast and affine curve code
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 26: FastBabyJubjub Bit-Identical To BabyJubjub    │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    const affine = new BabyJubjub();
+    const fastCurve = new FastBabyJubjub({ cacheSize: 16 });
+    const curveSeed = crypto.randomBytes(16).toString("hex");
+    let counter = 0;
+    const randomScalar = () => BigInt(`0x${crypto.createHash("sha256").update(`${curveSeed}:${counter++}`).digest("hex")}`);
+
+    // Scalars up to 2^256 (beyond subOrder), subgroup points, and one extra
+    // fixed base so that both of the fast pointMul paths are compared
+    const fixedBase = affine.scalarMul(randomScalar());
+    fastCurve.addFixedBase(fixedBase);
+    const curveMismatches = [];
+    const encode = (result) => JSON.stringify((Array.isArray(result[0]) ? result : [result]).map((point) => affine.toObject(point)));
+    const compare = (operation, args, slowResult, fastResult) => {
+        if (encode(slowResult) !== encode(fastResult)) {
+            curveMismatches.push({ operation, args: args.map(String), affine: encode(slowResult), fast: encode(fastResult) });
+        }
+    };
+    const curveCases = 24;
+    for (let i = 0; i < curveCases; i++) {
+        const [k, m] = [randomScalar(), randomScalar()];
+        const p = affine.scalarMul(randomScalar());
+        const q = affine.scalarMul(randomScalar());
+        compare("scalarMul", [k], affine.scalarMul(k), fastCurve.scalarMul(k));
+        compare("pointMul", [k], affine.pointMul(p, k), fastCurve.pointMul(p, k));
+        compare("pointMul (fixed base)", [m], affine.pointMul(fixedBase, m), fastCurve.pointMul(fixedBase, m));
+        compare("pointAdd", [], affine.pointAdd(p, q), fastCurve.pointAdd(p, q));
+        compare("pointSub", [], affine.pointSub(p, q), fastCurve.pointSub(p, q));
+        compare("pointAddMany", [], affine.pointAddMany([p, q, affine.IDENTITY], q), fastCurve.pointAddMany([p, q, fastCurve.IDENTITY], q));
+    }
+    console.log(`\n[CURVES] ${curveCases * 6} random operations (seed ${curveSeed}): ` +
+        `${curveMismatches.length ? `first mismatch ${JSON.stringify(curveMismatches[0])}` : "identical"}`);
+
+    if (curveMismatches.length === 0) {
+        console.log("\n✅ TEST 26 PASSED: Fast and affine curve code agree on random inputs");
+    } else {
+        console.log("\n❌ TEST 26 FAILED");
+    }
+
+    // Test 27: Registry indexer against a mock JSON-RPC node
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 27: Registry Indexer Over Mock JSON-RPC           │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    const registryAddress = "0x" + "ab".repeat(20);
+    const onChain = [1, 2, 3, 4, 5].map((i) => "0x" + (0xd000 + i).toString(16).padStart(40, "0"));
+    const registryChain = mockRegistryChain(registryAddress);
+    const chainAccumulator = (number) => new BabyJubjub().toObject(registryChain.blocks[number].accumulator);
+    const sameAccumulator = (indexer, number) => {
+        const local = indexer.getAccumulator();
+        const expected = chainAccumulator(number);
+        return local.x === expected.x && local.y === expected.y;
+    };
+    const rpcNode = await serveJsonRpc(registryChain);
+    const indexerDir = fs.mkdtempSync(path.join(os.tmpdir(), "evoke-indexer-"));
+    const indexerOptions = { address: registryAddress, rpcUrl: rpcNode.url, stateDir: indexerDir, blockRange: 2 };
+
+    try {
+        // Blocks 1-3: registrations, revokeDevice, batchRevokeDevices with a repeat
+        registryChain.mine(onChain.map((device) => ({ register: device })));
+        registryChain.mine([{ revoke: onChain[0] }]);
+        registryChain.mine([{ batch: [onChain[1], onChain[2], onChain[1]] }]);
+        const indexer = await RegistryIndexer.open(indexerOptions);
+        const initialSync = await indexer.sync();
+        console.log(`\n[INDEXER] Synced to block ${initialSync.lastBlock}: ${initialSync.events} events, ` +
+            `${indexer.getStatus().revoked} revoked`);
+        const initialOk = initialSync.events === 8 && indexer.getStatus().revoked === 3 && sameAccumulator(indexer, 3) &&
+            indexer.getDevice(onChain[2]).revoked && indexer.getDevice(onChain[3]).witness.path.length === GapAccumulator.DEPTH;
+
+        // A restarted indexer reads only the blocks it has not seen
+        registryChain.mine([{ revoke: onChain[3] }]);
+        const callsBefore = registryChain.calls.length;
+        const resumed = await RegistryIndexer.open(indexerOptions);
+        const resumeSync = await resumed.sync();
+        const logStarts = registryChain.calls.slice(callsBefore)
+            .filter((call) => call.method === "eth_getLogs")
+            .map((call) => Number(call.params[0].fromBlock));
+        console.log(`[INDEXER] Resumed at block ${logStarts[0]}: ${resumeSync.events} new events`);
+        const resumeOk = logStarts.join() === "4" && resumeSync.events === 2 && sameAccumulator(resumed, 4) &&
+            resumed.getDevice(onChain[3]).revoked;
+
+        // Block 4 is replaced by a fork revoking another device
+        registryChain.reorg(4);
+        registryChain.mine([{ revoke: onChain[4] }]);
+        registryChain.mine([]);
+        const reorgSync = await resumed.sync();
+        console.log(`[INDEXER] Reorg rewound to block ${reorgSync.reorg && reorgSync.reorg.rewoundTo}, now at ${reorgSync.lastBlock}`);
+        const reorgOk = reorgSync.reorg && reorgSync.reorg.rewoundTo === 3 && reorgSync.lastBlock === 5 &&
+            !resumed.getDevice(onChain[3]).revoked && resumed.getDevice(onChain[4]).revoked && sameAccumulator(resumed, 5);
+
+        // An event whose accumulator differs from the local one stops indexing
+        registryChain.mine([{ revoke: onChain[3], eventAccumulator: { x: "1", y: "2" } }]);
+        let mismatchError = null;
+        try {
+            await resumed.sync();
+        } catch (error) {
+            mismatchError = error;
+        }
+        console.log(`[INDEXER] Wrong event accumulator: ${mismatchError && mismatchError.code}, ` +
+            `still at block ${resumed.getStatus().lastBlock}`);
+        const mismatchOk = mismatchError && mismatchError.code === RegistryIndexer.ERRORS.ACCUMULATOR_MISMATCH &&
+            resumed.getStatus().lastBlock === 5 && !resumed.getDevice(onChain[3]).revoked && sameAccumulator(resumed, 5);
+
+        if (initialOk && resumeOk && reorgOk && mismatchOk) {
+            console.log("\n✅ TEST 27 PASSED: Indexer resumes, rewinds reorgs, decodes batches and stops on mismatches");
+        } else {
+            console.log("\n❌ TEST 27 FAILED");
+        }
+    } finally {
+        rpcNode.server.close();
+        fs.rmSync(indexerDir, { recursive: true, force: true });
+    }
+
+    // Test 28: Operator CLI exit codes
+    console.log("\n\n┌─────────────────────────────────────────────────────────┐");
+    console.log("│ TEST 28: CLI Exit Codes And JSON Errors                │");
+    console.log("└─────────────────────────────────────────────────────────┘");
+
+    const cliDir = fs.mkdtempSync(path.join(os.tmpdir(), "evoke-cli-"));
+    const brokenDir = fs.mkdtempSync(path.join(os.tmpdir(), "evoke-cli-broken-"));
+    const otherDir = fs.mkdtempSync(path.join(os.tmpdir(), "evoke-cli-other-"));
+    const proofPath = path.join(otherDir, "proof.json");
+    fs.writeFileSync(path.join(brokenDir, "snapshot.json"), "{ not json");
+    const cli = (...args) => {
+        const run = spawnSync(process.execPath, [path.join(__dirname, "bin", "evoke.js"), ...args],
+            { encoding: "utf8", timeout: 120000 });
+        let output = null;
+        try {
+            output = JSON.parse(run.stdout);
+        } catch (error) {
+            output = null;
+        }
+        return { status: run.status, output, stderr: run.stderr };
+    };
+
+    try {
+        const cliCases = [
+            { name: "revoke", args: ["revoke", "424242", "--state-dir", cliDir, "--json"], status: 0, success: true },
+            { name: "revoke again", args: ["revoke", "424242", "--state-dir", cliDir, "--json"], status: 1, error: "ALREADY_REVOKED" },
+            { name: "prove", args: ["prove", "424242", "--out", proofPath, "--state-dir", cliDir, "--json"], status: 0, success: true },
+            { name: "verify", args: ["verify", proofPath, "--state-dir", cliDir, "--json"], status: 0, success: true },
+            // Valid, but this state directory never had that accumulator
+            { name: "verify elsewhere", args: ["verify", proofPath, "--state-dir", otherDir, "--json"], status: 1, success: true },
+            { name: "unknown command", args: ["frobnicate", "--json"], status: 2, error: "USAGE" },
+            { name: "missing argument", args: ["revoke", "--state-dir", cliDir, "--json"], status: 2, error: "USAGE" },
+            { name: "unknown option", args: ["status", "424242", "--bogus", "--json"], status: 2, error: "USAGE" },
+            { name: "corrupt state", args: ["status", "424242", "--state-dir", brokenDir, "--json"], status: 1, success: false }
+        ];
+        const cliResults = cliCases.map((testCase) => ({ ...testCase, run: cli(...testCase.args) }));
+        console.log("");
+        for (const { name, run } of cliResults) {
+            console.log(`[CLI] ${name}: exit ${run.status}, ${run.output ? JSON.stringify({ success: run.output.success, error: run.output.error }) : "no JSON"}`);
+        }
+        const elsewhere = cliResults.find(({ name }) => name === "verify elsewhere").run.output;
+        console.log(`[CLI] verify elsewhere: valid ${elsewhere && elsewhere.valid}, epoch ${elsewhere && elsewhere.epoch}, ` +
+            `accepted ${elsewhere && elsewhere.accepted}`);
+        const plainUsage = cli("frobnicate");
+        console.log(`[CLI] unknown command without --json: exit ${plainUsage.status}, stderr "${plainUsage.stderr.split("\n")[0]}"`);
+
+        const cliOk = cliResults.every(({ run, status, success, error }) => run.status === status && run.output &&
+            (success === undefined || run.output.success === success) &&
+            (error === undefined || (run.output.success === false && run.output.error === error && run.output.message)));
+        if (cliOk && elsewhere.valid && elsewhere.epoch === null && !elsewhere.accepted &&
+            plainUsage.status === 2 && plainUsage.output === null && plainUsage.stderr.includes("Usage: evoke")) {
+            console.log("\n✅ TEST 28 PASSED: CLI exits 0/1/2 and reports every error as JSON with --json");
+        } else {
+            console.log("\n❌ TEST 28 FAILED");
+        }
+    } finally {
+        fs.rmSync(cliDir, { recursive: true, force: true });
+        fs.rmSync(brokenDir, { recursive: true, force: true });
+        fs.rmSync(otherDir, { recursive: true, force: true });
+    }
+
     // Show final statistics
     console.log("\n\n╔═══════════════════════════════════════════════════════════╗");
     console.log("║                    SYSTEM STATISTICS                      ║");
@@ -440,5 +1489,5 @@ if (require.main === module) {
         });
 }
 
-// Export for use in other modules
-module.exports = EVOKETestSuite;
+// The accumulator library lives in ./js; this file only exports the test runner
+module.exports = { runTests };
@@ -25,6 +25,8 @@ contract B_Evoke_ExtendedTests is Test {
     // Test constants
     uint256 constant MAX_UINT = type(uint256).max;
     uint256 constant FIELD_MODULUS = 21888242871839275222246405745257275088548364400416034343698204186575808495617;
+    uint256 constant BASE_X = 5299619240641551281634865583518297030282874472190772894086521144482721001553;
+    uint256 constant BASE_Y = 16950150798460657717958625567821834550301663161624707787222815936182638968203;
 
     function setUp() public {
         verifier = new Groth16Verifier();
@@ -34,31 +36,33 @@ contract B_Evoke_ExtendedTests is Test {
     // ============ SNARK Proof Verification Tests ============
 
     function testVerifyProof() public {
-        // This proof was generated from ecc-proof.json
+        // Transition proof from the identity: newAcc = (0, 1) + g^12345
         uint[2] memory pA = [
-            uint256(14368317894123461861060734365562020615765695903969464962275343882678522407144),
-            uint256(14582127854420549026543986600127079096980298780540503682119167687237847327254)
+            uint256(15748873300711995614275760560059055814570378232597275634630954651446059822415),
+            uint256(20453274098945168844921866260853907357748216664913694389580039145081054933870)
         ];
 
         uint[2][2] memory pB = [
             [
-                uint256(3537260192949750144809692717841284803853274648159234613837766712252344596858),
-                uint256(1625684740296699267692870857255413035868029432191182295589649706897085550042)
+                uint256(389864411977482648465731081497606706567418686675236029993451819918741288728),
+                uint256(15234010873788814610171599773713707029966412908589916080308828903115092579113)
             ],
             [
-                uint256(12145204175769780602485131954388255164982851526213571587890321796374271118805),
-                uint256(4204774910550531271887568106046280984302687932826992802669459025868730063445)
+                uint256(13648635258098522933826602244729711498975480642632671892921198357407986023830),
+                uint256(2841871017911439533406560790423605497034722161608119893912811879536086120386)
             ]
         ];
 
         uint[2] memory pC = [
-            uint256(10167229318395833897285997461005048679211640929408589121181602661016380084706),
-            uint256(2392398889868072395983584807362834356368406486883723751714348086112941490007)
+            uint256(2541102032567082478809723772734354989747579637836333771089538517823675558784),
+            uint256(10127360273841687535315168554715914521220529674075152924551204670216864691782)
         ];
 
-        uint[2] memory pubSignals = [
-            uint256(15792224776493125211988900681134708654687141103097577237352913688200059017865),
-            uint256(6643075389408355939783418696373930583693564846944338325315042564834909547994)
+        uint[4] memory pubSignals = [
+            uint256(19099552327547260981542886231210125691902505931204088720746463491300185142606),
+            uint256(13276557205153692030187527501273228448057533426731746626187331221465573305487),
+            uint256(0),
+            uint256(1)
         ];
 
         bool isValid = verifier.verifyProof(pA, pB, pC, pubSignals);
@@ -69,7 +73,7 @@ contract B_Evoke_ExtendedTests is Test {
         uint[2] memory pA = [uint256(1), uint256(2)];
         uint[2][2] memory pB = [[uint256(3), uint256(4)], [uint256(5), uint256(6)]];
         uint[2] memory pC = [uint256(7), uint256(8)];
-        uint[2] memory pubSignals = [uint256(999), uint256(1)];
+        uint[4] memory pubSignals = [uint256(999), uint256(1), uint256(0), uint256(1)];
 
         bool isValid = verifier.verifyProof(pA, pB, pC, pubSignals);
         assertFalse(isValid, "Invalid proof should not verify");
@@ -77,32 +81,66 @@ contract B_Evoke_ExtendedTests is Test {
 
     function testProofWithWrongPublicSignal() public {
         uint[2] memory pA = [
-            uint256(14368317894123461861060734365562020615765695903969464962275343882678522407144),
-            uint256(14582127854420549026543986600127079096980298780540503682119167687237847327254)
+            uint256(15748873300711995614275760560059055814570378232597275634630954651446059822415),
+            uint256(20453274098945168844921866260853907357748216664913694389580039145081054933870)
         ];
 
         uint[2][2] memory pB = [
             [
-                uint256(3537260192949750144809692717841284803853274648159234613837766712252344596858),
-                uint256(1625684740296699267692870857255413035868029432191182295589649706897085550042)
+                uint256(389864411977482648465731081497606706567418686675236029993451819918741288728),
+                uint256(15234010873788814610171599773713707029966412908589916080308828903115092579113)
             ],
             [
-                uint256(12145204175769780602485131954388255164982851526213571587890321796374271118805),
-                uint256(4204774910550531271887568106046280984302687932826992802669459025868730063445)
+                uint256(13648635258098522933826602244729711498975480642632671892921198357407986023830),
+                uint256(2841871017911439533406560790423605497034722161608119893912811879536086120386)
             ]
         ];
 
         uint[2] memory pC = [
-            uint256(10167229318395833897285997461005048679211640929408589121181602661016380084706),
-            uint256(2392398889868072395983584807362834356368406486883723751714348086112941490007)
+            uint256(2541102032567082478809723772734354989747579637836333771089538517823675558784),
+            uint256(10127360273841687535315168554715914521220529674075152924551204670216864691782)
         ];
 
-        uint[2] memory pubSignals = [uint256(12345), uint256(67890)];
+        uint[4] memory pubSignals = [uint256(12345), uint256(67890), uint256(0), uint256(1)];
 
         bool isValid = verifier.verifyProof(pA, pB, pC, pubSignals);
         assertFalse(isValid, "Proof with wrong public signal should fail");
     }
 
+    function testProofWithWrongOldAccumulator() public {
+        uint[2] memory pA = [
+            uint256(15748873300711995614275760560059055814570378232597275634630954651446059822415),
+            uint256(20453274098945168844921866260853907357748216664913694389580039145081054933870)
+        ];
+
+        uint[2][2] memory pB = [
+            [
+                uint256(389864411977482648465731081497606706567418686675236029993451819918741288728),
+                uint256(15234010873788814610171599773713707029966412908589916080308828903115092579113)
+            ],
+            [
+                uint256(13648635258098522933826602244729711498975480642632671892921198357407986023830),
+                uint256(2841871017911439533406560790423605497034722161608119893912811879536086120386)
+            ]
+        ];
+
+        uint[2] memory pC = [
+            uint256(2541102032567082478809723772734354989747579637836333771089538517823675558784),
+            uint256(10127360273841687535315168554715914521220529674075152924551204670216864691782)
+        ];
+
+        // Correct new accumulator, but claimed to start from g instead of (0, 1)
+        uint[4] memory pubSignals = [
+            uint256(19099552327547260981542886231210125691902505931204088720746463491300185142606),
+            uint256(13276557205153692030187527501273228448057533426731746626187331221465573305487),
+            BASE_X,
+            BASE_Y
+        ];
+
+        bool isValid = verifier.verifyProof(pA, pB, pC, pubSignals);
+        assertFalse(isValid, "Proof must be bound to the old accumulator");
+    }
+
     // ============ Registration Tests ============
 
     function testRegisterWithMaxDID() public {
@@ -334,17 +372,65 @@ contract B_Evoke_ExtendedTests is Test {
         vm.prank(device1);
         registry.registerDevice(did);
 
-        // Update witness multiple times
+        // Update witness multiple times, alternating between BASE and -BASE
         for (uint i = 1; i <= 5; i++) {
+            uint256 witnessX = i % 2 == 1 ? BASE_X : FIELD_MODULUS - BASE_X;
+
             vm.prank(device1);
-            registry.updateDeviceWitness(i * 1000, i * 2000);
+            registry.updateDeviceWitness(witnessX, BASE_Y);
 
             B_Evoke_Registry_ECC.Device memory device = registry.getDevice(device1);
-            assertEq(device.witness.x, i * 1000, "Witness X should update");
-            assertEq(device.witness.y, i * 2000, "Witness Y should update");
+            assertEq(device.witness.x, witnessX, "Witness X should update");
+            assertEq(device.witness.y, BASE_Y, "Witness Y should update");
         }
     }
 
+    function testUpdateWitnessOffCurve() public {
+        vm.prank(device1);
+        registry.registerDevice(keccak256(abi.encodePacked("device1")));
+
+        vm.prank(device1);
+        vm.expectRevert("Witness is not on the curve");
+        registry.updateDeviceWitness(12345, 67890);
+    }
+
+    function testUpdateWitnessNonCanonicalCoordinates() public {
+        vm.prank(device1);
+        registry.registerDevice(keccak256(abi.encodePacked("device1")));
+
+        // BASE with x shifted by the field modulus
+        vm.prank(device1);
+        vm.expectRevert("Witness is not on the curve");
+        registry.updateDeviceWitness(BASE_X + FIELD_MODULUS, BASE_Y);
+    }
+
+    function testUpdateWitnessSmallSubgroup() public {
+        vm.prank(device1);
+        registry.registerDevice(keccak256(abi.encodePacked("device1")));
+
+        // BASE + (0, -1) = (-x, -y) is on the curve but has an order-2 component
+        vm.prank(device1);
+        vm.expectRevert("Witness is not in the prime-order subgroup");
+        registry.updateDeviceWitness(FIELD_MODULUS - BASE_X, FIELD_MODULUS - BASE_Y);
+    }
+
+    // ============ Point Validation Tests ============
+
+    function testPointValidationHelpers() public view {
+        assertTrue(registry.isOnCurve(BASE_X, BASE_Y), "BASE is on the curve");
+        assertTrue(registry.isInSubgroup(BASE_X, BASE_Y), "BASE is in the subgroup");
+        assertTrue(registry.isInSubgroup(0, 1), "Identity is in the subgroup");
+        assertTrue(registry.isIdentity(0, 1), "(0, 1) is the identity");
+        assertFalse(registry.isIdentity(BASE_X, BASE_Y), "BASE is not the identity");
+
+        // (0, -1) has order 2
+        assertTrue(registry.isOnCurve(0, FIELD_MODULUS - 1), "(0, -1) is on the curve");
+        assertFalse(registry.isInSubgroup(0, FIELD_MODULUS - 1), "(0, -1) is not in the subgroup");
+
+        assertFalse(registry.isOnCurve(12345, 67890), "Arbitrary pair is not on the curve");
+        assertFalse(registry.isOnCurve(BASE_X + FIELD_MODULUS, BASE_Y), "Non-canonical x is rejected");
+    }
+
     // ============ Membership Verification Tests ============
 
     function testVerifyMembershipWithoutRevocation() public {
@@ -363,11 +449,20 @@ contract B_Evoke_ExtendedTests is Test {
         registry.registerDevice(keccak256(abi.encodePacked("device1")));
         registry.revokeDevice(device1);
 
-        // Try to verify with incorrect witness values
-        bool isValid = registry.verifyMembershipProof(device1, 0, 0);
+        // Try to verify with an on-curve witness that is not the device's
+        bool isValid = registry.verifyMembershipProof(device1, BASE_X, BASE_Y);
         assertFalse(isValid, "Invalid witness should not verify");
     }
 
+    function testVerifyMembershipOffCurveWitness() public {
+        vm.prank(device1);
+        registry.registerDevice(keccak256(abi.encodePacked("device1")));
+        registry.revokeDevice(device1);
+
+        vm.expectRevert("Witness is not on the curve");
+        registry.verifyMembershipProof(device1, 0, 0);
+    }
+
     function testVerifyMembershipNonExistentDevice() public {
         // Try to verify membership for non-existent device
         vm.expectRevert("Device not revoked");
@@ -0,0 +1,143 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "forge-std/Test.sol";
+import "../src/B_Evoke_Registry_ECC.sol";
+import "./fixtures/EvokeVectors.sol";
+
+/**
+ * @dev Exposes the registry's internal curve operations to the vector tests
+ */
+contract B_Evoke_Registry_ECC_Harness is B_Evoke_Registry_ECC {
+    function exposedPointAdd(uint256 x1, uint256 y1, uint256 x2, uint256 y2) external view returns (uint256, uint256) {
+        ECPoint memory sum = pointAdd(ECPoint(x1, y1), ECPoint(x2, y2));
+        return (sum.x, sum.y);
+    }
+
+    function exposedScalarMul(uint256 k) external view returns (uint256, uint256) {
+        ECPoint memory point = scalarMul(k);
+        return (point.x, point.y);
+    }
+}
+
+/**
+ * @title Shared Test Vectors
+ * @dev Checks the registry against test/fixtures/evoke-vectors.json, computed
+ * by the JS library (node bin/evoke-vectors.js). test-evoke.js checks the JS
+ * implementation against the same file.
+ */
+contract B_Evoke_VectorTests is EvokeVectors {
+    B_Evoke_Registry_ECC_Harness public harness;
+
+    function setUp() public {
+        loadVectors();
+        harness = new B_Evoke_Registry_ECC_Harness();
+    }
+
+    // ============ Curve Operations ============
+
+    function testPointAdditionVectors() public view {
+        for (uint256 i = 0; i < POINT_ADDITION_COUNT; i++) {
+            PointAdditionVector memory v = pointAdditionVector(i);
+            (uint256 x, uint256 y) = harness.exposedPointAdd(v.p.x, v.p.y, v.q.x, v.q.y);
+            assertEq(x, v.sum.x, v.name);
+            assertEq(y, v.sum.y, v.name);
+        }
+    }
+
+    function testScalarMultipleVectors() public view {
+        for (uint256 i = 0; i < SCALAR_MULTIPLE_COUNT; i++) {
+            ScalarMultipleVector memory v = scalarMultipleVector(i);
+            (uint256 x, uint256 y) = harness.exposedScalarMul(v.scalar);
+            assertEq(x, v.point.x, v.name);
+            assertEq(y, v.point.y, v.name);
+        }
+    }
+
+    // ============ Revocation ============
+
+    function testAccumulatorSequenceVectors() public {
+        for (uint256 i = 0; i < ACCUMULATOR_SEQUENCE_COUNT; i++) {
+            AccumulatorSequenceVector memory v = accumulatorSequenceVector(i);
+            B_Evoke_Registry_ECC registry = new B_Evoke_Registry_ECC();
+            registerAll(registry, v.devices);
+
+            for (uint256 j = 0; j < v.devices.length; j++) {
+                registry.revokeDevice(v.devices[j]);
+                assertAccumulator(registry, v.accumulators[j], v.name);
+            }
+            for (uint256 j = 0; j < v.devices.length; j++) {
+                assertTrue(registry.verifyMembershipProof(v.devices[j], v.witnesses[j].x, v.witnesses[j].y), v.name);
+            }
+        }
+    }
+
+    function testBatchRevocationVectors() public {
+        for (uint256 i = 0; i < BATCH_REVOCATION_COUNT; i++) {
+            BatchRevocationVector memory v = batchRevocationVector(i);
+            B_Evoke_Registry_ECC registry = new B_Evoke_Registry_ECC();
+            registerAll(registry, v.registered);
+            for (uint256 j = 0; j < v.revokedBefore.length; j++) {
+                registry.revokeDevice(v.revokedBefore[j]);
+            }
+            assertAccumulator(registry, v.accumulatorBefore, v.name);
+
+            registry.batchRevokeDevices(v.batch);
+            assertAccumulator(registry, v.accumulator, v.name);
+            for (uint256 j = 0; j < v.batch.length; j++) {
+                if (v.revoked[j]) {
+                    assertFalse(registry.isDeviceValid(v.batch[j]), v.name);
+                }
+            }
+        }
+    }
+
+    // ============ Membership Proofs ============
+
+    function testMembershipProofVectors() public {
+        for (uint256 i = 0; i < MEMBERSHIP_PROOF_COUNT; i++) {
+            MembershipProofVector memory v = membershipProofVector(i);
+            B_Evoke_Registry_ECC registry = new B_Evoke_Registry_ECC();
+            registerAll(registry, v.revoked);
+            if (!contains(v.revoked, v.device)) {
+                register(registry, v.device);
+            }
+            for (uint256 j = 0; j < v.revoked.length; j++) {
+                registry.revokeDevice(v.revoked[j]);
+            }
+
+            if (bytes(v.revertReason).length > 0) {
+                vm.expectRevert(bytes(v.revertReason));
+                registry.verifyMembershipProof(v.device, v.witness.x, v.witness.y);
+            } else {
+                assertEq(registry.verifyMembershipProof(v.device, v.witness.x, v.witness.y), v.valid, v.name);
+            }
+        }
+    }
+
+    // ============ Helpers ============
+
+    function register(B_Evoke_Registry_ECC registry, address device) internal {
+        vm.prank(device);
+        registry.registerDevice(keccak256(abi.encodePacked(device)));
+    }
+
+    function registerAll(B_Evoke_Registry_ECC registry, address[] memory list) internal {
+        for (uint256 j = 0; j < list.length; j++) {
+            register(registry, list[j]);
+        }
+    }
+
+    function contains(address[] memory list, address device) internal pure returns (bool) {
+        for (uint256 j = 0; j < list.length; j++) {
+            if (list[j] == device) return true;
+        }
+        return false;
+    }
+
+    function assertAccumulator(B_Evoke_Registry_ECC registry, Point memory expected, string memory name) internal view {
+        (uint256 x, uint256 y) = registry.getAccumulator();
+        assertEq(x, expected.x, name);
+        assertEq(y, expected.y, name);
+    }
+}
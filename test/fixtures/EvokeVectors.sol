@@ -0,0 +1,136 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Generated by js/test-vectors.js (node bin/evoke-vectors.js) with seed
+// "B-Evoke test vectors". Do not edit: regenerate it together with
+// evoke-vectors.json.
+
+import "forge-std/Test.sol";
+
+/**
+ * @title EvokeVectors
+ * @dev Loads the test vectors the JS library computed, so the contract is
+ * checked against the same expectations as the library. Numbers are
+ * decimal strings in the JSON; loadVectors() must run first (setUp).
+ */
+abstract contract EvokeVectors is Test {
+    string constant VECTORS_FILE = "test/fixtures/evoke-vectors.json";
+
+    uint256 constant POINT_ADDITION_COUNT = 10;
+    uint256 constant SCALAR_MULTIPLE_COUNT = 14;
+    uint256 constant ACCUMULATOR_SEQUENCE_COUNT = 3;
+    uint256 constant BATCH_REVOCATION_COUNT = 4;
+    uint256 constant MEMBERSHIP_PROOF_COUNT = 9;
+
+    struct Point {
+        uint256 x;
+        uint256 y;
+    }
+
+    struct PointAdditionVector {
+        string name;
+        Point p;
+        Point q;
+        Point sum;
+    }
+
+    struct ScalarMultipleVector {
+        string name;
+        uint256 scalar;
+        Point point;
+    }
+
+    struct AccumulatorSequenceVector {
+        string name;
+        address[] devices;
+        Point[] accumulators;
+        Point[] witnesses;
+    }
+
+    struct BatchRevocationVector {
+        string name;
+        address[] registered;
+        address[] revokedBefore;
+        address[] batch;
+        Point accumulatorBefore;
+        bool[] revoked;
+        Point accumulator;
+    }
+
+    struct MembershipProofVector {
+        string name;
+        address[] revoked;
+        address device;
+        Point witness;
+        bool valid;
+        string revertReason;
+    }
+
+    string internal vectorsJson;
+
+    function loadVectors() internal {
+        vectorsJson = vm.readFile(string.concat(vm.projectRoot(), "/", VECTORS_FILE));
+    }
+
+    function pointAdditionVector(uint256 i) internal view returns (PointAdditionVector memory v) {
+        string memory key = vectorKey("pointAdditions", i);
+        v.name = vm.parseJsonString(vectorsJson, string.concat(key, ".name"));
+        v.p = readPoint(string.concat(key, ".p"));
+        v.q = readPoint(string.concat(key, ".q"));
+        v.sum = readPoint(string.concat(key, ".sum"));
+    }
+
+    function scalarMultipleVector(uint256 i) internal view returns (ScalarMultipleVector memory v) {
+        string memory key = vectorKey("scalarMultiples", i);
+        v.name = vm.parseJsonString(vectorsJson, string.concat(key, ".name"));
+        v.scalar = vm.parseJsonUint(vectorsJson, string.concat(key, ".scalar"));
+        v.point = readPoint(string.concat(key, ".point"));
+    }
+
+    function accumulatorSequenceVector(uint256 i) internal view returns (AccumulatorSequenceVector memory v) {
+        string memory key = vectorKey("accumulatorSequences", i);
+        v.name = vm.parseJsonString(vectorsJson, string.concat(key, ".name"));
+        v.devices = vm.parseJsonAddressArray(vectorsJson, string.concat(key, ".devices"));
+        v.accumulators = readPoints(string.concat(key, ".accumulators"), v.devices.length);
+        v.witnesses = readPoints(string.concat(key, ".witnesses"), v.devices.length);
+    }
+
+    function batchRevocationVector(uint256 i) internal view returns (BatchRevocationVector memory v) {
+        string memory key = vectorKey("batchRevocations", i);
+        v.name = vm.parseJsonString(vectorsJson, string.concat(key, ".name"));
+        v.registered = vm.parseJsonAddressArray(vectorsJson, string.concat(key, ".registered"));
+        v.revokedBefore = vm.parseJsonAddressArray(vectorsJson, string.concat(key, ".revokedBefore"));
+        v.batch = vm.parseJsonAddressArray(vectorsJson, string.concat(key, ".batch"));
+        v.accumulatorBefore = readPoint(string.concat(key, ".accumulatorBefore"));
+        v.revoked = vm.parseJsonBoolArray(vectorsJson, string.concat(key, ".revoked"));
+        v.accumulator = readPoint(string.concat(key, ".accumulator"));
+    }
+
+    function membershipProofVector(uint256 i) internal view returns (MembershipProofVector memory v) {
+        string memory key = vectorKey("membershipProofs", i);
+        v.name = vm.parseJsonString(vectorsJson, string.concat(key, ".name"));
+        v.revoked = vm.parseJsonAddressArray(vectorsJson, string.concat(key, ".revoked"));
+        v.device = vm.parseJsonAddress(vectorsJson, string.concat(key, ".device"));
+        v.witness = readPoint(string.concat(key, ".witness"));
+        v.valid = vm.parseJsonBool(vectorsJson, string.concat(key, ".valid"));
+        v.revertReason = vm.parseJsonString(vectorsJson, string.concat(key, ".revertReason"));
+    }
+
+    function vectorKey(string memory section, uint256 i) internal pure returns (string memory) {
+        return string.concat(".", section, "[", vm.toString(i), "]");
+    }
+
+    function readPoint(string memory key) internal view returns (Point memory) {
+        return Point(
+            vm.parseJsonUint(vectorsJson, string.concat(key, ".x")),
+            vm.parseJsonUint(vectorsJson, string.concat(key, ".y"))
+        );
+    }
+
+    function readPoints(string memory key, uint256 length) internal view returns (Point[] memory points) {
+        points = new Point[](length);
+        for (uint256 j = 0; j < length; j++) {
+            points[j] = readPoint(string.concat(key, "[", vm.toString(j), "]"));
+        }
+    }
+}